@@ -0,0 +1,169 @@
+// Admin console: a thin page over the server's /admin REST API. The token is
+// kept for this tab only.
+
+const TOKEN_KEY = 'adminToken';
+
+const tokenInput = document.getElementById('adminToken');
+const refreshButton = document.getElementById('adminRefresh');
+const errorDiv = document.getElementById('adminError');
+const roomsTable = document.getElementById('roomsTable');
+const playersTable = document.getElementById('playersTable');
+const bansTable = document.getElementById('bansTable');
+const broadcastMessage = document.getElementById('broadcastMessage');
+const broadcastButton = document.getElementById('broadcastButton');
+const banIp = document.getElementById('banIp');
+const banButton = document.getElementById('banButton');
+
+async function request(method, path, body = undefined) {
+    const response = await fetch(`/admin${path}`, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${tokenInput.value}`,
+            'Content-Type': 'application/json'
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return data;
+}
+
+// Run an action, show any error, then reload everything
+async function act(action) {
+    errorDiv.textContent = '';
+    try {
+        await action();
+        await refresh();
+    } catch (error) {
+        errorDiv.textContent = error.message;
+    }
+}
+
+function button(label, onClick) {
+    const element = document.createElement('button');
+    element.textContent = label;
+    element.addEventListener('click', onClick);
+    return element;
+}
+
+function fillTable(table, headers, rows) {
+    table.innerHTML = '';
+    const header = document.createElement('tr');
+    headers.forEach((label) => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        header.appendChild(th);
+    });
+    table.appendChild(header);
+
+    rows.forEach((cells) => {
+        const row = document.createElement('tr');
+        cells.forEach((value) => {
+            const td = document.createElement('td');
+            if (value instanceof Node) {
+                td.appendChild(value);
+            } else {
+                td.textContent = value === null || value === undefined ? '-' : String(value);
+            }
+            row.appendChild(td);
+        });
+        table.appendChild(row);
+    });
+}
+
+function ruleInput(value) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'small';
+    input.value = value;
+    return input;
+}
+
+function renderRooms(rooms) {
+    fillTable(roomsTable, ['Room', 'Name', 'Players', 'State', 'Max score', 'Max health', ''], rooms.map((room) => {
+        const maxScore = ruleInput(room.rules.maxScore);
+        const maxHealth = ruleInput(room.rules.maxHealth);
+        const actions = document.createElement('span');
+        actions.appendChild(button('Apply', () => act(() => request('PATCH', `/rooms/${room.id}/rules`, {
+            maxScore: Number(maxScore.value),
+            maxHealth: Number(maxHealth.value)
+        }))));
+        actions.appendChild(button('Restart match', () => act(() => request('POST', `/rooms/${room.id}/restart`))));
+        return [
+            room.id,
+            room.name,
+            `${room.playerCount}/${room.maxPlayers}`,
+            `${room.match.state} (round ${room.match.round}/${room.match.roundsPerMatch})`,
+            maxScore,
+            maxHealth,
+            actions
+        ];
+    }));
+}
+
+// Times the server had to correct the car, and why it last did
+function movementFlags(flags) {
+    if (!flags) return null;
+    return `${flags.count}: ${flags.reason} (${new Date(flags.time).toLocaleTimeString()})`;
+}
+
+function renderPlayers(players) {
+    fillTable(playersTable, ['Id', 'Name', 'IP', 'Room', 'Role', 'Connected', 'Health', 'Score', 'Ping', 'Movement flags', ''], players.map((player) => {
+        const actions = document.createElement('span');
+        actions.appendChild(button('Kick', () => act(() => request('POST', `/players/${player.id}/kick`, {}))));
+        if (player.connected) {
+            actions.appendChild(button('Ban', () => act(() => request('POST', '/bans', { playerId: player.id }))));
+        }
+        return [
+            player.id,
+            player.name,
+            player.ip,
+            player.roomId,
+            player.role,
+            player.connected ? 'yes' : 'held',
+            player.health,
+            player.score,
+            player.ping,
+            movementFlags(player.movementFlags),
+            actions
+        ];
+    }));
+}
+
+function renderBans(bans) {
+    fillTable(bansTable, ['IP', 'Reason', 'Until', ''], bans.map((ban) => [
+        ban.ip,
+        ban.reason,
+        ban.until ? new Date(ban.until).toLocaleString() : 'restart',
+        button('Unban', () => act(() => request('DELETE', `/bans/${encodeURIComponent(ban.ip)}`)))
+    ]));
+}
+
+async function refresh() {
+    sessionStorage.setItem(TOKEN_KEY, tokenInput.value);
+    const [rooms, players, bans] = await Promise.all([
+        request('GET', '/rooms'),
+        request('GET', '/players'),
+        request('GET', '/bans')
+    ]);
+    renderRooms(rooms.rooms);
+    renderPlayers(players.players);
+    renderBans(bans.bans);
+}
+
+tokenInput.value = sessionStorage.getItem(TOKEN_KEY) || '';
+refreshButton.addEventListener('click', () => act(async () => {}));
+broadcastButton.addEventListener('click', () => act(async () => {
+    await request('POST', '/broadcast', { message: broadcastMessage.value });
+    broadcastMessage.value = '';
+}));
+banButton.addEventListener('click', () => act(async () => {
+    await request('POST', '/bans', { ip: banIp.value });
+    banIp.value = '';
+}));
+
+if (tokenInput.value) {
+    act(async () => {});
+}
@@ -2,7 +2,39 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { physicsWorld } from './physics.js';
+import { ServerClock, SnapshotBuffer, getInterpolationDelay } from './interpolation.js';
+import { initLobby, showLobby, hideLobby } from './lobby.js';
+import { discoverServerUrl, initServerSelect } from './serverSelect.js';
+import { renderScoreboard } from './scoreboard.js';
+import { Nameplate } from './nameplate.js';
+import { initLeaderboard, toggleLeaderboard } from './leaderboard.js';
+import { SpectatorView } from './spectator.js';
+import { ReplayPlayer, initReplayViewer, updateReplayControls } from './replay.js';
+import { RaceHud, TrackMarkers, formatLapTime } from './raceHud.js';
+import { SoccerHud, SoccerField } from './soccerHud.js';
+import { sendHitHint } from './hitHints.mjs';
+import {
+    TimeTrial,
+    GhostCar,
+    loadGhost,
+    saveGhost,
+    initTimeTrialPanel,
+    setTimeTrialStatus
+} from './timeTrial.js';
 import * as RAPIER from '@dimforge/rapier3d-compat';
+import {
+    PHYSICS_TIMESTEP,
+    BULLET_LIFETIME,
+    FIRE_INTERVAL_MS,
+    CAR_HALF_EXTENTS,
+    createCarBody,
+    createInput,
+    applyCarInput,
+    bulletFromCar
+} from './shared/carDynamics.mjs';
+import { SnapshotDecoder, dequantizeEntity } from './shared/snapshotCodec.mjs';
+import { DEFAULT_TRACK_ID, getTrack, gridSlot } from './shared/tracks.mjs';
+import { BALL_NET_ID, BALL_RADIUS, getTeam } from './shared/soccer.mjs';
 // Socket.IO will be loaded via script tag in HTML
 
 // Scene setup
@@ -34,6 +66,24 @@ controls.maxDistance = 500;
 controls.maxPolarAngle = Math.PI / 2;
 controls.enabled = true; // Enable controls by default for debugging
 
+// ?spectate joins rooms without a car, just to watch
+const spectating = new URLSearchParams(window.location.search).has('spectate');
+const spectatorView = new SpectatorView(camera, controls);
+
+// ?replay plays back recorded matches instead of connecting to a game
+const replayMode = new URLSearchParams(window.location.search).has('replay');
+let replayPlayer = null;
+// Spectators and replay viewers have no car; they watch everyone's
+const watching = spectating || replayMode;
+const REPLAY_SKIP_MS = 5000; // Arrow keys in a replay
+
+// ?timetrial (optionally =<trackId>) drives laps alone against a ghost of
+// the best one, with no server
+const timeTrialTrackId = new URLSearchParams(window.location.search).get('timetrial');
+const timeTrialMode = timeTrialTrackId !== null;
+let timeTrial = null;
+let ghostCar = null;
+
 // Lights
 const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
 scene.add(ambientLight);
@@ -70,6 +120,27 @@ const carControls = {
 // Control mode
 let isOrbitMode = false;
 
+// Fixed-step accumulator so local prediction runs at the server's tick rate
+let lastFrameTime = null;
+let physicsAccumulator = 0;
+const MAX_PHYSICS_STEPS_PER_FRAME = 5;
+
+// Where the server spawned us; applied once the car body exists
+let spawnPosition = null;
+let spawnRotation = null;
+
+// Set while a match countdown runs; the car doesn't drive until it's over
+let controlsLocked = false;
+
+// Client-side prediction: every physics step produces a numbered input that is
+// applied locally right away and kept until the server acknowledges it
+let inputSequence = 0;
+let pendingInputs = [];
+let unsentInputs = [];
+let lastAppliedInput = null;
+let lastAcknowledgedInput = null;
+const MAX_PENDING_INPUTS = 120;
+
 // Car physics properties
 const carProperties = {
     maxSpeed: 30,
@@ -83,6 +154,17 @@ let socket;
 let playerId;
 const otherPlayers = {}; // Store other players' cars
 let myPlayerId = null;
+let myColor = null; // Assigned by the server, unique in the room
+
+// Snapshots refer to cars by the room's small net ids
+let playerIdsByNetId = new Map();
+let snapshotDecoder = new SnapshotDecoder();
+
+// Remote cars are rendered from buffered server snapshots, a little in the past
+const serverClock = new ServerClock();
+const interpolationDelay = getInterpolationDelay();
+const remotePosition = new THREE.Vector3();
+const remoteQuaternion = new THREE.Quaternion();
 
 // Add after the scene setup, before the socket initialization
 // Player count display
@@ -102,11 +184,13 @@ document.body.appendChild(playerCountDiv);
 const healthBarContainer = document.getElementById('healthBarContainer');
 const healthBar = document.getElementById('healthBar');
 
-// Player health
+// Player health, out of the room's current maximum
 let playerHealth = 100;
+let maxHealth = 100;
 
 // Add isReadyToShoot flag near other global variables
 let isReadyToShoot = false;
+let lastFireTime = 0;
 
 // Add bullet cooldown tracking
 const bulletCooldowns = new Map(); // Track when bullets can start hitting their owner
@@ -114,8 +198,6 @@ const bulletCooldowns = new Map(); // Track when bullets can start hitting their
 // Add bullets array near other global variables
 let bullets = []; // Store all bullets in the game
 const MAX_BULLETS = 100; // Maximum number of bullets in the scene
-const BULLET_SPEED = 100.0; // Speed of bullets
-const BULLET_LIFETIME = 3000; // Bullet lifetime in milliseconds
 
 // Add skid mark variables near other global variables
 let skidMarks = []; // Store all skid marks
@@ -146,13 +228,38 @@ scoreDiv.style.padding = '10px';
 scoreDiv.style.borderRadius = '5px';
 document.body.appendChild(scoreDiv);
 
-// Add score tracking
-let playerScore = 0;
-let otherPlayerScore = 0;
+// Scoreboard rows from the server, one per player in the room
+let scoreboardRows = [];
+let scoreboardExpanded = false; // While Tab is held
+
+// Latest match state from the server (waiting, countdown, live, postMatch, reset)
+let matchState = null;
+
+// Race rooms: lap/place HUD and the track's gates
+const raceHud = new RaceHud();
+const trackMarkers = new TrackMarkers(scene);
+
+// Soccer rooms: score and clock HUD, the goals, and the server's ball,
+// rendered from snapshots like a remote car
+const soccerHud = new SoccerHud();
+const soccerField = new SoccerField(scene);
+let soccerBall = null;
+const BALL_COLOR = 0xffffff;
+
+const MATCH_STATE_LABELS = {
+    waiting: 'Waiting for players',
+    countdown: 'Get ready',
+    live: 'Live',
+    postMatch: 'Round over',
+    reset: 'Resetting'
+};
 
 // Update score display
 function updateScoreDisplay() {
-    scoreDiv.textContent = `Your Score: ${playerScore} | Other Player: ${otherPlayerScore}`;
+    const status = matchState
+        ? `Round ${matchState.round}/${matchState.roundsPerMatch} - ${MATCH_STATE_LABELS[matchState.state] || matchState.state}`
+        : '';
+    renderScoreboard(scoreDiv, scoreboardRows, { myPlayerId, status, expanded: scoreboardExpanded });
 }
 
 // Initialize score display
@@ -161,7 +268,7 @@ updateScoreDisplay();
 // Update the player count display
 function updatePlayerCount() {
     const otherPlayerCount = Object.keys(otherPlayers).length;
-    const totalPlayers = otherPlayerCount + 1; // +1 for local player
+    const totalPlayers = otherPlayerCount + (spectating ? 0 : 1); // +1 for local player
     console.log('Updating player count:', {
         otherPlayers: otherPlayerCount,
         totalPlayers: totalPlayers,
@@ -170,9 +277,43 @@ function updatePlayerCount() {
     playerCountDiv.textContent = `Players in game: ${totalPlayers}`;
 }
 
+function setMaxHealth(value) {
+    maxHealth = value;
+    updateHealthBar();
+    for (const id in otherPlayers) {
+        otherPlayers[id].nameplate.setMaxHealth(value);
+    }
+}
+
+// Messages from the server's operators
+const serverMessageDiv = document.createElement('div');
+serverMessageDiv.style.position = 'absolute';
+serverMessageDiv.style.top = '60px';
+serverMessageDiv.style.left = '50%';
+serverMessageDiv.style.transform = 'translateX(-50%)';
+serverMessageDiv.style.color = 'white';
+serverMessageDiv.style.fontFamily = 'Arial';
+serverMessageDiv.style.fontSize = '20px';
+serverMessageDiv.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+serverMessageDiv.style.padding = '10px 20px';
+serverMessageDiv.style.borderRadius = '5px';
+serverMessageDiv.style.display = 'none';
+serverMessageDiv.style.zIndex = '2500';
+document.body.appendChild(serverMessageDiv);
+
+let serverMessageTimer = null;
+function showServerMessage(message) {
+    serverMessageDiv.textContent = `[Server] ${message}`;
+    serverMessageDiv.style.display = 'block';
+    clearTimeout(serverMessageTimer);
+    serverMessageTimer = setTimeout(() => {
+        serverMessageDiv.style.display = 'none';
+    }, 8000);
+}
+
 // Update health bar
 function updateHealthBar() {
-    const healthPercentage = Math.max(0, playerHealth);
+    const healthPercentage = Math.max(0, (playerHealth / maxHealth) * 100);
     healthBar.style.width = `${healthPercentage}%`;
     
     // Change color based on health
@@ -204,14 +345,35 @@ victoryDiv.style.textAlign = 'center';
 victoryDiv.style.zIndex = '1000'; // Ensure it's on top
 document.body.appendChild(victoryDiv);
 
+// Kept per tab so a refresh or dropped connection gets the same car back
+const SESSION_TOKEN_KEY = 'sessionToken';
+
 // Initialize socket connection
-function initSocket() {
+async function initSocket() {
     console.log('Initializing socket connection...');
-    socket = io('http://localhost:3000');
+    const serverUrl = await discoverServerUrl();
+    const options = {
+        // A function, so every reconnect sends the latest token
+        auth: (cb) => cb({
+            sessionToken: sessionStorage.getItem(SESSION_TOKEN_KEY),
+            role: spectating ? 'spectator' : 'player'
+        })
+    };
+    // No URL means the server that served this page
+    socket = serverUrl ? io(serverUrl, options) : io(options);
+    console.log('Connecting to', serverUrl || 'this page\'s origin');
+
+    initServerSelect(socket, serverUrl);
+
+    // Shown in the lobby if an admin kicks us
+    let kickedMessage = '';
+    initLeaderboard(serverUrl);
+
+    // Pick a room first; we only become a player once the server sends 'initialize'
+    initLobby(socket, { spectating });
 
     socket.on('connect', () => {
         console.log('Connected to server with ID:', socket.id);
-        myPlayerId = socket.id;
         updatePlayerCount();
     });
 
@@ -221,25 +383,79 @@ function initSocket() {
 
     socket.on('disconnect', (reason) => {
         console.log('Disconnected from server:', reason);
+
+        // The room is gone for us; a reconnect starts over in the lobby
+        leaveGame();
+        showLobby(kickedMessage);
+    });
+
+    // The last player left the room we were watching
+    socket.on('roomClosed', () => {
+        leaveGame();
+        showLobby('The room you were watching has closed');
+    });
+
+    // An admin removed us; the server closes the connection right after
+    socket.on('kicked', (data) => {
+        kickedMessage = `You were kicked from the server${data.reason ? `: ${data.reason}` : ''}. Reload to rejoin.`;
+    });
+
+    socket.on('serverMessage', (data) => {
+        showServerMessage(data.message);
+    });
+
+    // Sent when the server starts dropping our messages; keep it up and we're disconnected
+    socket.on('serverWarning', (data) => {
+        showServerMessage(data.message);
+    });
+
+    // An admin changed the score limit or max health mid-match
+    socket.on('roomRules', (rules) => {
+        setMaxHealth(rules.maxHealth);
     });
 
     socket.on('initialize', (data) => {
         console.log('Game initialized with data:', data);
+        if (data.role === 'spectator') {
+            startSpectating(data);
+            return;
+        }
         myPlayerId = data.id;
         console.log('My player ID:', myPlayerId);
+        sessionStorage.setItem(SESSION_TOKEN_KEY, data.sessionToken);
+        hideLobby();
+
+        myColor = data.players[myPlayerId].color;
+        setMaxHealth(data.rules.maxHealth);
+        playerHealth = data.health;
+        updateHealthBar();
+        if (car) {
+            paintCar(car, myColor);
+        }
+
+        playerIdsByNetId = new Map();
+        snapshotDecoder = new SnapshotDecoder();
+        for (const id in data.players) {
+            playerIdsByNetId.set(data.players[id].netId, id);
+        }
+
+        spawnPosition = data.position;
+        spawnRotation = data.rotation;
+        if (carBodyHandle !== null) {
+            physicsWorld.reconcileBody(carBodyHandle, { position: spawnPosition, rotation: spawnRotation }, { snapDistance: 0 });
+        }
+        matchState = data.match;
+        setControlsLocked(matchState.state === 'countdown');
+        updateScoreDisplay();
+        startRace(data.race);
+        startSoccer(data.soccer);
         
         // Create cars for existing players
-        let playerIndex = 0;
         for (const id in data.players) {
             if (id !== myPlayerId) {
                 console.log('Another player is already in the game:', id);
                 console.log('Player data:', data.players[id]);
-                createOtherPlayerCar({
-                    id: id,
-                    position: data.players[id].position,
-                    rotation: data.players[id].rotation,
-                    index: playerIndex++
-                });
+                createOtherPlayerCar(data.players[id]);
             }
         }
         updatePlayerCount();
@@ -249,75 +465,58 @@ function initSocket() {
         if (playerData.id !== myPlayerId) {
             console.log('Another player joined the game:', playerData.id);
             console.log('Player data:', playerData);
-            createOtherPlayerCar({
-                ...playerData,
-                index: Object.keys(otherPlayers).length
-            });
+            playerIdsByNetId.set(playerData.netId, playerData.id);
+            createOtherPlayerCar(playerData);
             updatePlayerCount();
         }
     });
 
-    socket.on('playerMoved', (data) => {
-        console.log('SIMPLE DEBUG: Received playerMoved event for player:', data.id);
-        
-        const otherPlayer = otherPlayers[data.id];
-        
-        if (!otherPlayer) {
-            console.warn('SIMPLE DEBUG: Could not find remote player for update:', data.id);
-            console.log('SIMPLE DEBUG: Available remote players:', Object.keys(otherPlayers));
-            return;
-        }
-        
-        if (!data.position) {
-            console.warn('SIMPLE DEBUG: No position data received for player:', data.id);
-            return;
-        }
-        
-        // Get previous position for logging
-        const oldPos = otherPlayer.mesh ? otherPlayer.mesh.position.clone() : null;
-        
-        // Update the mesh position and rotation
-        if (otherPlayer.mesh) {
-            otherPlayer.mesh.position.set(
-                data.position.x,
-                data.position.y,
-                data.position.z
-            );
-            
-            if (data.rotation) {
-                otherPlayer.mesh.quaternion.set(
-                    data.rotation.x,
-                    data.rotation.y,
-                    data.rotation.z,
-                    data.rotation.w
-                );
-            }
-            
-            console.log('SIMPLE DEBUG: Updated remote car position from', 
-                oldPos ? `(${oldPos.x.toFixed(2)}, ${oldPos.y.toFixed(2)}, ${oldPos.z.toFixed(2)})` : 'unknown',
-                'to', 
-                `(${data.position.x.toFixed(2)}, ${data.position.y.toFixed(2)}, ${data.position.z.toFixed(2)})`
-            );
-        }
-        
-        // Update the physics body if it exists
-        if (otherPlayer.body) {
-            otherPlayer.body.setTranslation(data.position, true);
-            if (data.rotation) {
-                otherPlayer.body.setRotation(data.rotation, true);
+    // Every car in the room, binary and delta-encoded against the last
+    // snapshot we acknowledged
+    socket.on('worldSnapshot', (buffer) => {
+        const snapshot = snapshotDecoder.decode(buffer);
+        if (!snapshot) return;
+
+        socket.emit('snapshotAck', snapshot.seq);
+        serverClock.observe(snapshot.timestamp);
+
+        for (const [netId, entity] of snapshot.entities) {
+            if (netId === BALL_NET_ID) {
+                if (soccerBall) soccerBall.snapshots.push({ ...dequantizeEntity(entity), timestamp: snapshot.timestamp });
+                continue;
             }
+            const id = playerIdsByNetId.get(netId);
+            if (!id) continue;
+
+            applyCarSnapshot({
+                id,
+                ...dequantizeEntity(entity),
+                // Only meaningful for our own car
+                lastProcessedInput: snapshot.ackInput,
+                timestamp: snapshot.timestamp
+            });
         }
     });
 
     socket.on('playerLeft', (id) => {
+        for (const [netId, playerId] of playerIdsByNetId) {
+            if (playerId === id) playerIdsByNetId.delete(netId);
+        }
         if (otherPlayers[id]) {
-            scene.remove(otherPlayers[id].mesh);
-            physicsWorld.world.removeRigidBody(otherPlayers[id].body);
-            delete otherPlayers[id];
+            removeOtherPlayer(id);
             console.log('Player left the game:', id);
             updatePlayerCount();
         }
     });
+
+    // A player's connection dropped; the server holds their car for a while
+    socket.on('playerDisconnected', (data) => {
+        setOtherPlayerDisconnected(data.id, true);
+    });
+
+    socket.on('playerReconnected', (data) => {
+        setOtherPlayerDisconnected(data.id, false);
+    });
     
     
 
@@ -336,37 +535,23 @@ function initSocket() {
            }, 200);
         } else if (otherPlayers[data.id]) {
             otherPlayers[data.id].health = data.health;
+            otherPlayers[data.id].nameplate.setHealth(data.health);
         }
     });
 
-    socket.on('scoreUpdate', (scoreData) => {
-        try {
-            // Handle both array and object formats
-            if (Array.isArray(scoreData)) {
-                scoreData.forEach(({ id, score }) => {
-                    if (id === myPlayerId) {
-                        playerScore = score;
-                    } else {
-                        otherPlayerScore = score;
-                    }
-                });
-            } else if (typeof scoreData === 'object') {
-                // Convert object format to array format
-                Object.entries(scoreData).forEach(([id, score]) => {
-                    if (id === myPlayerId) {
-                        playerScore = score;
-                    } else {
-                        otherPlayerScore = score;
-                    }
-                });
-            } else {
-                console.error('Invalid score update format:', scoreData);
-                return;
-            }
-            updateScoreDisplay();
-        } catch (error) {
-            console.error('Error processing score update:', error);
+    // The whole scoreboard: name, colour, score, kills, deaths and ping per player
+    socket.on('scoreUpdate', (rows) => {
+        if (!Array.isArray(rows)) {
+            console.error('Invalid score update format:', rows);
+            return;
         }
+        scoreboardRows = rows;
+        updateScoreDisplay();
+    });
+
+    // The server times this round trip to show our ping
+    socket.on('latencyCheck', (ack) => {
+        if (typeof ack === 'function') ack();
     });
 
     socket.on('bulletCreated', (data) => {
@@ -375,88 +560,519 @@ function initSocket() {
             console.log('[DEBUG] Ignoring own bullet:', data.id);
             return;
         }
+        spawnRemoteBullet(data);
+    });
     
-        console.log('[DEBUG] Bullet created by other player:', data);
-    
-        // Create visual + physics bullet
-        const bulletGeometry = new THREE.SphereGeometry(0.2, 8, 8);
-        const bulletMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0x00ffff, // Cyan color for other players' bullets
-            transparent: true,
-            opacity: 1.0
-        });
-        const bulletMesh = new THREE.Mesh(bulletGeometry, bulletMaterial);
-        
-        // Ensure bullet is visible
-        bulletMesh.visible = true;
-        bulletMesh.material.needsUpdate = true;
-        
-        bulletMesh.position.set(data.position.x, data.position.y, data.position.z);
-        scene.add(bulletMesh);
-    
-        // Create physics body with increased damping for stability
-        const bulletBodyDesc = RAPIER.RigidBodyDesc.dynamic()
-            .setTranslation(data.position.x, data.position.y, data.position.z)
-            .setLinearDamping(0.1) // Increased damping
-            .setAngularDamping(0.5) // Increased angular damping
-            .setCcdEnabled(true); // Enable continuous collision detection
-    
-        const bulletBody = physicsWorld.world.createRigidBody(bulletBodyDesc);
-        const bulletColliderDesc = RAPIER.ColliderDesc.ball(0.2)
-            .setRestitution(0.2)
-            .setFriction(0.0)
-            .setDensity(0.1);
-        physicsWorld.world.createCollider(bulletColliderDesc, bulletBody);
+    socket.on('matchCountdown', (data) => {
+        setControlsLocked(true);
+        showBanner(String(data.secondsLeft), '#ffffff');
+    });
+
+    // The server owns the match lifecycle; we just follow along
+    socket.on('matchState', showMatchState);
+
+    // The server decided this bullet hit something or expired
+    socket.on('bulletRemoved', (bulletId) => {
+        const bullet = bullets.find((b) => b.id === bulletId);
+        if (bullet) {
+            removeBullet(bullet);
+        }
+    });
+
+    socket.on('gameOver', showGameOver);
+
+    socket.on('raceStandings', applyRaceStandings);
+
+    // We passed a checkpoint
+    socket.on('raceSplit', (data) => {
+        raceHud.showSplit(data);
+    });
+
+    socket.on('raceLap', showRaceLap);
+
+    socket.on('raceFinish', showRaceFinish);
+
+    socket.on('wrongWay', (data) => {
+        raceHud.setWrongWay(data.wrongWay);
+    });
+
+    socket.on('soccerState', (data) => {
+        soccerHud.setState(data);
+    });
+
+    socket.on('soccerGoal', showSoccerGoal);
+}
+
+// Race rooms send their track; anything else clears the race HUD
+function startRace(race) {
+    if (!race) {
+        raceHud.stop();
+        trackMarkers.clear();
+        return;
+    }
+    raceHud.start(race.track);
+    trackMarkers.build(race.track);
+    applyRaceStandings(race.standings);
+}
+
+// Soccer rooms send their goals and score; anything else clears them
+function startSoccer(soccer) {
+    soccerField.clear();
+    if (soccerBall) {
+        removePhysicsSphere(soccerBall);
+        soccerBall = null;
+    }
+    if (!soccer) {
+        soccerHud.stop();
+        return;
+    }
+
+    soccerHud.start(soccer);
+    soccerField.build(soccer.goals);
+    // The server moves the ball; our car only bumps into it
+    soccerBall = createPhysicsSphere(BALL_COLOR, { x: 0, y: 0, z: 0 }, BALL_RADIUS, { kinematic: true });
+    soccerBall.snapshots = new SnapshotBuffer();
+}
+
+// Whether a round or match winner is us: a player, or our soccer team
+function isOurWin(winnerId) {
+    const mine = scoreboardRows.find((row) => row.id === myPlayerId);
+    return winnerId === myPlayerId || (!!mine && mine.team !== null && winnerId === mine.team);
+}
+
+function applyRaceStandings(rows) {
+    if (!raceHud.active) return;
+    raceHud.setStandings(rows, myPlayerId);
+    const mine = rows.find((row) => row.id === myPlayerId);
+    trackMarkers.highlight(mine ? mine.nextGate : 0);
+}
+
+function showRaceLap(data) {
+    if (!data.personalBest) return;
+    if (data.id === myPlayerId) {
+        showBanner(`NEW BEST LAP ${formatLapTime(data.lapMs)}`, '#ffd700', 2000);
+    } else if (watching) {
+        showBanner(`${playerName(data.id)} BEST LAP ${formatLapTime(data.lapMs)}`, '#ffd700', 2000);
+    }
+}
+
+function showRaceFinish(data) {
+    if (data.id === myPlayerId) {
+        showBanner(`FINISHED P${data.place}`, '#ffffff', 3000);
+    } else if (watching) {
+        showBanner(`${playerName(data.id)} FINISHED P${data.place}`, '#ffffff', 3000);
+    }
+}
+
+function showSoccerGoal(data) {
+    showBanner('GOAL!', getTeam(data.team).color, 2500);
+    soccerHud.showGoal(data, data.scorerId ? playerName(data.scorerId) : null);
+}
+
+// A match state change, live or from a replay
+function showMatchState(data) {
+    matchState = data;
+    setControlsLocked(data.state === 'countdown');
+    updateScoreDisplay();
+
+    if (data.state === 'live') {
+        showBanner('GO!', '#4CAF50', 1000);
+    } else if (data.state === 'waiting') {
+        victoryDiv.style.display = 'none';
+    } else if (data.state === 'postMatch' && !data.winnerId && watching) {
+        showBanner(`${playerName(data.roundWinnerId)} WINS THE ROUND`, '#ffffff');
+    } else if (data.state === 'postMatch' && !data.winnerId) {
+        // Match winners get the game over screen instead
+        const wonRound = isOurWin(data.roundWinnerId);
+        showBanner(wonRound ? 'ROUND WON' : 'ROUND LOST', wonRound ? '#4CAF50' : '#f44336');
+    }
+}
+
+// Players get their own result; spectators and replay viewers the winner
+function showGameOver(data) {
+    console.log('Game over event received:', data);
+    if (watching) {
+        showBanner(`${playerName(data.winnerId)} WINS!`, '#ffffff');
+        return;
+    }
+    if (isOurWin(data.winnerId)) {
+        console.log('I won!');
+        victoryDiv.textContent = 'YOU WIN!!!';
+        victoryDiv.style.color = '#4CAF50'; // Green color for victory
+        victoryDiv.style.fontSize = '96px'; // Make it bigger
+        victoryDiv.style.textShadow = '4px 4px 8px rgba(0,0,0,0.8)'; // Enhanced shadow
+    } else {
+        console.log('I lost!');
+        victoryDiv.textContent = 'GAME OVER';
+        victoryDiv.style.color = '#f44336'; // Red color for defeat
+        victoryDiv.style.fontSize = '72px';
+        victoryDiv.style.textShadow = '2px 2px 4px rgba(0,0,0,0.5)';
+    }
+    victoryDiv.style.display = 'block';
+    // The server resets scores and positions when the next match starts
+}
+
+// Another player's bullet: visual + physics, simulated locally until the
+// server removes it
+function spawnRemoteBullet(data) {
+    console.log('[DEBUG] Bullet created by other player:', data);
+
+    // Create visual + physics bullet
+    const bulletGeometry = new THREE.SphereGeometry(0.2, 8, 8);
+    const bulletMaterial = new THREE.MeshBasicMaterial({ 
+        color: 0x00ffff, // Cyan color for other players' bullets
+        transparent: true,
+        opacity: 1.0
+    });
+    const bulletMesh = new THREE.Mesh(bulletGeometry, bulletMaterial);
     
-        // Apply velocity and log for debugging
-        const velocity = {
-            x: data.velocity.x * 1.2, // Slightly increase velocity to compensate for damping
-            y: data.velocity.y * 1.2,
-            z: data.velocity.z * 1.2
-        };
-        bulletBody.setLinvel(velocity, true);
-        console.log('[DEBUG] Set bullet velocity:', velocity);
+    // Ensure bullet is visible
+    bulletMesh.visible = true;
+    bulletMesh.material.needsUpdate = true;
     
-        const bullet = {
-            id: data.id,
-            mesh: bulletMesh,
-            body: bulletBody,
-            spawnTime: Date.now(),
-            owner: data.owner
-        };
+    bulletMesh.position.set(data.position.x, data.position.y, data.position.z);
+    scene.add(bulletMesh);
+
+    // Create physics body with increased damping for stability
+    const bulletBodyDesc = RAPIER.RigidBodyDesc.dynamic()
+        .setTranslation(data.position.x, data.position.y, data.position.z)
+        .setLinearDamping(0.1) // Increased damping
+        .setAngularDamping(0.5) // Increased angular damping
+        .setCcdEnabled(true); // Enable continuous collision detection
+
+    const bulletBody = physicsWorld.world.createRigidBody(bulletBodyDesc);
+    const bulletColliderDesc = RAPIER.ColliderDesc.ball(0.2)
+        .setRestitution(0.2)
+        .setFriction(0.0)
+        .setDensity(0.1);
+    physicsWorld.world.createCollider(bulletColliderDesc, bulletBody);
+
+    // Apply velocity and log for debugging
+    const velocity = {
+        x: data.velocity.x * 1.2, // Slightly increase velocity to compensate for damping
+        y: data.velocity.y * 1.2,
+        z: data.velocity.z * 1.2
+    };
+    bulletBody.setLinvel(velocity, true);
+    console.log('[DEBUG] Set bullet velocity:', velocity);
+
+    const bullet = {
+        id: data.id,
+        mesh: bulletMesh,
+        body: bulletBody,
+        spawnTime: Date.now(),
+        owner: data.owner
+    };
+
+    bullets.push(bullet);
+    console.log('[DEBUG] Added bullet to array, total bullets:', bullets.length);
     
-        bullets.push(bullet);
-        console.log('[DEBUG] Added bullet to array, total bullets:', bullets.length);
-        
-        // Set cooldown for self-hit
-        bulletCooldowns.set(data.id, Date.now() + 500);
+    // Set cooldown for self-hit
+    bulletCooldowns.set(data.id, Date.now() + 500);
+}
+
+// Forget the room we were in, e.g. after a disconnect
+function leaveGame() {
+    myPlayerId = null;
+    myColor = null;
+    matchState = null;
+    scoreboardRows = [];
+    playerIdsByNetId = new Map();
+    snapshotDecoder = new SnapshotDecoder();
+    pendingInputs = [];
+    unsentInputs = [];
+    Object.keys(otherPlayers).forEach(removeOtherPlayer);
+    spectatorView.stop();
+    startRace(null);
+    startSoccer(null);
+    updatePlayerCount();
+}
+
+// Watch a room: every car is a remote one, and we have none of our own
+function startSpectating(data) {
+    hideLobby();
+    healthBarContainer.style.display = 'none';
+    setMaxHealth(data.rules.maxHealth);
+
+    playerIdsByNetId = new Map();
+    snapshotDecoder = new SnapshotDecoder();
+    for (const id in data.players) {
+        playerIdsByNetId.set(data.players[id].netId, id);
+        createOtherPlayerCar(data.players[id]);
+    }
+
+    matchState = data.match;
+    updateScoreDisplay();
+    updatePlayerCount();
+    startRace(data.race);
+    startSoccer(data.soccer);
+    spectatorView.start();
+}
+
+// Watch a recorded match: every car is a remote one, fed by the replay
+async function startReplayViewer() {
+    healthBarContainer.style.display = 'none';
+    hideLobby();
+    spectatorView.start('Replay');
+
+    const view = {
+        setRoster: setReplayRoster,
+        pushCarState: (id, state) => otherPlayers[id]?.snapshots.push(state),
+        pushBallState: (state) => soccerBall?.snapshots.push(state),
+        applyEvent: applyReplayEvent
+    };
+    const serverUrl = await discoverServerUrl();
+    initLeaderboard(serverUrl);
+    initReplayViewer(serverUrl, (replay) => {
+        replayPlayer = new ReplayPlayer(replay, view);
+        setMaxHealth(replay.header.rules.maxHealth);
+        // Older replays have neither
+        startRace(replay.header.race || null);
+        startSoccer(replay.header.soccer || null);
+        replayPlayer.seek(0);
+        replayPlayer.play();
+        return replayPlayer;
     });
-    
-    socket.on('gameOver', (data) => {
-        console.log('Game over event received:', data);
-        if (data.winnerId === myPlayerId) {
-            console.log('I won!');
-            victoryDiv.textContent = 'YOU WIN!!!';
-            victoryDiv.style.color = '#4CAF50'; // Green color for victory
-            victoryDiv.style.fontSize = '96px'; // Make it bigger
-            victoryDiv.style.textShadow = '4px 4px 8px rgba(0,0,0,0.8)'; // Enhanced shadow
+}
+
+// After a seek: exactly these cars, with nothing queued and no bullets flying
+function setReplayRoster(players) {
+    const ids = new Set(players.map((player) => player.id));
+    Object.keys(otherPlayers).filter((id) => !ids.has(id)).forEach(removeOtherPlayer);
+    for (const player of players) {
+        if (otherPlayers[player.id]) {
+            otherPlayers[player.id].snapshots.clear();
         } else {
-            console.log('I lost!');
-            victoryDiv.textContent = 'GAME OVER';
-            victoryDiv.style.color = '#f44336'; // Red color for defeat
-            victoryDiv.style.fontSize = '72px';
-            victoryDiv.style.textShadow = '2px 2px 4px rgba(0,0,0,0.5)';
+            createOtherPlayerCar(player);
         }
-        victoryDiv.style.display = 'block';
-        
-        // Reset game after 3 seconds
-        setTimeout(() => {
-            victoryDiv.style.display = 'none';
-            // Reset scores
-            playerScore = 0;
-            otherPlayerScore = 0;
+    }
+    if (soccerBall) soccerBall.snapshots.clear();
+    bullets.slice().forEach(removeBullet);
+    victoryDiv.style.display = 'none';
+    updatePlayerCount();
+}
+
+// The room events a replay recorded. While seeking only state is rebuilt:
+// no bullets or banners for things that happened before the playhead.
+function applyReplayEvent(event, data, seeking) {
+    switch (event) {
+        case 'playerJoined':
+            createOtherPlayerCar(data);
+            updatePlayerCount();
+            break;
+        case 'playerLeft':
+            removeOtherPlayer(data);
+            updatePlayerCount();
+            break;
+        case 'playerHealthUpdate':
+            if (otherPlayers[data.id]) {
+                otherPlayers[data.id].health = data.health;
+                otherPlayers[data.id].nameplate.setHealth(data.health);
+            }
+            break;
+        case 'scoreUpdate':
+            scoreboardRows = data;
             updateScoreDisplay();
-        }, 3000);
+            break;
+        case 'roomRules':
+            setMaxHealth(data.maxHealth);
+            break;
+        case 'matchState':
+            if (seeking) {
+                matchState = data;
+                updateScoreDisplay();
+            } else {
+                showMatchState(data);
+            }
+            break;
+        case 'gameOver':
+            showGameOver(data);
+            break;
+        case 'bulletCreated':
+            spawnRemoteBullet(data);
+            break;
+        case 'bulletRemoved': {
+            const bullet = bullets.find((b) => b.id === data);
+            if (bullet) removeBullet(bullet);
+            break;
+        }
+        case 'raceStandings':
+            applyRaceStandings(data);
+            break;
+        case 'raceLap':
+            showRaceLap(data);
+            break;
+        case 'raceFinish':
+            showRaceFinish(data);
+            break;
+        case 'soccerState':
+            soccerHud.setState(data);
+            break;
+        case 'soccerGoal':
+            showSoccerGoal(data);
+            break;
+    }
+}
+
+// Laps on our own against the ghost of the best one. The landscape and our
+// car have to be loaded.
+function startTimeTrial() {
+    healthBarContainer.style.display = 'none';
+    hideLobby();
+
+    // Ray casts only see the landscape once the world has stepped
+    physicsWorld.step();
+    const track = getTrack(timeTrialTrackId) || getTrack(DEFAULT_TRACK_ID);
+    const onGround = (gate) => ({ ...gate, y: physicsWorld.groundHeight(gate.x, gate.z) ?? 0 });
+    const placed = { ...track, start: onGround(track.start), checkpoints: track.checkpoints.map(onGround) };
+
+    timeTrial = new TimeTrial(placed, loadGhost(track.id));
+    ghostCar = new GhostCar(scene);
+    raceHud.start({ ...placed, laps: Infinity }, { waitingText: 'Cross the line to start' });
+    trackMarkers.build(placed);
+    initTimeTrialPanel(timeTrial, {
+        restart: restartTimeTrial,
+        importGhost: (ghost) => {
+            timeTrial.setGhost(ghost);
+            saveGhost(ghost);
+            showTimeTrialBest();
+        }
+    });
+    showTimeTrialBest();
+    restartTimeTrial();
+}
+
+// Back on the grid, waiting to cross the line
+function restartTimeTrial() {
+    const slot = gridSlot(timeTrial.track, 0);
+    const ground = physicsWorld.groundHeight(slot.position.x, slot.position.z) ?? 0;
+    physicsWorld.reconcileBody(carBodyHandle, {
+        position: { ...slot.position, y: ground + CAR_HALF_EXTENTS.y + 1 },
+        rotation: slot.rotation,
+        linvel: { x: 0, y: 0, z: 0 },
+        angvel: { x: 0, y: 0, z: 0 }
+    }, { snapDistance: 0 });
+
+    timeTrial.restart();
+    raceHud.setStandings([], null);
+    raceHud.setWrongWay(false);
+    trackMarkers.highlight(timeTrial.track.checkpoints.length);
+}
+
+function showTimeTrialBest() {
+    const { ghost } = timeTrial;
+    setTimeTrialStatus(ghost ? `Best lap ${formatLapTime(ghost.lapMs)}` : 'No best lap yet: set one to race its ghost');
+}
+
+// Time the physics step just taken and record where it left the car
+function stepTimeTrial() {
+    const body = physicsWorld.world.bodies.get(carBodyHandle);
+    if (!body) return;
+
+    const events = timeTrial.step(body.translation(), body.rotation(), body.linvel());
+    for (const event of events) {
+        if (event.type === 'checkpoint') {
+            raceHud.showSplit(event);
+        } else if (event.type === 'lap' && event.newBest) {
+            const saved = saveGhost(timeTrial.ghost);
+            showBanner(`NEW BEST LAP ${formatLapTime(event.lapMs)}`, '#ffd700', 2000);
+            showTimeTrialBest();
+            if (!saved) setTimeTrialStatus('This browser would not save the new best lap; export it instead');
+        }
+    }
+    if (events.length > 0) {
+        const row = timeTrial.standing();
+        raceHud.setStandings([row], row.id);
+        trackMarkers.highlight(row.nextGate);
+    }
+    raceHud.setWrongWay(timeTrial.wrongWay);
+}
+
+// Display name for a player id, from the scoreboard or their car
+function playerName(id) {
+    const team = getTeam(id);
+    if (team) return team.name;
+    const row = scoreboardRows.find((r) => r.id === id);
+    return row ? row.name : otherPlayers[id]?.name || 'Someone';
+}
+
+// Show a short message in the middle of the screen, optionally hiding it again
+function showBanner(text, color, hideAfter = null) {
+    victoryDiv.textContent = text;
+    victoryDiv.style.color = color;
+    victoryDiv.style.fontSize = '96px';
+    victoryDiv.style.textShadow = '4px 4px 8px rgba(0,0,0,0.8)';
+    victoryDiv.style.display = 'block';
+
+    if (hideAfter !== null) {
+        setTimeout(() => {
+            if (victoryDiv.textContent === text) {
+                victoryDiv.style.display = 'none';
+            }
+        }, hideAfter);
+    }
+}
+
+function setControlsLocked(locked) {
+    controlsLocked = locked;
+}
+
+function applyCarSnapshot(data) {
+    // Our own car: the server state is the truth, correct the prediction
+    if (data.id === myPlayerId) {
+        reconcileLocalCar(data);
+        return;
+    }
+
+    const otherPlayer = otherPlayers[data.id];
+    if (!otherPlayer) {
+        console.warn('Could not find remote player for update:', data.id);
+        return;
+    }
+
+    // Rendered later by updateRemotePlayers()
+    otherPlayer.snapshots.push(data);
+}
+
+// Remove another player's car from the scene and physics world
+function removeOtherPlayer(id) {
+    const otherPlayer = otherPlayers[id];
+    if (!otherPlayer) return;
+
+    scene.remove(otherPlayer.mesh);
+    scene.remove(otherPlayer.nameplate.sprite);
+    otherPlayer.nameplate.dispose();
+    if (otherPlayer.body) {
+        physicsWorld.world.removeRigidBody(otherPlayer.body);
+    }
+    delete otherPlayers[id];
+}
+
+// Give a car model the player's colour
+function paintCar(mesh, color) {
+    mesh.traverse((child) => {
+        if (child.isMesh) {
+            child.material = new THREE.MeshStandardMaterial({
+                color: color,
+                metalness: 0.5,
+                roughness: 0.5
+            });
+        }
+    });
+}
+
+// Grey out a car whose player dropped, or restore its colour when they're back
+function setOtherPlayerDisconnected(id, disconnected) {
+    const otherPlayer = otherPlayers[id];
+    if (!otherPlayer) return;
+
+    otherPlayer.disconnected = disconnected;
+    otherPlayer.mesh.traverse((child) => {
+        if (child.isMesh) {
+            child.material.color.set(disconnected ? 0x808080 : otherPlayer.color);
+            child.material.transparent = disconnected;
+            child.material.opacity = disconnected ? 0.5 : 1;
+        }
     });
 }
 
@@ -464,8 +1080,8 @@ function initSocket() {
 function createOtherPlayerCar(playerData) {
     console.log('SIMPLE DEBUG: Creating remote car for player:', playerData.id);
     
-    // Create a simple box for immediate visibility
-    const color = playerData.index % 2 === 0 ? 0xff0000 : 0x0000ff; // red or blue
+    // Create a simple box for immediate visibility, in the player's colour
+    const color = playerData.color || '#888888';
     const geo = new THREE.BoxGeometry(4, 2, 8);
     const mat = new THREE.MeshStandardMaterial({ color });
     const tempMesh = new THREE.Mesh(geo, mat);
@@ -483,12 +1099,27 @@ function createOtherPlayerCar(playerData) {
     scene.add(tempMesh);
     
     console.log('SIMPLE DEBUG: Added temporary remote car at position:', position);
+
+    // Name and health above the car
+    const health = playerData.health ?? 100;
+    const nameplate = new Nameplate(playerData.name || 'Player', color, maxHealth);
+    nameplate.setHealth(health);
+    nameplate.follow(tempMesh.position);
+    scene.add(nameplate.sprite);
     
     // Store the temp mesh
+    const snapshots = new SnapshotBuffer();
     otherPlayers[playerData.id] = { 
         mesh: tempMesh,
+        snapshots,
+        name: playerData.name || 'Player',
+        color,
+        nameplate,
+        health,
+        disconnected: false,
         isTemporary: true
     };
+    setOtherPlayerDisconnected(playerData.id, !!playerData.disconnected);
     
     console.log('SIMPLE DEBUG: Stored remote player with ID:', playerData.id);
     console.log('SIMPLE DEBUG: otherPlayers keys:', Object.keys(otherPlayers));
@@ -498,20 +1129,21 @@ function createOtherPlayerCar(playerData) {
         'car2.glb',
         (gltf) => {
             console.log('SIMPLE DEBUG: Car model loaded for remote player:', playerData.id);
+
+            // The player left (or we did) while the model was loading
+            if (!otherPlayers[playerData.id] || otherPlayers[playerData.id].snapshots !== snapshots) {
+                return;
+            }
+
             const mesh = gltf.scene;
             
             mesh.traverse((child) => {
                 if (child.isMesh) {
                     child.castShadow = true;
                     child.receiveShadow = true;
-                    // Use a colored material to distinguish cars
-                    child.material = new THREE.MeshStandardMaterial({ 
-                        color: color,
-                        metalness: 0.5,
-                        roughness: 0.5
-                    });
                 }
             });
+            paintCar(mesh, color);
             
             // Copy position and rotation from temp mesh
             mesh.position.copy(tempMesh.position);
@@ -520,18 +1152,15 @@ function createOtherPlayerCar(playerData) {
             // Remove the temporary mesh
             scene.remove(tempMesh);
             
-            // Create physics body
+            // Create physics body. It's kinematic: remote cars move where the
+            // interpolated snapshots put them, but the local car still hits them.
             const boundingBox = new THREE.Box3().setFromObject(mesh);
             const size = new THREE.Vector3();
             boundingBox.getSize(size);
             
-            const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
-                .setTranslation(position.x, position.y, position.z)
-                .setLinearDamping(0.3)
-                .setAngularDamping(0.8)
-                .setCanSleep(false)
-                .setCcdEnabled(true)
-                .setGravityScale(1.2);
+            const bodyDesc = RAPIER.RigidBodyDesc.kinematicPositionBased()
+                .setTranslation(mesh.position.x, mesh.position.y, mesh.position.z)
+                .setRotation(mesh.quaternion);
             
             const body = physicsWorld.world.createRigidBody(bodyDesc);
             if (!body) {
@@ -547,11 +1176,18 @@ function createOtherPlayerCar(playerData) {
             physicsWorld.world.createCollider(colliderDesc, body);
             
             // Replace the temporary mesh with the actual car model
+            const { disconnected, health } = otherPlayers[playerData.id];
             otherPlayers[playerData.id] = {
                 mesh: mesh,
                 body: body,
-                health: 100 // Keep the health property but remove healthBar
+                snapshots,
+                name: playerData.name || 'Player',
+                color,
+                nameplate,
+                health,
+                disconnected
             };
+            setOtherPlayerDisconnected(playerData.id, disconnected);
             
             // Add to scene
             scene.add(mesh);
@@ -574,6 +1210,7 @@ function createOtherPlayerCar(playerData) {
 function setupControls() {
     console.log('[DEBUG] Setting up controls');
     document.addEventListener('keydown', (event) => {
+        if (event.repeat) return;
         switch(event.key.toLowerCase()) {
             case 'w':
                 carControls.w = true;
@@ -599,14 +1236,24 @@ function setupControls() {
                     }
                 }
                 break;
-            case 'f': // Flip car
+            case 'f': // Flip car (applied with the next input)
                 carControls.f = true;
-                flipCar();
+                break;
+            case 'r': // Time trials: back to the grid
+                if (timeTrial) restartTimeTrial();
                 break;
             case ' ': // Spacebar for shooting
                 carControls.space = true;
                 fireBullet();
                 break;
+            case 'l': // Lifetime stats
+                toggleLeaderboard();
+                break;
+            case 'tab': // Hold for the full scoreboard
+                event.preventDefault();
+                scoreboardExpanded = true;
+                updateScoreDisplay();
+                break;
         }
     });
 
@@ -630,43 +1277,85 @@ function setupControls() {
             case ' ': // Spacebar
                 carControls.space = false;
                 break;
+            case 'tab':
+                scoreboardExpanded = false;
+                updateScoreDisplay();
+                break;
         }
     });
 }
 
-// Function to flip the car back over
-function flipCar() {
-    if (!car || !carBodyHandle) return;
-    
-    const body = physicsWorld.world.bodies.get(carBodyHandle);
-    if (!body) return;
+// Spectators only pick what to look at
+function setupSpectatorControls() {
+    document.addEventListener('keydown', (event) => {
+        if (event.repeat) return;
+        switch (event.key.toLowerCase()) {
+            case 'q':
+                spectatorView.cycle(Object.keys(otherPlayers), -1);
+                break;
+            case 'e':
+                spectatorView.cycle(Object.keys(otherPlayers), 1);
+                break;
+            case 'v':
+                spectatorView.setFreeCamera(!spectatorView.freeCamera);
+                break;
+            case 'l':
+                toggleLeaderboard();
+                break;
+            case 'tab':
+                event.preventDefault();
+                scoreboardExpanded = true;
+                updateScoreDisplay();
+                break;
+        }
+    });
 
-    // Get car's current orientation
-    const rot = body.rotation();
-    const quaternion = new THREE.Quaternion(rot.x, rot.y, rot.z, rot.w);
-    const up = new THREE.Vector3(0, 1, 0);
-    const carUp = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion);
-    
-    // Check if car is upside down (dot product < 0)
-    if (up.dot(carUp) < 0) {
-        // Apply upward force and rotation to flip the car
-        const pos = body.translation();
-        
-        // Stop current movement
-        body.setLinvel({ x: 0, y: 0, z: 0 }, true);
-        body.setAngvel({ x: 0, y: 0, z: 0 }, true);
-        
-        // Lift the car slightly
-        body.setTranslation({ x: pos.x, y: pos.y + 2, z: pos.z }, true);
-        
-        // Apply rotation to right the car
-        const targetRotation = new THREE.Quaternion().setFromEuler(
-            new THREE.Euler(0, quaternion.y, 0)
-        );
-        body.setRotation(targetRotation, true);
-        
-        console.log("Flipping car back over");
+    document.addEventListener('keyup', (event) => {
+        if (event.key.toLowerCase() === 'tab') {
+            scoreboardExpanded = false;
+            updateScoreDisplay();
+        }
+    });
+}
+
+// Replays add playback keys to the spectator ones
+function setupReplayControls() {
+    document.addEventListener('keydown', (event) => {
+        // Leave the file picker and slider their own keys
+        if (!replayPlayer || event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') return;
+        switch (event.key) {
+            case ' ':
+                event.preventDefault();
+                replayPlayer.toggle();
+                break;
+            case 'ArrowLeft':
+                replayPlayer.seek(replayPlayer.time - REPLAY_SKIP_MS);
+                break;
+            case 'ArrowRight':
+                replayPlayer.seek(replayPlayer.time + REPLAY_SKIP_MS);
+                break;
+        }
+    });
+}
+
+// Send this frame's inputs to the server, which simulates the car
+function flushInputs() {
+    if (!socket || !myPlayerId || unsentInputs.length === 0) return;
+
+    socket.emit('playerInput', unsentInputs);
+    unsentInputs = [];
+}
+
+// Rewind to the server's state for our car and replay what it hasn't seen yet
+function reconcileLocalCar(state) {
+    if (carBodyHandle === null) return;
+
+    while (pendingInputs.length > 0 && pendingInputs[0].seq <= state.lastProcessedInput) {
+        lastAcknowledgedInput = pendingInputs.shift();
     }
+
+    const predicted = physicsWorld.resimulate(state, pendingInputs, lastAcknowledgedInput);
+    physicsWorld.reconcileBody(carBodyHandle, predicted);
 }
 
 // Update car physics based on controls
@@ -765,6 +1454,15 @@ function updateCarPhysics() {
 
 // Update camera to follow car
 function updateCamera() {
+    if (watching) {
+        const targets = new Map();
+        for (const id in otherPlayers) {
+            targets.set(id, { position: otherPlayers[id].mesh.position, name: otherPlayers[id].name });
+        }
+        spectatorView.update(targets);
+        return;
+    }
+
     if (!car || !carBodyHandle) return;
     
     const body = physicsWorld.world.bodies.get(carBodyHandle);
@@ -828,22 +1526,8 @@ function loadLandscape() {
                         const verticesArray = new Float32Array(vertices);
                         const indicesArray = new Uint32Array(indices);
 
-                        // Remove old ground body if it exists
-                        if (groundBodyHandle) {
-                            const oldBody = physicsWorld.world.bodies.get(groundBodyHandle);
-                            if (oldBody) {
-                                physicsWorld.world.removeRigidBody(oldBody);
-                            }
-                        }
-
-                        // Create ground body + TriMesh collider
-                        const groundBodyDesc = RAPIER.RigidBodyDesc.fixed();
-                        const groundBody = physicsWorld.world.createRigidBody(groundBodyDesc);
-
-                        const colliderDesc = RAPIER.ColliderDesc.trimesh(verticesArray, indicesArray);
-                        physicsWorld.world.createCollider(colliderDesc, groundBody);
-
-                        groundBodyHandle = groundBody.handle;
+                        // Create ground body + TriMesh collider (replaces any old ground)
+                        groundBodyHandle = physicsWorld.createTrimeshGround(verticesArray, indicesArray);
 
                         console.log('Created trimesh collider with', positionAttr.count, 'vertices');
                     }
@@ -900,30 +1584,17 @@ function loadCar() {
                         child.receiveShadow = true;
                     }
                 });
+                if (myColor) {
+                    paintCar(car, myColor);
+                }
                 
-                // Position car
-                car.position.set(0, 2, 0);
+                // Position car at the server's spawn point if we already have it
+                const start = spawnPosition || { x: 0, y: 2, z: 0 };
+                car.position.set(start.x, start.y, start.z);
                 scene.add(car);
                 
-                // Create physics body for car
-                const boundingBox = new THREE.Box3().setFromObject(car);
-                const size = new THREE.Vector3();
-                boundingBox.getSize(size);
-                const center = new THREE.Vector3();
-                boundingBox.getCenter(center);
-                
-                console.log("Creating car physics body with size:", size);
-                
-                // Create physics body with improved stability settings
-                const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
-                    .setTranslation(center.x, center.y, center.z)
-                    .setLinearDamping(0.3)
-                    .setAngularDamping(0.8)
-                    .setCanSleep(false)
-                    .setCcdEnabled(true)
-                    .setGravityScale(1.2);
-                
-                const body = physicsWorld.world.createRigidBody(bodyDesc);
+                // Same body and collider the server simulates
+                const body = createCarBody(RAPIER, physicsWorld.world, start, spawnRotation || undefined);
                 if (!body) {
                     console.error("Failed to create physics body for car");
                     reject(new Error("Failed to create physics body"));
@@ -933,14 +1604,6 @@ function loadCar() {
                 carBodyHandle = body.handle;
                 console.log('Car physics body created with handle:', carBodyHandle);
                 
-                // Create collider with improved stability settings
-                const colliderDesc = RAPIER.ColliderDesc.cuboid(size.x / 2, size.y / 2, size.z / 2)
-                    .setRestitution(0.1)
-                    .setFriction(0.95)
-                    .setDensity(50.0);
-                
-                physicsWorld.world.createCollider(colliderDesc, body);
-                
                 console.log('Car loaded with physics, handle:', carBodyHandle);
                 isReadyToShoot = true; // Set the flag to true after car is fully loaded
                 resolve();
@@ -956,10 +1619,8 @@ function loadCar() {
     });
 }
 
-// Create a physics sphere
-function createPhysicsSphere(color = 0xff0000, position = { x: 0, y: 20, z: 0 }) {
-    const radius = 2; // Consistent radius for both visual and physics
-    
+// Create a physics sphere. bodyOptions go to physicsWorld.createSphereBody().
+function createPhysicsSphere(color = 0xff0000, position = { x: 0, y: 20, z: 0 }, radius = 2, bodyOptions = {}) {
     // Create the visual sphere
     const geometry = new THREE.SphereGeometry(radius, 32, 32);
     const material = new THREE.MeshPhongMaterial({ 
@@ -978,25 +1639,46 @@ function createPhysicsSphere(color = 0xff0000, position = { x: 0, y: 20, z: 0 })
     scene.add(sphere);
     
     // Add a point light to each sphere
-    const sphereLight = new THREE.PointLight(color, 1, 10);
+    const sphereLight = new THREE.PointLight(color, 1, radius * 5);
     sphereLight.position.set(position.x, position.y, position.z);
     scene.add(sphereLight);
     
     // Create physics body with matching radius
-    const rigidBodyHandle = physicsWorld.createSphereBody(position, radius);
-    
-    // Add debug helper
-    const helper = new THREE.BoxHelper(sphere, 0xffff00);
-    scene.add(helper);
+    const rigidBodyHandle = physicsWorld.createSphereBody(position, radius, bodyOptions);
     
     return {
         mesh: sphere,
         rigidBodyHandle,
-        light: sphereLight,
-        helper: helper
+        light: sphereLight
     };
 }
 
+function removePhysicsSphere(sphere) {
+    scene.remove(sphere.mesh);
+    scene.remove(sphere.light);
+    sphere.mesh.geometry.dispose();
+    sphere.mesh.material.dispose();
+    sphere.light.dispose();
+    safeRemoveRigidBody(sphere.rigidBodyHandle);
+}
+
+// Place the soccer ball at its interpolated state, like a remote car
+function updateSoccerBall() {
+    if (!soccerBall) return;
+
+    const renderTime = replayPlayer ? replayPlayer.time : serverClock.now() - interpolationDelay;
+    if (!soccerBall.snapshots.sample(renderTime, remotePosition, remoteQuaternion)) return;
+
+    soccerBall.mesh.position.copy(remotePosition);
+    soccerBall.mesh.quaternion.copy(remoteQuaternion);
+    soccerBall.light.position.copy(remotePosition);
+    if (physicsWorld.containsBody(soccerBall.rigidBodyHandle)) {
+        const body = physicsWorld.world.bodies.get(soccerBall.rigidBodyHandle);
+        body.setNextKinematicTranslation(remotePosition);
+        body.setNextKinematicRotation(remoteQuaternion);
+    }
+}
+
 // Safe wrapper to remove rigid bodies
 function safeRemoveRigidBody(handle) {
     physicsWorld.removeRigidBody(handle);
@@ -1026,10 +1708,15 @@ function updateCar() {
 // Function to create and fire a bullet
 function fireBullet() {
     console.log('[DEBUG] fireBullet called');
-    if (!isReadyToShoot || !car || !carBodyHandle) {
+    // Races and soccer have no guns
+    if (!isReadyToShoot || controlsLocked || raceHud.active || soccerHud.active || !car || !carBodyHandle) {
         console.warn('[DEBUG] Cannot fire: not ready to shoot or car/carBodyHandle not ready');
         return;
     }
+
+    // The server drops shots faster than this anyway
+    if (performance.now() - lastFireTime < FIRE_INTERVAL_MS) return;
+    lastFireTime = performance.now();
     
     const body = physicsWorld.world.bodies.get(carBodyHandle);
     if (!body) {
@@ -1050,17 +1737,8 @@ function fireBullet() {
     });
     const bulletMesh = new THREE.Mesh(bulletGeometry, bulletMaterial);
     
-    // Position bullet at the front of the car
-    const forward = new THREE.Vector3(0, 0, 1);
-    const quaternion = new THREE.Quaternion(carRot.x, carRot.y, carRot.z, carRot.w);
-    const rotatedForward = forward.clone().applyQuaternion(quaternion).normalize();
-    
-    // Calculate bullet spawn position (further in front of the car)
-    const spawnPos = {
-        x: carPos.x + rotatedForward.x * 5, // Increased from 2 to 5
-        y: carPos.y + 0.5,
-        z: carPos.z + rotatedForward.z * 5  // Increased from 2 to 5
-    };
+    // Position bullet at the front of the car, same as the server would
+    const { position: spawnPos, velocity } = bulletFromCar(carPos, carRot);
     
     bulletMesh.position.set(spawnPos.x, spawnPos.y, spawnPos.z);
     scene.add(bulletMesh);
@@ -1081,11 +1759,6 @@ function fireBullet() {
     physicsWorld.world.createCollider(bulletColliderDesc, bulletBody);
     
     // Apply initial velocity in the direction the car is facing
-    const velocity = {
-        x: rotatedForward.x * BULLET_SPEED,
-        y: rotatedForward.y * BULLET_SPEED,
-        z: rotatedForward.z * BULLET_SPEED
-    };
     bulletBody.setLinvel(velocity, true);
     
     // Create unique bullet ID
@@ -1105,12 +1778,15 @@ function fireBullet() {
     // Set cooldown for self-hit
     bulletCooldowns.set(bulletId, Date.now() + 500); // 500ms cooldown
     
-    // Emit bullet creation event to server with owner information
+    // Emit bullet creation event to server with owner information. viewTime
+    // is the server time of the remote cars on screen right now, so the server
+    // can rewind targets to it when checking hits.
     const bulletData = {
         id: bulletId,
         position: spawnPos,
         velocity: velocity,
-        owner: myPlayerId
+        owner: myPlayerId,
+        viewTime: serverClock.now() - interpolationDelay
     };
     console.log('[DEBUG] Emitting createBullet:', bulletData);
     socket.emit('createBullet', bulletData);
@@ -1158,73 +1834,27 @@ function updateBullets() {
     });
 }
 
-// Update controls based on keyboard input
+// Turn the keyboard state into this step's input and apply it
 function updateControls() {
     if (!car || !carBodyHandle) return;
 
     const body = physicsWorld.world.bodies.get(carBodyHandle);
     if (!body) return;
 
-    // Get current velocity and angular velocity
-    const linvel = body.linvel();
-    const angvel = body.angvel();
-
-    // Limit angular velocity to prevent excessive spinning
-    const maxAngularVelocity = 3.0;
-    if (Math.abs(angvel.x) > maxAngularVelocity || 
-        Math.abs(angvel.y) > maxAngularVelocity || 
-        Math.abs(angvel.z) > maxAngularVelocity) {
-        const scale = maxAngularVelocity / Math.max(
-            Math.abs(angvel.x),
-            Math.abs(angvel.y),
-            Math.abs(angvel.z)
-        );
-        body.setAngvel({
-            x: angvel.x * scale,
-            y: angvel.y * scale,
-            z: angvel.z * scale
-        }, true);
-    }
-
-    // Get car's rotation
-    const rot = body.rotation();
-    const quaternion = new THREE.Quaternion(rot.x, rot.y, rot.z, rot.w);
-
-    // Forward vector based on car's rotation
-    const forward = new THREE.Vector3(0, 0, 1);
-    const rotatedForward = forward.clone().applyQuaternion(quaternion).normalize();
-
-    let impulse = new THREE.Vector3(0, 0, 0);
+    // Held still during the countdown and while lining up for a kickoff
+    const locked = controlsLocked || soccerHud.frozen(serverClock.now());
+    const input = createInput(++inputSequence, locked ? {} : carControls);
 
-    if (carControls.w) {
-        impulse.add(rotatedForward.clone().multiplyScalar(8000.0));
-    }
-    if (carControls.s) {
-        impulse.add(rotatedForward.clone().multiplyScalar(-5000.0));
-    }
-
-    // Apply stabilizing torque to keep car upright
-    const up = new THREE.Vector3(0, 1, 0);
-    const carUp = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion);
-    const cross = new THREE.Vector3().crossVectors(up, carUp);
-    const stabilizationTorque = cross.multiplyScalar(100.0);
+    // Same forces the server applies for this input
+    applyCarInput(body, input, lastAppliedInput);
+    lastAppliedInput = input;
 
-    if (carControls.a) {
-        body.applyTorqueImpulse({ x: 0, y: 50000.0, z: 0 }, true); // Increased from 5000.0
-    }
-    if (carControls.d) {
-        body.applyTorqueImpulse({ x: 0, y: -50000.0, z: 0 }, true); // Increased from -5000.0
-    }
-
-    // Apply stabilization torque
-    body.applyTorqueImpulse({
-        x: stabilizationTorque.x,
-        y: stabilizationTorque.y,
-        z: stabilizationTorque.z
-    }, true);
-
-    if (!impulse.equals(new THREE.Vector3(0, 0, 0))) {
-        body.applyImpulse({ x: impulse.x, y: impulse.y, z: impulse.z }, true);
+    if (myPlayerId) {
+        pendingInputs.push(input);
+        unsentInputs.push(input);
+        if (pendingInputs.length > MAX_PENDING_INPUTS) {
+            pendingInputs.shift();
+        }
     }
 
     // Get car's position and rotation
@@ -1277,52 +1907,25 @@ function updateControls() {
     }
 }
 
-// Apply forces to the car based on physics
-function applyCarForces() {
-    if (!car || !carBodyHandle) return;
-
-    const body = physicsWorld.world.bodies.get(carBodyHandle);
-    if (!body) return;
+// Place remote cars at their interpolated (or briefly extrapolated) state
+function updateRemotePlayers() {
+    // Replays are recorded on the match clock, not the server's
+    const renderTime = replayPlayer ? replayPlayer.time : serverClock.now() - interpolationDelay;
 
-    // Get car's current position and rotation
-    const pos = body.translation();
-    const rot = body.rotation();
+    for (const id in otherPlayers) {
+        const otherPlayer = otherPlayers[id];
+        if (!otherPlayer.mesh || !otherPlayer.snapshots.sample(renderTime, remotePosition, remoteQuaternion)) {
+            continue;
+        }
 
-    // Reset if invalid
-    if (!isFinite(pos.x) || !isFinite(pos.y) || !isFinite(pos.z)) {
-        console.warn("Invalid car position detected, resetting position");
-        body.setTranslation({ x: 0, y: 15, z: 0 }, true);
-        body.setLinvel({ x: 0, y: 0, z: 0 }, true);
-        body.setAngvel({ x: 0, y: 0, z: 0 }, true);
-        return;
-    }
+        otherPlayer.mesh.position.copy(remotePosition);
+        otherPlayer.mesh.quaternion.copy(remoteQuaternion);
+        otherPlayer.nameplate.follow(remotePosition);
 
-    // Get current velocity
-    const linvel = body.linvel();
-    const speed = Math.sqrt(linvel.x * linvel.x + linvel.z * linvel.z);
-
-    // Apply drag force (air resistance)
-    const dragForce = 0.1;
-    const drag = {
-        x: -linvel.x * dragForce,
-        y: -linvel.y * dragForce,
-        z: -linvel.z * dragForce
-    };
-    body.applyImpulse(drag, true);
-
-    // Apply gravity
-    const gravity = { x: 0, y: -9.81, z: 0 };
-    body.applyImpulse(gravity, true);
-
-    // Apply ground friction
-    if (pos.y < 1.0) { // If car is close to ground
-        const friction = 0.5;
-        const frictionForce = {
-            x: -linvel.x * friction,
-            y: 0,
-            z: -linvel.z * friction
-        };
-        body.applyImpulse(frictionForce, true);
+        if (otherPlayer.body) {
+            otherPlayer.body.setNextKinematicTranslation(remotePosition);
+            otherPlayer.body.setNextKinematicRotation(remoteQuaternion);
+        }
     }
 }
 
@@ -1337,38 +1940,6 @@ function updateMeshPositionsFromPhysics() {
             
             car.position.set(pos.x, pos.y, pos.z);
             car.quaternion.set(rot.x, rot.y, rot.z, rot.w);
-
-            // Send position update to server
-            if (socket && myPlayerId) {
-                // Only log occasionally to reduce spam
-                if (Math.random() < 0.01) {
-                    console.log("SIMPLE DEBUG: Sending position update:", {
-                        id: myPlayerId,
-                        pos: `(${pos.x.toFixed(2)}, ${pos.y.toFixed(2)}, ${pos.z.toFixed(2)})`
-                    });
-                }
-                
-                const positionData = {
-                    id: myPlayerId,
-                    position: { x: pos.x, y: pos.y, z: pos.z },
-                    rotation: { x: rot.x, y: rot.y, z: rot.z, w: rot.w }
-                };
-                socket.emit('updatePosition', positionData);
-            }
-        }
-    }
-
-    // Update other players' positions if needed
-    for (const id in otherPlayers) {
-        const otherPlayer = otherPlayers[id];
-        
-        if (otherPlayer && otherPlayer.body && otherPlayer.mesh && !otherPlayer.isTemporary) {
-            // Update mesh from physics body
-            const pos = otherPlayer.body.translation();
-            const rot = otherPlayer.body.rotation();
-            
-            otherPlayer.mesh.position.set(pos.x, pos.y, pos.z);
-            otherPlayer.mesh.quaternion.set(rot.x, rot.y, rot.z, rot.w);
         }
     }
 
@@ -1387,9 +1958,10 @@ function updateMeshPositionsFromPhysics() {
             bullet.mesh.visible = true;
             bullet.mesh.material.needsUpdate = true;
             
-            // Remove bullet if it's too old or out of bounds
+            // Remove bullet if it's too old or out of bounds. A replay's
+            // recorded bulletRemoved events say when its bullets expire.
             const now = Date.now();
-            if (now - bullet.spawnTime > BULLET_LIFETIME || 
+            if ((!replayPlayer && now - bullet.spawnTime > BULLET_LIFETIME) || 
                 Math.abs(pos.x) > 1000 || 
                 Math.abs(pos.y) > 1000 || 
                 Math.abs(pos.z) > 1000) {
@@ -1400,32 +1972,55 @@ function updateMeshPositionsFromPhysics() {
     }
 }
 
-// Modify the animate function to send position updates
-function animate() {
+function animate(time) {
     requestAnimationFrame(animate);
 
     try {
-        // 1. Handle input and game logic
-        updateControls();
-
-        // 2. Apply forces or impulses to bodies
-        applyCarForces();
-
-        // 3. Step physics
-        if (physicsWorld && physicsWorld.world) {
-            try {
-                physicsWorld.step();
-            } catch (error) {
-                console.error("Physics step error:", error);
-                return;
+        // 1-3. Apply controls and step physics at a fixed rate, same as the server
+        const frameSeconds = lastFrameTime === null ? PHYSICS_TIMESTEP : (time - lastFrameTime) / 1000;
+        lastFrameTime = time;
+        // A replay's bullets fly at its playback speed and freeze while paused
+        let gameSeconds = frameSeconds;
+        if (replayPlayer) {
+            replayPlayer.update(frameSeconds * 1000);
+            updateReplayControls();
+            gameSeconds = frameSeconds * replayPlayer.rate;
+        }
+        physicsAccumulator = Math.min(
+            physicsAccumulator + gameSeconds,
+            PHYSICS_TIMESTEP * MAX_PHYSICS_STEPS_PER_FRAME
+        );
+
+        while (physicsAccumulator >= PHYSICS_TIMESTEP) {
+            updateControls();
+
+            if (physicsWorld && physicsWorld.world) {
+                try {
+                    physicsWorld.step();
+                } catch (error) {
+                    console.error("Physics step error:", error);
+                    return;
+                }
             }
+            if (timeTrial) stepTimeTrial();
+            physicsAccumulator -= PHYSICS_TIMESTEP;
         }
+        flushInputs();
 
-        // 4. Update mesh positions from physics
+        // 4. Update mesh positions from physics and interpolate remote cars
         updateMeshPositionsFromPhysics();
+        updateRemotePlayers();
+        updateSoccerBall();
 
         // 5. Update camera
         updateCamera();
+        if (timeTrial) {
+            ghostCar.update(timeTrial.ghost, timeTrial.running ? timeTrial.lapTime : null);
+            raceHud.update(timeTrial.time);
+        } else {
+            raceHud.update(replayPlayer ? replayPlayer.serverTime : serverClock.now());
+        }
+        soccerHud.update(replayPlayer ? replayPlayer.serverTime : serverClock.now());
 
         // 6.5 Check bullet collisions
         checkBulletCollisions();
@@ -1443,11 +2038,34 @@ function animate() {
 // Modify the initialization to include socket setup
 physicsWorld.init().then(async () => {
     try {
-        initSocket(); // Initialize socket connection
-        setupControls();
+        if (replayMode) {
+            setupSpectatorControls();
+            setupReplayControls();
+            await loadLandscape();
+            await startReplayViewer();
+            animate(performance.now());
+            return;
+        }
+        if (timeTrialMode) {
+            setupControls();
+            await loadLandscape();
+            await loadCar();
+            startTimeTrial();
+            animate(performance.now());
+            return;
+        }
+        await initSocket(); // Initialize socket connection
+        // Spectators have no car to load or drive
+        if (spectating) {
+            setupSpectatorControls();
+        } else {
+            setupControls();
+        }
         await loadLandscape();
-        await loadCar();
-        animate();
+        if (!spectating) {
+            await loadCar();
+        }
+        animate(performance.now());
     } catch (error) {
         console.error('Error during initialization:', error);
     }
@@ -1459,6 +2077,11 @@ window.addEventListener('beforeunload', () => {
 });
 
 
+// Replays never connect; their hits were decided when they were recorded
+function hitHintSocket() {
+    return replayPlayer ? null : socket || null;
+}
+
 function checkBulletCollisions() {
     bullets.forEach((bullet) => {
         // Check if bullet is still in cooldown for self-hit
@@ -1476,12 +2099,7 @@ function checkBulletCollisions() {
             if (carBox.containsPoint(bullet.mesh.position)) {
                 console.log('Bullet hit local player');
                 
-                // Emit bullet hit event to server with owner information
-                socket.emit('bulletHit', {
-                    bulletId: bullet.id,
-                    hitPlayerId: myPlayerId,
-                    attackerId: bullet.owner
-                });
+                sendHitHint(hitHintSocket(), bullet, myPlayerId);
                 
                 removeBullet(bullet);
                 return;
@@ -1502,15 +2120,7 @@ function checkBulletCollisions() {
             if (otherBox.containsPoint(bullet.mesh.position)) {
                 console.log('Bullet hit player:', id);
 
-                // Emit bullet hit event to server with owner information
-                socket.emit('bulletHit', {
-                    bulletId: bullet.id,
-                    hitPlayerId: id,
-                    attackerId: bullet.owner
-                });
-
-              
-
+                sendHitHint(hitHintSocket(), bullet, id);
                 removeBullet(bullet);
                 break;
             }
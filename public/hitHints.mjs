@@ -0,0 +1,14 @@
+// Bullet hits are decided by the server's own simulation. When a bullet we
+// are drawing touches a car we tell it anyway, as a hint it only counts, so
+// disagreements show up in /metrics.
+
+// `socket` is null when there's no server to tell: a replay plays back hits
+// the server already decided.
+export function sendHitHint(socket, bullet, hitPlayerId) {
+    if (!socket) return;
+    socket.emit('bulletHit', {
+        bulletId: bullet.id,
+        hitPlayerId,
+        attackerId: bullet.owner
+    });
+}
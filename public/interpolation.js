@@ -0,0 +1,107 @@
+import * as THREE from 'three';
+
+// Remote cars are drawn slightly in the past so there are (almost) always two
+// server snapshots to blend between. Override with ?interpDelay=<ms>.
+const DEFAULT_INTERPOLATION_DELAY = 100;
+const MAX_EXTRAPOLATION = 250; // How long to keep guessing after packets stop
+const MAX_SNAPSHOTS = 32;
+
+export function getInterpolationDelay() {
+    const value = Number(new URLSearchParams(window.location.search).get('interpDelay'));
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_INTERPOLATION_DELAY;
+}
+
+// Tracks the offset between the server's Date.now() and ours. Jumps up to
+// the fastest packet seen and drifts down slowly, so lag spikes don't
+// shift the timeline.
+export class ServerClock {
+    constructor() {
+        this.offset = null;
+    }
+
+    observe(serverTime) {
+        const sample = serverTime - Date.now();
+        if (this.offset === null || sample > this.offset) {
+            this.offset = sample;
+        } else {
+            this.offset += (sample - this.offset) * 0.01;
+        }
+    }
+
+    now() {
+        return Date.now() + (this.offset ?? 0);
+    }
+}
+
+// Time-ordered snapshots for one remote car
+export class SnapshotBuffer {
+    constructor() {
+        this.snapshots = [];
+    }
+
+    push({ timestamp, position, rotation, linvel }) {
+        // Drop anything out of order
+        const last = this.snapshots[this.snapshots.length - 1];
+        if (last && timestamp <= last.time) return;
+
+        this.snapshots.push({
+            time: timestamp,
+            position: new THREE.Vector3(position.x, position.y, position.z),
+            quaternion: rotation
+                ? new THREE.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w)
+                : new THREE.Quaternion(),
+            velocity: linvel ? new THREE.Vector3(linvel.x, linvel.y, linvel.z) : null
+        });
+
+        if (this.snapshots.length > MAX_SNAPSHOTS) {
+            this.snapshots.shift();
+        }
+    }
+
+    // Forget everything, e.g. when a replay jumps to another time
+    clear() {
+        this.snapshots = [];
+    }
+
+    get isEmpty() {
+        return this.snapshots.length === 0;
+    }
+
+    // Write the state at renderTime into outPosition/outQuaternion.
+    // Returns false when there is nothing to show yet.
+    sample(renderTime, outPosition, outQuaternion) {
+        const snapshots = this.snapshots;
+        if (snapshots.length === 0) return false;
+
+        // Older than anything we have: hold the oldest
+        if (renderTime <= snapshots[0].time) {
+            outPosition.copy(snapshots[0].position);
+            outQuaternion.copy(snapshots[0].quaternion);
+            return true;
+        }
+
+        for (let i = snapshots.length - 1; i > 0; i--) {
+            const from = snapshots[i - 1];
+            const to = snapshots[i];
+            if (renderTime >= from.time && renderTime <= to.time) {
+                const t = (renderTime - from.time) / (to.time - from.time);
+                outPosition.lerpVectors(from.position, to.position, t);
+                outQuaternion.slerpQuaternions(from.quaternion, to.quaternion, t);
+
+                // Everything before "from" is no longer needed
+                if (i > 1) snapshots.splice(0, i - 1);
+                return true;
+            }
+        }
+
+        // Packets are late: extrapolate along the last velocity for a while
+        const latest = snapshots[snapshots.length - 1];
+        outPosition.copy(latest.position);
+        outQuaternion.copy(latest.quaternion);
+        if (latest.velocity) {
+            const ahead = Math.min(renderTime - latest.time, MAX_EXTRAPOLATION) / 1000;
+            outPosition.addScaledVector(latest.velocity, ahead);
+        }
+        return true;
+    }
+}
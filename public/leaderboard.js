@@ -0,0 +1,88 @@
+// Leaderboard panel: lifetime stats from the server's GET /api/leaderboard.
+// Toggled with L in game or the button in the lobby; refetched every time
+// it opens.
+
+const panel = document.getElementById('leaderboard');
+const table = document.getElementById('leaderboardTable');
+const sortSelect = document.getElementById('leaderboardSort');
+const closeButton = document.getElementById('leaderboardClose');
+const status = document.getElementById('leaderboardStatus');
+
+let apiBase = window.location.origin;
+
+function formatLap(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const seconds = ((ms % 60000) / 1000).toFixed(3).padStart(6, '0');
+    return `${minutes}:${seconds}`;
+}
+
+function render(players) {
+    table.innerHTML = '';
+
+    const header = document.createElement('tr');
+    ['#', 'Name', 'Matches', 'Wins', 'Kills', 'Deaths', 'Accuracy', 'Best lap'].forEach((label) => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        header.appendChild(th);
+    });
+    table.appendChild(header);
+
+    players.forEach((player, index) => {
+        const laps = Object.values(player.bestLaps || {});
+        const cells = [
+            index + 1,
+            player.name,
+            player.matches,
+            player.wins,
+            player.kills,
+            player.deaths,
+            `${Math.round(player.accuracy * 100)}%`,
+            laps.length > 0 ? formatLap(Math.min(...laps)) : '-'
+        ];
+
+        const row = document.createElement('tr');
+        cells.forEach((value) => {
+            const td = document.createElement('td');
+            td.textContent = String(value);
+            row.appendChild(td);
+        });
+        table.appendChild(row);
+    });
+
+    status.textContent = players.length === 0 ? 'No games recorded yet' : '';
+}
+
+async function refresh() {
+    status.textContent = 'Loading...';
+    try {
+        const url = new URL('/api/leaderboard', apiBase);
+        url.searchParams.set('sort', sortSelect.value);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        render(data.players);
+    } catch (error) {
+        console.error('Could not load leaderboard:', error);
+        status.textContent = 'Could not load the leaderboard';
+    }
+}
+
+export function isLeaderboardOpen() {
+    return !panel.classList.contains('hidden');
+}
+
+export function toggleLeaderboard() {
+    panel.classList.toggle('hidden');
+    if (isLeaderboardOpen()) {
+        refresh();
+    }
+}
+
+// serverUrl: where the game server lives, or null for this page's origin
+export function initLeaderboard(serverUrl) {
+    apiBase = serverUrl || window.location.origin;
+    sortSelect.addEventListener('change', refresh);
+    closeButton.addEventListener('click', () => panel.classList.add('hidden'));
+}
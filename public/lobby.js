@@ -0,0 +1,252 @@
+import { toggleLeaderboard } from './leaderboard.js';
+import { TRACKS } from './shared/tracks.mjs';
+
+// Lobby screen: pick a name and car colour, then join or create a room or
+// queue for a quick match. The profile is sent (and validated by the server)
+// before every join. The game itself starts when the server answers a join
+// with 'initialize'. Spectators (?spectate) skip the profile and can only
+// watch existing rooms.
+
+const lobby = document.getElementById('lobby');
+const roomList = document.getElementById('roomList');
+const roomNameInput = document.getElementById('roomNameInput');
+const createRoomButton = document.getElementById('createRoomButton');
+const roundsSelect = document.getElementById('roundsSelect');
+const botDifficultySelect = document.getElementById('botDifficultySelect');
+const modeSelect = document.getElementById('modeSelect');
+const lobbyError = document.getElementById('lobbyError');
+const regionSelect = document.getElementById('regionSelect');
+const matchSizeSelect = document.getElementById('matchSizeSelect');
+const quickMatchButton = document.getElementById('quickMatchButton');
+const queueStatus = document.getElementById('queueStatus');
+const playerNameInput = document.getElementById('playerNameInput');
+const colorSwatches = document.getElementById('colorSwatches');
+const lobbyLeaderboardButton = document.getElementById('lobbyLeaderboardButton');
+const spectateLink = document.getElementById('spectateLink');
+const replaysLink = document.getElementById('replaysLink');
+const timeTrialLink = document.getElementById('timeTrialLink');
+
+// Remembered between visits
+const PROFILE_KEY = 'profile';
+
+let lobbySocket = null;
+let isQueued = false;
+let selectedColor = null;
+let isSpectating = false;
+
+function loadSavedProfile() {
+    try {
+        return JSON.parse(localStorage.getItem(PROFILE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function renderColorSwatches(colors) {
+    colorSwatches.innerHTML = '';
+    if (!colors.includes(selectedColor)) {
+        selectedColor = colors[0];
+    }
+
+    colors.forEach((color) => {
+        const swatch = document.createElement('button');
+        swatch.style.backgroundColor = color;
+        swatch.title = color;
+        swatch.classList.toggle('selected', color === selectedColor);
+        swatch.addEventListener('click', () => {
+            selectedColor = color;
+            renderColorSwatches(colors);
+        });
+        colorSwatches.appendChild(swatch);
+    });
+}
+
+// Send the profile, then run `join` if the server accepted it
+function withProfile(join) {
+    lobbyError.textContent = '';
+    const profile = { name: playerNameInput.value.trim(), color: selectedColor };
+    localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+
+    lobbySocket.emit('setProfile', profile, (result) => {
+        if (result.error) {
+            lobbyError.textContent = result.error;
+            return;
+        }
+        join();
+    });
+}
+
+function setQueued(queued) {
+    isQueued = queued;
+    quickMatchButton.textContent = queued ? 'Cancel' : 'Find match';
+    regionSelect.disabled = queued;
+    matchSizeSelect.disabled = queued;
+    if (!queued) {
+        queueStatus.textContent = '';
+    }
+}
+
+function renderRooms(rooms) {
+    roomList.innerHTML = '';
+
+    if (rooms.length === 0) {
+        const empty = document.createElement('li');
+        empty.textContent = 'No rooms yet';
+        roomList.appendChild(empty);
+        return;
+    }
+
+    rooms.forEach((room) => {
+        const item = document.createElement('li');
+
+        const label = document.createElement('span');
+        const mode = { race: `Race: ${room.trackName}, `, soccer: 'Soccer, ' }[room.mode] || '';
+        const watching = room.spectatorCount > 0 ? `, ${room.spectatorCount} watching` : '';
+        const bots = room.botCount > 0 ? `, ${room.botCount} ${room.botDifficulty} bot${room.botCount === 1 ? '' : 's'}` : '';
+        label.textContent = `${room.name} (${mode}${room.playerCount}/${room.maxPlayers}${bots}, ${room.state}${watching})`;
+        item.appendChild(label);
+
+        const joinButton = document.createElement('button');
+        if (isSpectating) {
+            joinButton.textContent = 'Watch';
+            joinButton.addEventListener('click', () => {
+                lobbyError.textContent = '';
+                lobbySocket.emit('joinRoom', { roomId: room.id }, handleJoinResult);
+            });
+        } else {
+            joinButton.textContent = 'Join';
+            // Bots give up their seat
+            joinButton.disabled = room.playerCount - room.botCount >= room.maxPlayers;
+            joinButton.addEventListener('click', () => {
+                withProfile(() => lobbySocket.emit('joinRoom', { roomId: room.id }, handleJoinResult));
+            });
+        }
+        item.appendChild(joinButton);
+
+        roomList.appendChild(item);
+    });
+}
+
+function handleJoinResult(result) {
+    if (result.error) {
+        lobbyError.textContent = result.error;
+        return;
+    }
+    console.log('Joined room:', result.room);
+    hideLobby();
+}
+
+// `message` explains why we're back here, e.g. after being kicked
+export function showLobby(message = '') {
+    lobbyError.textContent = message;
+    setQueued(false);
+    lobby.classList.remove('hidden');
+    if (lobbySocket) {
+        lobbySocket.emit('listRooms', renderRooms);
+    }
+}
+
+export function hideLobby() {
+    lobby.classList.add('hidden');
+}
+
+// Deathmatch, soccer, or a race on one of the shared tracks: "race:<trackId>"
+function renderModeOptions() {
+    const options = [{ value: 'deathmatch', label: 'Deathmatch' }, { value: 'soccer', label: 'Soccer' }]
+        .concat(TRACKS.map((track) => ({ value: `race:${track.id}`, label: `Race: ${track.name} (${track.laps} laps)` })));
+    for (const { value, label } of options) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        modeSelect.appendChild(option);
+    }
+}
+
+// Same page with a flag like ?spectate toggled, keeping any other parameters
+function pageUrl(flag, enabled) {
+    const url = new URL(window.location.href);
+    if (enabled) {
+        url.searchParams.set(flag, '');
+    } else {
+        url.searchParams.delete(flag);
+    }
+    return url.toString();
+}
+
+export function initLobby(socket, { spectating = false } = {}) {
+    lobbySocket = socket;
+    isSpectating = spectating;
+    lobby.classList.toggle('spectating', spectating);
+    spectateLink.textContent = spectating ? 'Play instead' : 'Watch as a spectator';
+    spectateLink.href = pageUrl('spectate', !spectating);
+    replaysLink.href = pageUrl('replay', true);
+    timeTrialLink.href = pageUrl('timetrial', true);
+
+    const saved = loadSavedProfile();
+    playerNameInput.value = saved.name || '';
+    selectedColor = saved.color || null;
+
+    renderModeOptions();
+    socket.on('roomList', renderRooms);
+
+    socket.on('profileOptions', (options) => {
+        renderColorSwatches(options.colors);
+    });
+
+    createRoomButton.addEventListener('click', () => {
+        const name = roomNameInput.value.trim();
+        if (!name) {
+            lobbyError.textContent = 'Enter a room name';
+            return;
+        }
+        const [mode, trackId] = modeSelect.value.split(':');
+        const options = { name, rounds: Number(roundsSelect.value), botDifficulty: botDifficultySelect.value, mode, trackId };
+        withProfile(() => socket.emit('createRoom', options, handleJoinResult));
+    });
+
+    quickMatchButton.addEventListener('click', () => {
+        lobbyError.textContent = '';
+        if (isQueued) {
+            socket.emit('cancelQuickMatch', () => setQueued(false));
+            return;
+        }
+
+        const options = { region: regionSelect.value, size: Number(matchSizeSelect.value) };
+        withProfile(() => socket.emit('quickMatch', options, (result) => {
+            if (result.error) {
+                lobbyError.textContent = result.error;
+                return;
+            }
+            if (!result.matched) {
+                setQueued(true);
+            }
+        }));
+    });
+
+    socket.on('queueStatus', (status) => {
+        queueStatus.textContent = `Searching ${status.region}: ${status.queued}/${status.size} players`;
+    });
+
+    // The matchmaker put us in a room; 'initialize' follows
+    socket.on('matchFound', () => {
+        setQueued(false);
+        hideLobby();
+    });
+
+    lobbyLeaderboardButton.addEventListener('click', toggleLeaderboard);
+
+    playerNameInput.addEventListener('keydown', (event) => {
+        // Keep typing from driving the car behind the lobby
+        event.stopPropagation();
+    });
+
+    roomNameInput.addEventListener('keydown', (event) => {
+        // Keep typing from driving the car behind the lobby
+        event.stopPropagation();
+        if (event.key === 'Enter') {
+            createRoomButton.click();
+        }
+    });
+
+    showLobby();
+}
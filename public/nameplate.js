@@ -0,0 +1,72 @@
+import * as THREE from 'three';
+
+// Billboarded name and health bar floating above a remote car. It's a
+// sprite, so it always faces the camera; the caller moves it with the car.
+
+const WIDTH = 256;
+const HEIGHT = 64;
+const WORLD_WIDTH = 6;
+const HEIGHT_ABOVE_CAR = 4;
+
+export class Nameplate {
+    constructor(name, color, maxHealth = 100) {
+        this.name = name;
+        this.color = color;
+        this.maxHealth = maxHealth;
+        this.health = maxHealth;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = WIDTH;
+        this.canvas.height = HEIGHT;
+        this.texture = new THREE.CanvasTexture(this.canvas);
+
+        const material = new THREE.SpriteMaterial({ map: this.texture, depthTest: false, transparent: true });
+        this.sprite = new THREE.Sprite(material);
+        this.sprite.scale.set(WORLD_WIDTH, WORLD_WIDTH * HEIGHT / WIDTH, 1);
+        this.sprite.renderOrder = 10;
+
+        this.draw();
+    }
+
+    setMaxHealth(maxHealth) {
+        this.maxHealth = maxHealth;
+        this.draw();
+    }
+
+    setHealth(health) {
+        this.health = health;
+        this.draw();
+    }
+
+    follow(position) {
+        this.sprite.position.set(position.x, position.y + HEIGHT_ABOVE_CAR, position.z);
+    }
+
+    draw() {
+        const context = this.canvas.getContext('2d');
+        context.clearRect(0, 0, WIDTH, HEIGHT);
+
+        context.font = 'bold 28px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.lineWidth = 4;
+        context.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+        context.strokeText(this.name, WIDTH / 2, 20);
+        context.fillStyle = this.color;
+        context.fillText(this.name, WIDTH / 2, 20);
+
+        // Same colours as our own health bar
+        const fraction = Math.max(0, Math.min(1, this.health / this.maxHealth));
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(28, 44, WIDTH - 56, 14);
+        context.fillStyle = fraction > 0.5 ? 'limegreen' : fraction > 0.25 ? 'yellow' : 'red';
+        context.fillRect(30, 46, (WIDTH - 60) * fraction, 10);
+
+        this.texture.needsUpdate = true;
+    }
+
+    dispose() {
+        this.texture.dispose();
+        this.sprite.material.dispose();
+    }
+}
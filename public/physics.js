@@ -1,14 +1,35 @@
 import * as RAPIER from '@dimforge/rapier3d-compat';
+import { GRAVITY, PHYSICS_TIMESTEP, createCarBody, applyCarInput } from './shared/carDynamics.mjs';
 
 let world;
 
+// A second world holding only the ground and one car, used to replay
+// unacknowledged inputs on top of a server snapshot
+let replayWorld;
+let groundHandles = null;
+let replayCarHandle = null;
+
+// Errors below this are blended out over a few frames, above it we snap
+const SNAP_DISTANCE = 8.0;
+const CORRECTION_BLEND = 0.2;
+
+// Ground height probes start this far up
+const GROUND_RAY_HEIGHT = 500;
+
+// Client-side world. The server owns the real simulation; this one only
+// predicts the local car between snapshots. Each snapshot is replayed forward
+// through the inputs the server hasn't seen yet and the car eased towards it.
 export const physicsWorld = {
     async init() {
         await RAPIER.init();
         
-        const gravity = new RAPIER.Vector3(0, -20.0, 0);
+        const gravity = new RAPIER.Vector3(GRAVITY.x, GRAVITY.y, GRAVITY.z);
         world = new RAPIER.World(gravity);
+        world.timestep = PHYSICS_TIMESTEP;
         this.world = world;
+
+        replayWorld = new RAPIER.World(gravity);
+        replayWorld.timestep = PHYSICS_TIMESTEP;
         
         return this;
     },
@@ -33,28 +54,68 @@ export const physicsWorld = {
         return groundBody.handle;
     },
 
-    createSphereBody(position, radius = 2) {
+    // Replace the static ground with a trimesh, in both the game and replay worlds
+    createTrimeshGround(vertices, indices) {
+        if (!world) return null;
+
+        if (groundHandles) {
+            this.removeRigidBody(groundHandles.main);
+            if (replayWorld.bodies.contains(groundHandles.replay)) {
+                replayWorld.removeRigidBody(replayWorld.bodies.get(groundHandles.replay));
+            }
+        }
+
+        const createGround = (target) => {
+            const body = target.createRigidBody(RAPIER.RigidBodyDesc.fixed());
+            target.createCollider(RAPIER.ColliderDesc.trimesh(vertices, indices), body);
+            return body.handle;
+        };
+
+        groundHandles = { main: createGround(world), replay: createGround(replayWorld) };
+        return groundHandles.main;
+    },
+
+    // A bouncing ball. A kinematic one only moves where it's put, e.g. a
+    // ball the server simulates, but local cars still bump into it.
+    createSphereBody(position, radius = 2, {
+        kinematic = false,
+        linearDamping = 0.01,
+        angularDamping = 0.01,
+        restitution = 0.6,
+        friction = 0.4,
+        density = 1.0
+    } = {}) {
         if (!world) return null;
 
-        const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
+        const bodyDesc = (kinematic ? RAPIER.RigidBodyDesc.kinematicPositionBased() : RAPIER.RigidBodyDesc.dynamic())
             .setTranslation(position.x, position.y, position.z)
-            .setLinearDamping(0.01)
-            .setAngularDamping(0.01)
+            .setLinearDamping(linearDamping)
+            .setAngularDamping(angularDamping)
             .setCanSleep(true)
             .setCcdEnabled(true);
 
         const body = world.createRigidBody(bodyDesc);
 
         const colliderDesc = RAPIER.ColliderDesc.ball(radius)
-            .setRestitution(0.6)
-            .setFriction(0.4)
-            .setDensity(1.0);
+            .setRestitution(restitution)
+            .setFriction(friction)
+            .setDensity(density);
 
         world.createCollider(colliderDesc, body);
 
         return body.handle;
     },
 
+    // Height of the ground under (x, z), or null past its edge. Ray casts
+    // only see colliders added before the last step.
+    groundHeight(x, z) {
+        if (!world) return null;
+
+        const ray = new RAPIER.Ray({ x, y: GROUND_RAY_HEIGHT, z }, { x: 0, y: -1, z: 0 });
+        const hit = world.castRay(ray, GROUND_RAY_HEIGHT * 2, true, RAPIER.QueryFilterFlags.EXCLUDE_DYNAMIC);
+        return hit ? GROUND_RAY_HEIGHT - hit.timeOfImpact : null;
+    },
+
     getBodyState(handle) {
         if (!world || !world.bodies.contains(handle)) return null;
 
@@ -68,6 +129,72 @@ export const physicsWorld = {
         };
     },
 
+    // Pull a predicted body towards the authoritative state from the server
+    reconcileBody(handle, state, { snapDistance = SNAP_DISTANCE, blend = CORRECTION_BLEND } = {}) {
+        if (!world || !world.bodies.contains(handle) || !state) return;
+
+        const body = world.bodies.get(handle);
+        const pos = body.translation();
+        const dx = state.position.x - pos.x;
+        const dy = state.position.y - pos.y;
+        const dz = state.position.z - pos.z;
+        const t = Math.sqrt(dx * dx + dy * dy + dz * dz) > snapDistance ? 1 : blend;
+
+        body.setTranslation({ x: pos.x + dx * t, y: pos.y + dy * t, z: pos.z + dz * t }, true);
+
+        if (state.rotation) {
+            const rot = body.rotation();
+            const target = state.rotation;
+            // Take the short way round
+            const sign = rot.x * target.x + rot.y * target.y + rot.z * target.z + rot.w * target.w < 0 ? -1 : 1;
+            const q = {
+                x: rot.x + (target.x * sign - rot.x) * t,
+                y: rot.y + (target.y * sign - rot.y) * t,
+                z: rot.z + (target.z * sign - rot.z) * t,
+                w: rot.w + (target.w * sign - rot.w) * t
+            };
+            const length = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z + q.w * q.w) || 1;
+            body.setRotation({ x: q.x / length, y: q.y / length, z: q.z / length, w: q.w / length }, true);
+        }
+
+        if (state.linvel) body.setLinvel(state.linvel, true);
+        if (state.angvel) body.setAngvel(state.angvel, true);
+    },
+
+    // Rewind a car to an authoritative state and re-apply inputs the server
+    // hasn't processed yet. Returns the resulting predicted state.
+    resimulate(state, inputs, previousInput) {
+        if (!replayWorld || !state) return null;
+
+        if (replayCarHandle === null) {
+            replayCarHandle = createCarBody(RAPIER, replayWorld, state.position).handle;
+        }
+
+        const body = replayWorld.bodies.get(replayCarHandle);
+        body.setTranslation(state.position, true);
+        body.setRotation(state.rotation, true);
+        body.setLinvel(state.linvel || { x: 0, y: 0, z: 0 }, true);
+        body.setAngvel(state.angvel || { x: 0, y: 0, z: 0 }, true);
+
+        let previous = previousInput;
+        for (const input of inputs) {
+            applyCarInput(body, input, previous);
+            replayWorld.step();
+            previous = input;
+        }
+
+        const pos = body.translation();
+        const rot = body.rotation();
+        const linvel = body.linvel();
+        const angvel = body.angvel();
+        return {
+            position: { x: pos.x, y: pos.y, z: pos.z },
+            rotation: { x: rot.x, y: rot.y, z: rot.z, w: rot.w },
+            linvel: { x: linvel.x, y: linvel.y, z: linvel.z },
+            angvel: { x: angvel.x, y: angvel.y, z: angvel.z }
+        };
+    },
+
     containsBody(handle) {
         return world && world.bodies.contains(handle);
     },
@@ -84,6 +211,12 @@ export const physicsWorld = {
             world = null;
             this.world = null;
         }
+        if (replayWorld) {
+            replayWorld.free();
+            replayWorld = null;
+            replayCarHandle = null;
+        }
+        groundHandles = null;
     }
 };
 
@@ -0,0 +1,214 @@
+import * as THREE from 'three';
+
+// Race HUD and the track's gates in the world. The HUD shows our lap,
+// place, current/last/best lap times, split deltas as we pass checkpoints,
+// and a warning when we're going the wrong way. The server does the timing
+// in races, and the time trial in the browser; this only shows the results.
+
+const SPLIT_SHOW_MS = 3000;
+const POST_HEIGHT = 10;
+const POST_RADIUS = 0.6;
+const BANNER_HEIGHT = 2;
+
+const GATE_COLOR = 0xffffff;
+const NEXT_GATE_COLOR = 0xffd700;
+const FINISH_COLOR = 0x4caf50;
+
+export function formatLapTime(ms) {
+    if (ms === null || ms === undefined) return '-:--.---';
+    const minutes = Math.floor(ms / 60000);
+    const seconds = ((ms % 60000) / 1000).toFixed(3).padStart(6, '0');
+    return `${minutes}:${seconds}`;
+}
+
+function formatDelta(ms) {
+    const sign = ms > 0 ? '+' : '-';
+    return `${sign}${(Math.abs(ms) / 1000).toFixed(3)}`;
+}
+
+function ordinal(place) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const teen = place % 100 >= 11 && place % 100 <= 13;
+    return `${place}${(!teen && suffixes[place % 10]) || 'th'}`;
+}
+
+export class RaceHud {
+    constructor() {
+        this.track = null;
+        this.waitingText = '';
+        this.standing = null; // Our row from the server's standings
+        this.racerCount = 0;
+        this.splitTimer = null;
+
+        this.panel = document.createElement('div');
+        this.panel.style.position = 'absolute';
+        this.panel.style.top = '10px';
+        this.panel.style.left = '50%';
+        this.panel.style.transform = 'translateX(-50%)';
+        this.panel.style.color = 'white';
+        this.panel.style.fontFamily = 'Arial';
+        this.panel.style.fontSize = '20px';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.panel.style.padding = '10px 20px';
+        this.panel.style.borderRadius = '5px';
+        this.panel.style.textAlign = 'center';
+        this.panel.style.display = 'none';
+        document.body.appendChild(this.panel);
+
+        this.summary = document.createElement('div');
+        this.summary.style.fontSize = '28px';
+        this.summary.style.fontWeight = 'bold';
+        this.panel.appendChild(this.summary);
+
+        this.times = document.createElement('div');
+        this.times.style.fontFamily = 'monospace';
+        this.panel.appendChild(this.times);
+
+        this.split = document.createElement('div');
+        this.split.style.fontFamily = 'monospace';
+        this.split.style.fontSize = '24px';
+        this.panel.appendChild(this.split);
+
+        this.warning = document.createElement('div');
+        this.warning.textContent = 'WRONG WAY';
+        this.warning.style.position = 'absolute';
+        this.warning.style.top = '30%';
+        this.warning.style.left = '50%';
+        this.warning.style.transform = 'translateX(-50%)';
+        this.warning.style.color = '#f44336';
+        this.warning.style.fontFamily = 'Arial';
+        this.warning.style.fontSize = '64px';
+        this.warning.style.fontWeight = 'bold';
+        this.warning.style.textShadow = '2px 2px 4px rgba(0,0,0,0.8)';
+        this.warning.style.display = 'none';
+        document.body.appendChild(this.warning);
+    }
+
+    get active() {
+        return this.track !== null;
+    }
+
+    // A track with `laps: Infinity` never finishes, as in a time trial
+    start(track, { waitingText = 'Waiting for the start' } = {}) {
+        this.track = track;
+        this.waitingText = waitingText;
+        this.standing = null;
+        this.racerCount = 0;
+        this.split.textContent = '';
+        this.panel.style.display = 'block';
+    }
+
+    stop() {
+        this.track = null;
+        this.panel.style.display = 'none';
+        this.setWrongWay(false);
+    }
+
+    // The server's standings; `myId` picks out our row
+    setStandings(rows, myId) {
+        this.standing = rows.find((row) => row.id === myId) || null;
+        this.racerCount = rows.length;
+    }
+
+    // Passed a checkpoint: the time into the lap, and against our best lap
+    showSplit({ splitMs, deltaMs }) {
+        this.split.textContent = deltaMs === null
+            ? formatLapTime(splitMs)
+            : `${formatLapTime(splitMs)}  ${formatDelta(deltaMs)}`;
+        this.split.style.color = deltaMs === null ? 'white' : deltaMs <= 0 ? '#4caf50' : '#f44336';
+        clearTimeout(this.splitTimer);
+        this.splitTimer = setTimeout(() => {
+            this.split.textContent = '';
+        }, SPLIT_SHOW_MS);
+    }
+
+    setWrongWay(wrongWay) {
+        this.warning.style.display = wrongWay ? 'block' : 'none';
+    }
+
+    // Called every frame; `now` (on the clock the standings use) runs the
+    // current lap's clock
+    update(now) {
+        if (!this.active) return;
+
+        const { laps, name } = this.track;
+        const endless = !Number.isFinite(laps);
+        const row = this.standing;
+        if (!row) {
+            this.summary.textContent = endless ? name : `${name} - ${laps} laps`;
+            this.times.textContent = this.waitingText;
+            return;
+        }
+
+        if (row.finishMs !== null) {
+            this.summary.textContent = `Finished ${ordinal(row.place)}`;
+            this.times.textContent = `Total ${formatLapTime(row.finishMs)}  Best ${formatLapTime(row.bestLapMs)}`;
+            return;
+        }
+
+        const lap = endless ? `Lap ${row.lap}` : `Lap ${row.lap}/${laps}`;
+        this.summary.textContent = this.racerCount > 1
+            ? `${lap}   ${ordinal(row.place)} of ${this.racerCount}`
+            : lap;
+        const current = Math.max(0, now - row.lapStartedAt);
+        this.times.textContent = `Lap ${formatLapTime(current)}  Last ${formatLapTime(row.lastLapMs)}  `
+            + `Best ${formatLapTime(row.bestLapMs)}`;
+    }
+}
+
+// Two posts and a banner for every gate. The next gate we have to drive
+// through is gold; the start/finish line is green.
+export class TrackMarkers {
+    constructor(scene) {
+        this.scene = scene;
+        this.group = new THREE.Group();
+        this.gates = []; // { material, color } per gate in lap order: checkpoints, then the line
+        scene.add(this.group);
+    }
+
+    build(track) {
+        this.clear();
+        for (const gate of [...track.checkpoints, track.start]) {
+            this.gates.push(this.addGate(gate, gate === track.start ? FINISH_COLOR : GATE_COLOR));
+        }
+    }
+
+    addGate(gate, color) {
+        const material = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.8 });
+        const marker = new THREE.Group();
+        marker.position.set(gate.x, gate.y, gate.z);
+        marker.rotation.y = gate.heading;
+
+        const postGeometry = new THREE.CylinderGeometry(POST_RADIUS, POST_RADIUS, POST_HEIGHT, 8);
+        for (const side of [-1, 1]) {
+            const post = new THREE.Mesh(postGeometry, material);
+            post.position.set(side * gate.width / 2, POST_HEIGHT / 2, 0);
+            marker.add(post);
+        }
+
+        const banner = new THREE.Mesh(new THREE.BoxGeometry(gate.width, BANNER_HEIGHT, 0.3), material);
+        banner.position.y = POST_HEIGHT - BANNER_HEIGHT / 2;
+        marker.add(banner);
+
+        this.group.add(marker);
+        return { material, color };
+    }
+
+    // nextGate: index into the track's checkpoints; their count means the line
+    highlight(nextGate) {
+        this.gates.forEach((gate, index) => {
+            gate.material.color.setHex(index === nextGate ? NEXT_GATE_COLOR : gate.color);
+        });
+    }
+
+    clear() {
+        for (const marker of this.group.children) {
+            marker.traverse((object) => {
+                if (object.geometry) object.geometry.dispose();
+            });
+        }
+        this.gates.forEach((gate) => gate.material.dispose());
+        this.group.clear();
+        this.gates = [];
+    }
+}
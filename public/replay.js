@@ -0,0 +1,312 @@
+// Replay viewer (?replay): plays back a match the server recorded (see
+// server/replays.js for the file format). Replays come from the server's
+// GET /api/replays or from a file picked on disk.
+//
+// ReplayPlayer only keeps time: it feeds recorded car (and ball) states into
+// the game's snapshot buffers a little ahead of the playhead and hands events
+// to the game as the playhead passes them. The game draws everything.
+
+const REPLAY_VERSION = 1;
+// How far past the playhead car states are queued, so there's always a
+// frame on either side to interpolate between
+const FEED_AHEAD_MS = 500;
+const FEED_BEHIND_MS = 200;
+// Events that describe state rather than something happening; replayed
+// silently after a seek to rebuild health, scores and the match state
+const STATE_EVENTS = new Set([
+    'playerHealthUpdate', 'scoreUpdate', 'matchState', 'roomRules', 'raceStandings', 'soccerState'
+]);
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const panel = document.getElementById('replayPanel');
+const replayList = document.getElementById('replayList');
+const loadButton = document.getElementById('replayLoadButton');
+const fileInput = document.getElementById('replayFileInput');
+const playButton = document.getElementById('replayPlayButton');
+const seekSlider = document.getElementById('replaySeek');
+const timeLabel = document.getElementById('replayTime');
+const speedSelect = document.getElementById('replaySpeed');
+const status = document.getElementById('replayStatus');
+const backLink = document.getElementById('replayBackLink');
+
+let apiBase = window.location.origin;
+let activePlayer = null;
+
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Files from the server are gzipped; accept plain JSON Lines too. A cut-off
+// last line (a recording that never finished) is skipped.
+export async function parseReplay(blob) {
+    const magic = new Uint8Array(await blob.slice(0, 2).arrayBuffer());
+    const gzipped = magic[0] === 0x1f && magic[1] === 0x8b;
+    const stream = gzipped ? blob.stream().pipeThrough(new DecompressionStream('gzip')) : blob.stream();
+    const text = await new Response(stream).text();
+
+    const replay = { header: null, frames: [], events: [], duration: 0, result: null };
+    for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            continue;
+        }
+
+        if (record.type === 'header') {
+            replay.header = record;
+        } else if (record.type === 'frame') {
+            replay.frames.push(record);
+        } else if (record.type === 'event') {
+            replay.events.push(record);
+        } else if (record.type === 'end') {
+            replay.result = record.result;
+        }
+        if (record.t > replay.duration) replay.duration = record.t;
+    }
+
+    if (!replay.header) {
+        throw new Error('Not a replay file');
+    }
+    if (replay.header.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version ${replay.header.version}`);
+    }
+    return replay;
+}
+
+// view: {
+//   setRoster(players)             the cars that should exist now; clear their buffers
+//   pushCarState(id, state)        same shape as a decoded server snapshot
+//   pushBallState(state)           the soccer ball, likewise
+//   applyEvent(event, data, seeking)
+// }
+export class ReplayPlayer {
+    constructor(replay, view) {
+        this.replay = replay;
+        this.view = view;
+        this.time = 0;
+        this.speed = 1;
+        this.playing = false;
+        this.frameIndex = 0;
+        this.eventIndex = 0;
+
+        // Frames name cars by netId; events and the game by player id
+        this.idsByNetId = new Map();
+        for (const player of replay.header.players) {
+            this.idsByNetId.set(player.netId, player.id);
+        }
+        for (const { event, data } of replay.events) {
+            if (event === 'playerJoined') this.idsByNetId.set(data.netId, data.id);
+        }
+    }
+
+    get duration() {
+        return this.replay.duration;
+    }
+
+    // The server's clock at the playhead, for the times it sent in events
+    // (lap starts, the soccer clock)
+    get serverTime() {
+        return this.replay.header.startedAt + this.time;
+    }
+
+    // How fast game time runs: the playback speed, or 0 while paused
+    get rate() {
+        return this.playing ? this.speed : 0;
+    }
+
+    play() {
+        if (this.time >= this.duration) this.seek(0);
+        this.playing = true;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    // Jump to `time` (ms since the match started): work out who was in the
+    // room then and what the scores, health and match state were
+    seek(time) {
+        this.time = Math.max(0, Math.min(time, this.duration));
+
+        const { header, events, frames } = this.replay;
+        const roster = new Map(header.players.map((player) => [player.id, player]));
+        const stateEvents = [{ event: 'scoreUpdate', data: header.scoreboard || [] }];
+        if (header.race) stateEvents.push({ event: 'raceStandings', data: header.race.standings });
+        if (header.soccer) stateEvents.push({ event: 'soccerState', data: header.soccer });
+
+        this.eventIndex = 0;
+        while (this.eventIndex < events.length && events[this.eventIndex].t <= this.time) {
+            const { event, data } = events[this.eventIndex++];
+            if (event === 'playerJoined') {
+                roster.set(data.id, data);
+            } else if (event === 'playerLeft') {
+                roster.delete(data);
+            } else if (STATE_EVENTS.has(event)) {
+                stateEvents.push({ event, data });
+            }
+        }
+
+        this.view.setRoster(Array.from(roster.values()));
+        for (const { event, data } of stateEvents) {
+            this.view.applyEvent(event, data, true);
+        }
+
+        // First frame we need: the one just before the playhead
+        let low = 0;
+        let high = frames.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (frames[mid].t < this.time - FEED_BEHIND_MS) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        this.frameIndex = low;
+        this.feedFrames();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    // Advance by one rendered frame of wall-clock time
+    update(deltaMs) {
+        if (this.playing) {
+            this.time = Math.min(this.time + deltaMs * this.speed, this.duration);
+            if (this.time >= this.duration) this.playing = false;
+        }
+
+        const { events } = this.replay;
+        while (this.eventIndex < events.length && events[this.eventIndex].t <= this.time) {
+            const { event, data } = events[this.eventIndex++];
+            this.view.applyEvent(event, data, false);
+        }
+        this.feedFrames();
+    }
+
+    feedFrames() {
+        const { frames } = this.replay;
+        const until = this.time + FEED_AHEAD_MS;
+        while (this.frameIndex < frames.length && frames[this.frameIndex].t <= until) {
+            const frame = frames[this.frameIndex++];
+            for (const [netId, ...transform] of frame.cars) {
+                const id = this.idsByNetId.get(netId);
+                if (id) this.view.pushCarState(id, recordedState(frame.t, transform));
+            }
+            if (frame.ball) this.view.pushBallState(recordedState(frame.t, frame.ball));
+        }
+    }
+}
+
+function recordedState(timestamp, [px, py, pz, qx, qy, qz, qw]) {
+    return {
+        timestamp,
+        position: { x: px, y: py, z: pz },
+        rotation: { x: qx, y: qy, z: qz, w: qw }
+    };
+}
+
+async function refreshList() {
+    replayList.innerHTML = '';
+    try {
+        const response = await fetch(new URL('/api/replays', apiBase));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { replays } = await response.json();
+
+        for (const replay of replays) {
+            const option = document.createElement('option');
+            option.value = replay.name;
+            option.textContent = `${new Date(replay.modified).toLocaleString()} - ${replay.name}`;
+            replayList.appendChild(option);
+        }
+        status.textContent = replays.length === 0 ? 'No replays on the server yet; open a file instead' : '';
+    } catch (error) {
+        status.textContent = `Could not list the server's replays: ${error.message}`;
+    }
+}
+
+// Keep the play button, slider and clock in step with the player
+export function updateReplayControls() {
+    if (!activePlayer) return;
+    playButton.textContent = activePlayer.playing ? 'Pause' : 'Play';
+    // Don't fight the user while they drag
+    if (document.activeElement !== seekSlider) {
+        seekSlider.value = String(Math.round(activePlayer.time));
+    }
+    timeLabel.textContent = `${formatTime(activePlayer.time)} / ${formatTime(activePlayer.duration)}`;
+}
+
+// Show the replay panel. createPlayer(replay) is called for every replay
+// loaded and returns its ReplayPlayer.
+export function initReplayViewer(serverUrl, createPlayer) {
+    if (serverUrl) apiBase = serverUrl;
+    panel.classList.remove('hidden');
+
+    const gameUrl = new URL(window.location.href);
+    gameUrl.searchParams.delete('replay');
+    backLink.href = gameUrl.toString();
+
+    for (const speed of REPLAY_SPEEDS) {
+        const option = document.createElement('option');
+        option.value = String(speed);
+        option.textContent = `${speed}x`;
+        option.selected = speed === 1;
+        speedSelect.appendChild(option);
+    }
+
+    const open = async (load, label) => {
+        status.textContent = `Loading ${label}...`;
+        try {
+            const replay = await parseReplay(await load());
+            activePlayer = createPlayer(replay);
+            activePlayer.setSpeed(Number(speedSelect.value));
+            seekSlider.max = String(Math.round(replay.duration));
+            const { roomName, startedAt } = replay.header;
+            status.textContent = `${roomName}, ${new Date(startedAt).toLocaleString()} (${replay.result || 'incomplete'})`;
+            updateReplayControls();
+        } catch (error) {
+            status.textContent = `Could not load ${label}: ${error.message}`;
+        }
+    };
+
+    loadButton.addEventListener('click', () => {
+        const name = replayList.value;
+        if (!name) return;
+        open(async () => {
+            const response = await fetch(new URL(`/api/replays/${encodeURIComponent(name)}`, apiBase));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.blob();
+        }, name);
+    });
+
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (file) open(async () => file, file.name);
+    });
+
+    playButton.addEventListener('click', () => {
+        if (activePlayer) activePlayer.toggle();
+    });
+
+    seekSlider.addEventListener('input', () => {
+        if (activePlayer) activePlayer.seek(Number(seekSlider.value));
+    });
+
+    speedSelect.addEventListener('change', () => {
+        if (activePlayer) activePlayer.setSpeed(Number(speedSelect.value));
+    });
+
+    refreshList();
+}
@@ -0,0 +1,86 @@
+// Scoreboard HUD: every player in the room, best first (kills, then fewest
+// deaths). The compact view shows the top few rows plus our own; holding Tab
+// expands it to everyone with deaths and ping.
+
+const COMPACT_ROWS = 4;
+
+function sortRows(rows) {
+    return [...rows].sort((a, b) => b.kills - a.kills || a.deaths - b.deaths || b.score - a.score);
+}
+
+function cell(row, text, color = null) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    td.style.padding = '2px 8px';
+    if (color) {
+        td.style.color = color;
+    }
+    row.appendChild(td);
+    return td;
+}
+
+function headerRow(table, labels) {
+    const row = document.createElement('tr');
+    labels.forEach((label) => {
+        const th = cell(row, label);
+        th.style.fontWeight = 'bold';
+        th.style.color = '#ccc';
+    });
+    table.appendChild(row);
+}
+
+export function renderScoreboard(container, rows, { myPlayerId = null, status = '', expanded = false } = {}) {
+    container.innerHTML = '';
+
+    if (status) {
+        const statusLine = document.createElement('div');
+        statusLine.textContent = status;
+        statusLine.style.marginBottom = '6px';
+        container.appendChild(statusLine);
+    }
+
+    const sorted = sortRows(rows);
+    let visible = sorted;
+    if (!expanded && sorted.length > COMPACT_ROWS) {
+        // Always keep our own row in view
+        visible = sorted.slice(0, COMPACT_ROWS);
+        const mine = sorted.find((row) => row.id === myPlayerId);
+        if (mine && !visible.includes(mine)) {
+            visible[COMPACT_ROWS - 1] = mine;
+        }
+    }
+
+    const table = document.createElement('table');
+    table.style.borderCollapse = 'collapse';
+    headerRow(table, expanded ? ['#', 'Player', 'Score', 'Kills', 'Deaths', 'Ping'] : ['#', 'Player', 'Score', 'Kills']);
+
+    visible.forEach((player) => {
+        const row = document.createElement('tr');
+        if (player.id === myPlayerId) {
+            row.style.backgroundColor = 'rgba(255, 255, 255, 0.15)';
+        }
+        if (player.disconnected) {
+            row.style.opacity = '0.5';
+        }
+
+        cell(row, String(sorted.indexOf(player) + 1));
+        cell(row, `■ ${player.name}${player.id === myPlayerId ? ' (you)' : ''}`, player.color);
+        cell(row, String(player.score));
+        cell(row, String(player.kills));
+        if (expanded) {
+            cell(row, String(player.deaths));
+            cell(row, player.ping === null || player.ping === undefined ? '-' : `${player.ping} ms`);
+        }
+        table.appendChild(row);
+    });
+    container.appendChild(table);
+
+    if (!expanded) {
+        const hint = document.createElement('div');
+        hint.textContent = 'Hold Tab for full scoreboard';
+        hint.style.fontSize = '12px';
+        hint.style.color = '#aaa';
+        hint.style.marginTop = '4px';
+        container.appendChild(hint);
+    }
+}
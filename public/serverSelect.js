@@ -0,0 +1,85 @@
+// Finding the game server. In order of preference:
+//   1. ?server=<url> in the page URL
+//   2. "serverUrl" in config.json next to index.html (e.g. on the Netlify deploy)
+//   3. the page's own origin
+// If the connection keeps failing, a panel lets the player enter another
+// server, which reloads the page with it in ?server=.
+
+const CONFIG_URL = 'config.json';
+const FAILURES_BEFORE_PROMPT = 3;
+
+const serverSelect = document.getElementById('serverSelect');
+const serverUrlInput = document.getElementById('serverUrlInput');
+const serverConnectButton = document.getElementById('serverConnectButton');
+const serverSelectError = document.getElementById('serverSelectError');
+
+// Returns the server URL, or null for same-origin
+export async function discoverServerUrl() {
+    const fromQuery = new URLSearchParams(window.location.search).get('server');
+    if (fromQuery) {
+        return fromQuery;
+    }
+
+    try {
+        const response = await fetch(CONFIG_URL, { cache: 'no-cache' });
+        if (response.ok) {
+            // Hosts that rewrite unknown paths to index.html answer with HTML
+            const config = await response.json();
+            if (config && typeof config.serverUrl === 'string' && config.serverUrl.trim()) {
+                return config.serverUrl.trim();
+            }
+        }
+    } catch (error) {
+        console.log('No usable config.json, connecting to this page\'s origin');
+    }
+
+    return null;
+}
+
+function showServerSelect(serverUrl, error) {
+    serverUrlInput.value = serverUrl || window.location.origin;
+    serverSelectError.textContent = `Can't reach the game server: ${error.message}`;
+    serverSelect.classList.remove('hidden');
+}
+
+function hideServerSelect() {
+    serverSelect.classList.add('hidden');
+}
+
+export function initServerSelect(socket, serverUrl) {
+    let failures = 0;
+
+    socket.on('connect', () => {
+        failures = 0;
+        hideServerSelect();
+    });
+
+    socket.on('connect_error', (error) => {
+        failures++;
+        if (failures >= FAILURES_BEFORE_PROMPT) {
+            showServerSelect(serverUrl, error);
+        }
+    });
+
+    serverConnectButton.addEventListener('click', () => {
+        let url;
+        try {
+            url = new URL(serverUrlInput.value.trim());
+        } catch (error) {
+            serverSelectError.textContent = 'Enter a full URL, e.g. http://192.168.1.10:3000';
+            return;
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        params.set('server', url.origin);
+        window.location.search = params.toString();
+    });
+
+    serverUrlInput.addEventListener('keydown', (event) => {
+        // Don't drive the car while typing
+        event.stopPropagation();
+        if (event.key === 'Enter') {
+            serverConnectButton.click();
+        }
+    });
+}
@@ -0,0 +1,192 @@
+// Car handling shared by the browser and the server.
+// Everything here works on plain Rapier bodies so both sides apply the exact
+// same forces per physics step: the server is the authority, the client only
+// predicts with it.
+
+export const PHYSICS_TIMESTEP = 1 / 60;
+export const GRAVITY = { x: 0, y: -20.0, z: 0 };
+
+// Half extents of the car2.glb collider
+export const CAR_HALF_EXTENTS = { x: 2.7, y: 1.5, z: 6.3 };
+
+export const CAR_BODY_SETTINGS = {
+    linearDamping: 0.3,
+    angularDamping: 0.8,
+    gravityScale: 1.2,
+    restitution: 0.1,
+    friction: 0.95,
+    density: 50.0
+};
+
+const MAX_ANGULAR_VELOCITY = 3.0;
+const FORWARD_IMPULSE = 8000.0;
+const REVERSE_IMPULSE = -5000.0;
+const TURN_IMPULSE = 50000.0;
+const STABILIZATION_STRENGTH = 100.0;
+const DRAG = 0.1;
+const GROUND_FRICTION = 0.5;
+const RESET_POSITION = { x: 0, y: 15, z: 0 };
+
+// The subset of carControls that drives the car
+export function emptyControls() {
+    return { w: false, s: false, a: false, d: false, f: false };
+}
+
+// One sequence-numbered input packet, as sent from client to server
+export function createInput(seq, controls) {
+    return {
+        seq,
+        w: !!controls.w,
+        s: !!controls.s,
+        a: !!controls.a,
+        d: !!controls.d,
+        f: !!controls.f
+    };
+}
+
+// Rotate a vector by a quaternion ({x, y, z, w})
+export function rotateVector(v, q) {
+    const ix = q.w * v.x + q.y * v.z - q.z * v.y;
+    const iy = q.w * v.y + q.z * v.x - q.x * v.z;
+    const iz = q.w * v.z + q.x * v.y - q.y * v.x;
+    const iw = -q.x * v.x - q.y * v.y - q.z * v.z;
+
+    return {
+        x: ix * q.w + iw * -q.x + iy * -q.z - iz * -q.y,
+        y: iy * q.w + iw * -q.y + iz * -q.x - ix * -q.z,
+        z: iz * q.w + iw * -q.z + ix * -q.y - iy * -q.x
+    };
+}
+
+// Create the car rigid body and collider in a Rapier world
+export function createCarBody(RAPIER, world, position, rotation = { x: 0, y: 0, z: 0, w: 1 }) {
+    const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
+        .setTranslation(position.x, position.y, position.z)
+        .setRotation(rotation)
+        .setLinearDamping(CAR_BODY_SETTINGS.linearDamping)
+        .setAngularDamping(CAR_BODY_SETTINGS.angularDamping)
+        .setCanSleep(false)
+        .setCcdEnabled(true)
+        .setGravityScale(CAR_BODY_SETTINGS.gravityScale);
+
+    const body = world.createRigidBody(bodyDesc);
+
+    const colliderDesc = RAPIER.ColliderDesc.cuboid(CAR_HALF_EXTENTS.x, CAR_HALF_EXTENTS.y, CAR_HALF_EXTENTS.z)
+        .setRestitution(CAR_BODY_SETTINGS.restitution)
+        .setFriction(CAR_BODY_SETTINGS.friction)
+        .setDensity(CAR_BODY_SETTINGS.density);
+
+    world.createCollider(colliderDesc, body);
+
+    return body;
+}
+
+// Apply one physics step worth of driving forces for the given controls
+export function applyCarControls(body, controls) {
+    const pos = body.translation();
+
+    // Reset if invalid
+    if (!isFinite(pos.x) || !isFinite(pos.y) || !isFinite(pos.z)) {
+        body.setTranslation(RESET_POSITION, true);
+        body.setLinvel({ x: 0, y: 0, z: 0 }, true);
+        body.setAngvel({ x: 0, y: 0, z: 0 }, true);
+        return;
+    }
+
+    // Limit angular velocity to prevent excessive spinning
+    const angvel = body.angvel();
+    const maxComponent = Math.max(Math.abs(angvel.x), Math.abs(angvel.y), Math.abs(angvel.z));
+    if (maxComponent > MAX_ANGULAR_VELOCITY) {
+        const scale = MAX_ANGULAR_VELOCITY / maxComponent;
+        body.setAngvel({ x: angvel.x * scale, y: angvel.y * scale, z: angvel.z * scale }, true);
+    }
+
+    const rot = body.rotation();
+    const forward = rotateVector({ x: 0, y: 0, z: 1 }, rot); // +Z is forward
+
+    let thrust = 0;
+    if (controls.w) thrust += FORWARD_IMPULSE;
+    if (controls.s) thrust += REVERSE_IMPULSE;
+
+    if (controls.a) {
+        body.applyTorqueImpulse({ x: 0, y: TURN_IMPULSE, z: 0 }, true);
+    }
+    if (controls.d) {
+        body.applyTorqueImpulse({ x: 0, y: -TURN_IMPULSE, z: 0 }, true);
+    }
+
+    // Stabilizing torque to keep the car upright: cross(worldUp, carUp)
+    const carUp = rotateVector({ x: 0, y: 1, z: 0 }, rot);
+    body.applyTorqueImpulse({
+        x: carUp.z * STABILIZATION_STRENGTH,
+        y: 0,
+        z: -carUp.x * STABILIZATION_STRENGTH
+    }, true);
+
+    if (thrust !== 0) {
+        body.applyImpulse({ x: forward.x * thrust, y: forward.y * thrust, z: forward.z * thrust }, true);
+    }
+
+    // Drag (air resistance) and extra gravity
+    const linvel = body.linvel();
+    body.applyImpulse({ x: -linvel.x * DRAG, y: -linvel.y * DRAG, z: -linvel.z * DRAG }, true);
+    body.applyImpulse({ x: 0, y: -9.81, z: 0 }, true);
+
+    // Ground friction when the car is close to the ground
+    if (pos.y < 1.0) {
+        body.applyImpulse({ x: -linvel.x * GROUND_FRICTION, y: 0, z: -linvel.z * GROUND_FRICTION }, true);
+    }
+}
+
+// Put an upside-down car back on its wheels. Returns true if it flipped.
+export function flipCar(body) {
+    const rot = body.rotation();
+    const carUp = rotateVector({ x: 0, y: 1, z: 0 }, rot);
+    if (carUp.y >= 0) return false;
+
+    const pos = body.translation();
+
+    // Stop current movement and lift the car slightly
+    body.setLinvel({ x: 0, y: 0, z: 0 }, true);
+    body.setAngvel({ x: 0, y: 0, z: 0 }, true);
+    body.setTranslation({ x: pos.x, y: pos.y + 2, z: pos.z }, true);
+
+    // Keep the heading, drop pitch and roll
+    const forward = rotateVector({ x: 0, y: 0, z: 1 }, rot);
+    const yaw = Math.atan2(forward.x, forward.z);
+    body.setRotation({ x: 0, y: Math.sin(yaw / 2), z: 0, w: Math.cos(yaw / 2) }, true);
+
+    return true;
+}
+
+// Apply one input packet for one physics step. Flipping happens on the
+// press only, so the previous step's input is needed to detect the edge.
+export function applyCarInput(body, input, previousInput) {
+    if (input.f && !(previousInput && previousInput.f)) {
+        flipCar(body);
+    }
+    applyCarControls(body, input);
+}
+
+export const BULLET_SPEED = 100.0;
+export const BULLET_LIFETIME = 3000; // milliseconds
+export const FIRE_INTERVAL_MS = 150; // Fastest a car can fire; the server enforces it
+
+// Muzzle position and velocity for a bullet fired from a car
+export function bulletFromCar(position, rotation) {
+    const forward = rotateVector({ x: 0, y: 0, z: 1 }, rotation);
+    const length = Math.sqrt(forward.x * forward.x + forward.y * forward.y + forward.z * forward.z) || 1;
+
+    return {
+        position: {
+            x: position.x + (forward.x / length) * 5,
+            y: position.y + 0.5,
+            z: position.z + (forward.z / length) * 5
+        },
+        velocity: {
+            x: (forward.x / length) * BULLET_SPEED,
+            y: (forward.y / length) * BULLET_SPEED,
+            z: (forward.z / length) * BULLET_SPEED
+        }
+    };
+}
@@ -0,0 +1,253 @@
+// Binary world snapshots shared by the browser and the server.
+//
+// A snapshot carries every car in a room. Values are quantized before they go
+// on the wire, and each one is delta-encoded against a baseline: the last
+// snapshot the receiving client acknowledged. Fields that haven't changed
+// since the baseline are left out.
+//
+// Layout (little endian):
+//   header  u32 seq, u32 baselineSeq (0 = none), f64 timestamp,
+//           u32 ackInput (the recipient's last processed input), u16 count
+//   entity  u16 netId, u8 field mask, then the fields present in the mask:
+//           position  3 x i16, 1/64 unit steps
+//           rotation  u32, smallest-three quaternion
+//           linvel    3 x i16, 1/100 unit steps
+//           angvel    3 x i16, 1/100 unit steps
+
+const POSITION_SCALE = 64;
+const VELOCITY_SCALE = 100;
+const ROTATION_BITS = 10;
+const ROTATION_MAX = (1 << ROTATION_BITS) - 1;
+const ROTATION_RANGE = Math.SQRT1_2; // The three smallest components lie within +-1/sqrt(2)
+
+const HEADER_BYTES = 22;
+const FIELD_BYTES = { position: 6, rotation: 4, linvel: 6, angvel: 6 };
+const FIELDS = ['position', 'rotation', 'linvel', 'angvel'];
+
+// How many snapshots either side remembers to delta against
+export const SNAPSHOT_HISTORY = 32;
+
+function clampInt16(value) {
+    return Math.max(-32768, Math.min(32767, Math.round(value)));
+}
+
+function quantizeVector(v, scale) {
+    return [clampInt16(v.x * scale), clampInt16(v.y * scale), clampInt16(v.z * scale)];
+}
+
+function dequantizeVector(q, scale) {
+    return { x: q[0] / scale, y: q[1] / scale, z: q[2] / scale };
+}
+
+// Drop the largest component (it's rebuilt from the unit length) and store
+// its index plus the other three in 10 bits each
+export function packQuaternion(q) {
+    const components = [q.x, q.y, q.z, q.w];
+    let largest = 0;
+    for (let i = 1; i < 4; i++) {
+        if (Math.abs(components[i]) > Math.abs(components[largest])) largest = i;
+    }
+
+    // q and -q are the same rotation; keep the dropped component positive
+    const sign = components[largest] < 0 ? -1 : 1;
+    let packed = largest;
+    for (let i = 0; i < 4; i++) {
+        if (i === largest) continue;
+        const normalized = (components[i] * sign + ROTATION_RANGE) / (2 * ROTATION_RANGE);
+        const bits = Math.max(0, Math.min(ROTATION_MAX, Math.round(normalized * ROTATION_MAX)));
+        packed = packed * (ROTATION_MAX + 1) + bits;
+    }
+    return packed >>> 0;
+}
+
+export function unpackQuaternion(packed) {
+    const components = [0, 0, 0, 0];
+    let rest = packed;
+    const small = [];
+    for (let i = 0; i < 3; i++) {
+        small.unshift(((rest % (ROTATION_MAX + 1)) / ROTATION_MAX) * 2 * ROTATION_RANGE - ROTATION_RANGE);
+        rest = Math.floor(rest / (ROTATION_MAX + 1));
+    }
+    const largest = rest;
+
+    let sumSquares = 0;
+    let next = 0;
+    for (let i = 0; i < 4; i++) {
+        if (i === largest) continue;
+        components[i] = small[next++];
+        sumSquares += components[i] * components[i];
+    }
+    components[largest] = Math.sqrt(Math.max(0, 1 - sumSquares));
+
+    return { x: components[0], y: components[1], z: components[2], w: components[3] };
+}
+
+// Car state -> the integers that go on the wire. Deltas compare these, so a
+// car only counts as changed once it has moved by at least one step.
+export function quantizeEntity(state) {
+    return {
+        position: quantizeVector(state.position, POSITION_SCALE),
+        rotation: packQuaternion(state.rotation),
+        linvel: quantizeVector(state.linvel || { x: 0, y: 0, z: 0 }, VELOCITY_SCALE),
+        angvel: quantizeVector(state.angvel || { x: 0, y: 0, z: 0 }, VELOCITY_SCALE)
+    };
+}
+
+export function dequantizeEntity(q) {
+    return {
+        position: dequantizeVector(q.position, POSITION_SCALE),
+        rotation: unpackQuaternion(q.rotation),
+        linvel: dequantizeVector(q.linvel, VELOCITY_SCALE),
+        angvel: dequantizeVector(q.angvel, VELOCITY_SCALE)
+    };
+}
+
+function sameField(a, b, field) {
+    if (field === 'rotation') return a.rotation === b.rotation;
+    return a[field][0] === b[field][0] && a[field][1] === b[field][1] && a[field][2] === b[field][2];
+}
+
+// entities: Map of netId -> quantized entity. Entities missing from the
+// baseline are always sent whole.
+export function encodeSnapshot({ seq, baselineSeq = 0, timestamp, ackInput = 0, entities }, baseline = null) {
+    const masks = new Map();
+    let size = HEADER_BYTES;
+    for (const [netId, entity] of entities) {
+        const previous = baseline && baseline.get(netId);
+        let mask = 0;
+        FIELDS.forEach((field, bit) => {
+            if (!previous || !sameField(entity, previous, field)) {
+                mask |= 1 << bit;
+                size += FIELD_BYTES[field];
+            }
+        });
+        masks.set(netId, mask);
+        size += 3;
+    }
+
+    const buffer = new ArrayBuffer(size);
+    const view = new DataView(buffer);
+    let offset = 0;
+    view.setUint32(offset, seq, true); offset += 4;
+    view.setUint32(offset, baseline ? baselineSeq : 0, true); offset += 4;
+    view.setFloat64(offset, timestamp, true); offset += 8;
+    view.setUint32(offset, ackInput, true); offset += 4;
+    view.setUint16(offset, entities.size, true); offset += 2;
+
+    for (const [netId, entity] of entities) {
+        const mask = masks.get(netId);
+        view.setUint16(offset, netId, true); offset += 2;
+        view.setUint8(offset, mask); offset += 1;
+
+        FIELDS.forEach((field, bit) => {
+            if (!(mask & (1 << bit))) return;
+            if (field === 'rotation') {
+                view.setUint32(offset, entity.rotation, true);
+                offset += 4;
+            } else {
+                for (const value of entity[field]) {
+                    view.setInt16(offset, value, true);
+                    offset += 2;
+                }
+            }
+        });
+    }
+
+    return buffer;
+}
+
+// Returns { seq, baselineSeq, timestamp, ackInput, entities } with entities as
+// a Map of netId -> quantized entity, or null if the baseline isn't known.
+export function decodeSnapshot(buffer, getBaseline) {
+    // Browsers get an ArrayBuffer, Node clients a Buffer
+    const view = ArrayBuffer.isView(buffer)
+        ? new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+        : new DataView(buffer);
+    let offset = 0;
+    const seq = view.getUint32(offset, true); offset += 4;
+    const baselineSeq = view.getUint32(offset, true); offset += 4;
+    const timestamp = view.getFloat64(offset, true); offset += 8;
+    const ackInput = view.getUint32(offset, true); offset += 4;
+    const count = view.getUint16(offset, true); offset += 2;
+
+    const baseline = baselineSeq ? getBaseline(baselineSeq) : null;
+    if (baselineSeq && !baseline) return null;
+
+    const entities = new Map();
+    for (let i = 0; i < count; i++) {
+        const netId = view.getUint16(offset, true); offset += 2;
+        const mask = view.getUint8(offset); offset += 1;
+        const previous = baseline && baseline.get(netId);
+        const entity = {};
+
+        FIELDS.forEach((field, bit) => {
+            if (!(mask & (1 << bit))) {
+                entity[field] = previous[field];
+            } else if (field === 'rotation') {
+                entity.rotation = view.getUint32(offset, true);
+                offset += 4;
+            } else {
+                entity[field] = [
+                    view.getInt16(offset, true),
+                    view.getInt16(offset + 2, true),
+                    view.getInt16(offset + 4, true)
+                ];
+                offset += 6;
+            }
+        });
+        entities.set(netId, entity);
+    }
+
+    return { seq, baselineSeq, timestamp, ackInput, entities };
+}
+
+// Server side, one per client: remembers what was sent so the next snapshot
+// can be a delta against whatever the client acknowledged last
+export class SnapshotEncoder {
+    constructor() {
+        this.history = new Map(); // seq -> entities
+        this.ackedSeq = 0;
+    }
+
+    acknowledge(seq) {
+        if (this.history.has(seq) && seq > this.ackedSeq) {
+            this.ackedSeq = seq;
+        }
+    }
+
+    encode(seq, timestamp, ackInput, entities) {
+        const baseline = this.history.get(this.ackedSeq) || null;
+        const buffer = encodeSnapshot({ seq, baselineSeq: this.ackedSeq, timestamp, ackInput, entities }, baseline);
+
+        this.history.set(seq, entities);
+        for (const oldSeq of this.history.keys()) {
+            if (this.history.size <= SNAPSHOT_HISTORY) break;
+            this.history.delete(oldSeq);
+        }
+        if (!this.history.has(this.ackedSeq)) this.ackedSeq = 0;
+
+        return buffer;
+    }
+}
+
+// Client side: decodes snapshots in order and keeps recent ones as baselines
+export class SnapshotDecoder {
+    constructor() {
+        this.history = new Map(); // seq -> entities
+        this.lastSeq = 0;
+    }
+
+    // Returns the decoded snapshot, or null for stale or undecodable ones
+    decode(buffer) {
+        const snapshot = decodeSnapshot(buffer, (seq) => this.history.get(seq));
+        if (!snapshot || snapshot.seq <= this.lastSeq) return null;
+
+        this.lastSeq = snapshot.seq;
+        this.history.set(snapshot.seq, snapshot.entities);
+        for (const oldSeq of this.history.keys()) {
+            if (this.history.size <= SNAPSHOT_HISTORY * 2) break;
+            this.history.delete(oldSeq);
+        }
+        return snapshot;
+    }
+}
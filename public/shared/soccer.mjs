@@ -0,0 +1,92 @@
+// Car soccer, shared by the browser and the server.
+//
+// Two teams push a big ball around a pitch in the middle of the map. Blue
+// defends the goal at -x and attacks +x; orange the other way round. Each
+// goal is a box behind its end line: the ball's centre inside it scores for
+// the other team. Goals have no height of their own; the server fills in
+// `y` from the ground under them, as it does for track gates.
+
+// The ball goes out in world snapshots as one more entity. Cars' net ids
+// start at 1, so this one is never taken.
+export const BALL_NET_ID = 0;
+export const BALL_RADIUS = 4;
+// Light enough for a car to shove about, heavy enough not to fly off
+export const BALL_BODY_SETTINGS = {
+    linearDamping: 0.2,
+    angularDamping: 0.2,
+    restitution: 0.6,
+    friction: 0.4,
+    density: 3.0
+};
+
+export const TEAMS = [
+    { id: 'blue', name: 'Blue', color: '#2196f3', side: -1 },
+    { id: 'orange', name: 'Orange', color: '#ff9800', side: 1 }
+];
+
+// The pitch around the origin; the ball is out of play past its sides, or
+// past the back of either goal
+export const PITCH = { halfLength: 100, halfWidth: 60 };
+
+const GOAL_WIDTH = 30;
+const GOAL_DEPTH = 12;
+const GOAL_HEIGHT = 16;
+
+// The goal each team defends
+export const GOALS = TEAMS.map((team) => ({
+    team: team.id,
+    x: team.side * (PITCH.halfLength + GOAL_DEPTH / 2),
+    z: 0,
+    width: GOAL_WIDTH,
+    depth: GOAL_DEPTH,
+    height: GOAL_HEIGHT
+}));
+
+// Kickoff: each team in rows of three on its own half, facing the ball
+const KICKOFF_DISTANCE = 30;
+const KICKOFF_ROW_SPACING = 15;
+const KICKOFF_COLUMN_SPACING = 15;
+const KICKOFF_COLUMNS = [0, -1, 1];
+
+export function getTeam(id) {
+    return TEAMS.find((team) => team.id === id) || null;
+}
+
+// Spawn slots alternate between the teams, so filling the lowest free slot
+// keeps them even
+export function teamForSlot(index) {
+    return TEAMS[index % TEAMS.length];
+}
+
+export function opponentOf(teamId) {
+    return TEAMS.find((team) => team.id !== teamId);
+}
+
+export function insideGoal(goal, position) {
+    return Math.abs(position.x - goal.x) <= goal.depth / 2
+        && Math.abs(position.z - goal.z) <= goal.width / 2
+        && position.y <= goal.y + goal.height;
+}
+
+export function outOfPlay(position) {
+    return Math.abs(position.x) > PITCH.halfLength + GOAL_DEPTH || Math.abs(position.z) > PITCH.halfWidth;
+}
+
+// Where spawn slot `index` lines up for a kickoff. `y` is left for the caller
+// to put on the ground.
+export function kickoffSpot(index) {
+    const team = teamForSlot(index);
+    const slot = Math.floor(index / TEAMS.length);
+    const row = Math.floor(slot / KICKOFF_COLUMNS.length);
+    const column = KICKOFF_COLUMNS[slot % KICKOFF_COLUMNS.length];
+    const yaw = Math.atan2(-team.side, 0);
+
+    return {
+        position: {
+            x: team.side * (KICKOFF_DISTANCE + row * KICKOFF_ROW_SPACING),
+            y: 0,
+            z: column * KICKOFF_COLUMN_SPACING
+        },
+        rotation: { x: 0, y: Math.sin(yaw / 2), z: 0, w: Math.cos(yaw / 2) }
+    };
+}
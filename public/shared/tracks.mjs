@@ -0,0 +1,184 @@
+// Race tracks and lap timing, shared by the browser and the server.
+//
+// A track is a start/finish line plus an ordered list of checkpoints. Both
+// are gates: a box on the ground (width across the track, depth along it)
+// facing the direction cars should be driving, `heading`, measured like a
+// car's yaw (0 is +z). A lap is every checkpoint in order, then the line.
+// Gates have no height; the server fills in `y` from the ground under them
+// for drawing.
+
+const GATE_WIDTH = 30;
+const GATE_DEPTH = 10;
+
+// Start grid: two staggered columns behind the line
+const GRID_FIRST_ROW = 12;
+const GRID_ROW_SPACING = 12;
+const GRID_COLUMN_OFFSET = 5;
+
+// Slower than this and there's no telling which way a car is going
+const WRONG_WAY_MIN_SPEED = 5;
+const WRONG_WAY_DOT = -0.5;
+
+// Gates around a closed curve: point(t) for t in [0, 1) gives { x, z }.
+// The first gate is the start/finish line.
+function trackFromCurve({ id, name, laps, gates, offset = 0, point }) {
+    const gateAt = (t) => {
+        const here = point(t);
+        const ahead = point(t + 0.001);
+        return {
+            x: here.x,
+            z: here.z,
+            heading: Math.atan2(ahead.x - here.x, ahead.z - here.z),
+            width: GATE_WIDTH,
+            depth: GATE_DEPTH
+        };
+    };
+
+    const all = [];
+    for (let i = 0; i < gates; i++) {
+        all.push(gateAt((i + offset) / gates));
+    }
+    return { id, name, laps, start: all[0], checkpoints: all.slice(1) };
+}
+
+export const TRACKS = [
+    trackFromCurve({
+        id: 'ring',
+        name: 'Ring',
+        laps: 3,
+        gates: 8,
+        point: (t) => ({ x: Math.cos(t * Math.PI * 2) * 120, z: Math.sin(t * Math.PI * 2) * 120 })
+    }),
+    // Gates are offset half a step so none sits on the crossing
+    trackFromCurve({
+        id: 'figure-eight',
+        name: 'Figure Eight',
+        laps: 2,
+        gates: 12,
+        offset: 0.5,
+        point: (t) => ({ x: Math.sin(t * Math.PI * 2) * 130, z: Math.sin(t * Math.PI * 4) * 65 })
+    })
+];
+
+export const DEFAULT_TRACK_ID = TRACKS[0].id;
+
+export function getTrack(id) {
+    return TRACKS.find((track) => track.id === id) || null;
+}
+
+export function insideGate(gate, position) {
+    const dx = position.x - gate.x;
+    const dz = position.z - gate.z;
+    const along = dx * Math.sin(gate.heading) + dz * Math.cos(gate.heading);
+    const across = dx * Math.cos(gate.heading) - dz * Math.sin(gate.heading);
+    return Math.abs(along) <= gate.depth / 2 && Math.abs(across) <= gate.width / 2;
+}
+
+// Where grid slot `index` is, facing the start line. `y` is left for the
+// caller to put on the ground.
+export function gridSlot(track, index) {
+    const { start } = track;
+    const row = Math.floor(index / 2);
+    const side = index % 2 === 0 ? -1 : 1;
+    // The right-hand column sits half a row further back
+    const back = GRID_FIRST_ROW + row * GRID_ROW_SPACING + (side > 0 ? GRID_ROW_SPACING / 2 : 0);
+    const forward = { x: Math.sin(start.heading), z: Math.cos(start.heading) };
+
+    return {
+        position: {
+            x: start.x - forward.x * back + forward.z * side * GRID_COLUMN_OFFSET,
+            y: 0,
+            z: start.z - forward.z * back - forward.x * side * GRID_COLUMN_OFFSET
+        },
+        rotation: { x: 0, y: Math.sin(start.heading / 2), z: 0, w: Math.cos(start.heading / 2) }
+    };
+}
+
+// One car's way round a track: which lap and gate it's on, and its times.
+// update() is fed the car's position and returns what happened:
+//   { type: 'checkpoint', lap, checkpoint, splitMs, deltaMs }   deltaMs vs the best lap's split, or null
+//   { type: 'lap', lap, lapMs, bestLapMs }
+//   { type: 'finish', totalMs }                                  after the last lap's 'lap'
+export class LapProgress {
+    constructor(track) {
+        this.track = track;
+        this.start(0);
+    }
+
+    start(now) {
+        this.lap = 1;
+        this.nextGate = 0; // checkpoints.length means the finish line
+        this.startedAt = now;
+        this.lapStartedAt = now;
+        this.splits = [];
+        this.lastLapMs = null;
+        this.bestLapMs = null;
+        this.bestSplits = null;
+        this.finishedAt = null;
+    }
+
+    get finished() {
+        return this.finishedAt !== null;
+    }
+
+    // The gate this car has to drive through next
+    get gate() {
+        const { checkpoints, start } = this.track;
+        return this.nextGate < checkpoints.length ? checkpoints[this.nextGate] : start;
+    }
+
+    // For ordering cars: gates passed so far, counting whole laps
+    get gatesPassed() {
+        return (this.lap - 1) * (this.track.checkpoints.length + 1) + this.nextGate;
+    }
+
+    update(position, now) {
+        if (this.finished || !insideGate(this.gate, position)) return [];
+
+        const { checkpoints, laps } = this.track;
+        if (this.nextGate < checkpoints.length) {
+            const splitMs = now - this.lapStartedAt;
+            const best = this.bestSplits ? this.bestSplits[this.nextGate] : undefined;
+            this.splits.push(splitMs);
+            this.nextGate++;
+            return [{
+                type: 'checkpoint',
+                lap: this.lap,
+                checkpoint: this.nextGate - 1,
+                splitMs,
+                deltaMs: best === undefined ? null : splitMs - best
+            }];
+        }
+
+        const lapMs = now - this.lapStartedAt;
+        this.lastLapMs = lapMs;
+        if (this.bestLapMs === null || lapMs < this.bestLapMs) {
+            this.bestLapMs = lapMs;
+            this.bestSplits = this.splits;
+        }
+        const events = [{ type: 'lap', lap: this.lap, lapMs, bestLapMs: this.bestLapMs }];
+
+        if (this.lap >= laps) {
+            this.finishedAt = now;
+            events.push({ type: 'finish', totalMs: now - this.startedAt });
+        } else {
+            this.lap++;
+            this.nextGate = 0;
+            this.lapStartedAt = now;
+            this.splits = [];
+        }
+        return events;
+    }
+
+    // Moving away from the next gate, rather than towards it
+    isWrongWay(position, velocity) {
+        const speed = Math.hypot(velocity.x, velocity.z);
+        if (this.finished || speed < WRONG_WAY_MIN_SPEED) return false;
+
+        const { gate } = this;
+        const dx = gate.x - position.x;
+        const dz = gate.z - position.z;
+        const distance = Math.hypot(dx, dz) || 1;
+        return (velocity.x * dx + velocity.z * dz) / (speed * distance) < WRONG_WAY_DOT;
+    }
+}
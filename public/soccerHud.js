@@ -0,0 +1,173 @@
+import * as THREE from 'three';
+import { TEAMS, getTeam } from './shared/soccer.mjs';
+
+// Soccer HUD and the goals in the world. The HUD shows the score, the match
+// clock (or overtime, or the count to a kickoff) and who scored last. The
+// server keeps the score and the clock; this only shows what it sends.
+
+const GOAL_MESSAGE_MS = 3000;
+const POST_RADIUS = 0.6;
+const NET_OPACITY = 0.25;
+
+function formatClock(ms) {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export class SoccerHud {
+    constructor() {
+        this.state = null; // The server's latest soccerState
+        this.messageTimer = null;
+
+        this.panel = document.createElement('div');
+        this.panel.style.position = 'absolute';
+        this.panel.style.top = '10px';
+        this.panel.style.left = '50%';
+        this.panel.style.transform = 'translateX(-50%)';
+        this.panel.style.color = 'white';
+        this.panel.style.fontFamily = 'Arial';
+        this.panel.style.fontSize = '20px';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.panel.style.padding = '10px 20px';
+        this.panel.style.borderRadius = '5px';
+        this.panel.style.textAlign = 'center';
+        this.panel.style.display = 'none';
+        document.body.appendChild(this.panel);
+
+        this.score = document.createElement('div');
+        this.score.style.fontSize = '28px';
+        this.score.style.fontWeight = 'bold';
+        this.panel.appendChild(this.score);
+
+        this.clock = document.createElement('div');
+        this.clock.style.fontFamily = 'monospace';
+        this.panel.appendChild(this.clock);
+
+        this.message = document.createElement('div');
+        this.panel.appendChild(this.message);
+    }
+
+    get active() {
+        return this.state !== null;
+    }
+
+    start(state) {
+        this.state = state;
+        this.message.textContent = '';
+        this.panel.style.display = 'block';
+        this.renderScore();
+    }
+
+    stop() {
+        this.state = null;
+        this.panel.style.display = 'none';
+    }
+
+    setState(state) {
+        if (!this.active) return;
+        this.state = state;
+        this.renderScore();
+    }
+
+    // Cars are held still while lining up for a kickoff
+    frozen(serverNow) {
+        return this.active && serverNow < this.state.frozenUntil;
+    }
+
+    showGoal({ team, score }, scorerName) {
+        this.state = { ...this.state, score };
+        this.renderScore();
+
+        const { name, color } = getTeam(team);
+        this.message.textContent = scorerName ? `${name} goal - ${scorerName}` : `${name} goal`;
+        this.message.style.color = color;
+        clearTimeout(this.messageTimer);
+        this.messageTimer = setTimeout(() => {
+            this.message.textContent = '';
+        }, GOAL_MESSAGE_MS);
+    }
+
+    renderScore() {
+        this.score.innerHTML = '';
+        TEAMS.forEach((team, index) => {
+            if (index > 0) this.score.append(' - ');
+            const span = document.createElement('span');
+            span.style.color = team.color;
+            span.textContent = index === 0
+                ? `${team.name} ${this.state.score[team.id]}`
+                : `${this.state.score[team.id]} ${team.name}`;
+            this.score.appendChild(span);
+        });
+    }
+
+    // Called every frame with the server's clock
+    update(serverNow) {
+        if (!this.active) return;
+
+        const { clockEndsAt, overtime, frozenUntil } = this.state;
+        if (serverNow < frozenUntil) {
+            this.clock.textContent = `Kickoff in ${Math.ceil((frozenUntil - serverNow) / 1000)}`;
+        } else if (overtime) {
+            this.clock.textContent = 'Overtime: next goal wins';
+        } else if (clockEndsAt === null) {
+            this.clock.textContent = '-:--';
+        } else {
+            this.clock.textContent = formatClock(clockEndsAt - serverNow);
+        }
+    }
+}
+
+// Each goal: two posts and a crossbar on its end line, and a see-through net
+// in the colour of the team defending it
+export class SoccerField {
+    constructor(scene) {
+        this.group = new THREE.Group();
+        scene.add(this.group);
+    }
+
+    build(goals) {
+        this.clear();
+        for (const goal of goals) {
+            this.addGoal(goal);
+        }
+    }
+
+    addGoal(goal) {
+        const color = getTeam(goal.team).color;
+        const marker = new THREE.Group();
+        marker.position.set(goal.x, goal.y, goal.z);
+
+        const postMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+        // The mouth faces the middle of the pitch
+        const mouth = -Math.sign(goal.x) * goal.depth / 2;
+        const postGeometry = new THREE.CylinderGeometry(POST_RADIUS, POST_RADIUS, goal.height, 8);
+        for (const side of [-1, 1]) {
+            const post = new THREE.Mesh(postGeometry, postMaterial);
+            post.position.set(mouth, goal.height / 2, side * goal.width / 2);
+            marker.add(post);
+        }
+        const crossbar = new THREE.Mesh(
+            new THREE.BoxGeometry(POST_RADIUS * 2, POST_RADIUS * 2, goal.width),
+            postMaterial
+        );
+        crossbar.position.set(mouth, goal.height, 0);
+        marker.add(crossbar);
+
+        const net = new THREE.Mesh(
+            new THREE.BoxGeometry(goal.depth, goal.height, goal.width),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: NET_OPACITY, depthWrite: false })
+        );
+        net.position.y = goal.height / 2;
+        marker.add(net);
+
+        this.group.add(marker);
+    }
+
+    clear() {
+        this.group.traverse((object) => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        this.group.clear();
+    }
+}
@@ -0,0 +1,96 @@
+import * as THREE from 'three';
+
+// Camera and HUD for spectators, who have no car of their own. They either
+// follow one player's car with the same chase camera players get, or fly
+// around freely with the orbit controls.
+
+const CHASE_OFFSET = new THREE.Vector3(0, 20, 30);
+const FREE_CAMERA_HEIGHT = 120;
+
+export class SpectatorView {
+    constructor(camera, orbitControls) {
+        this.camera = camera;
+        this.controls = orbitControls;
+        this.followedId = null;
+        this.freeCamera = false;
+        this.active = false;
+        this.label = 'Spectating';
+
+        this.hud = document.createElement('div');
+        this.hud.style.position = 'absolute';
+        this.hud.style.bottom = '20px';
+        this.hud.style.left = '50%';
+        this.hud.style.transform = 'translateX(-50%)';
+        this.hud.style.color = 'white';
+        this.hud.style.fontFamily = 'Arial';
+        this.hud.style.fontSize = '18px';
+        this.hud.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.hud.style.padding = '10px 20px';
+        this.hud.style.borderRadius = '5px';
+        this.hud.style.display = 'none';
+        document.body.appendChild(this.hud);
+    }
+
+    // label names the mode in the HUD
+    start(label = 'Spectating') {
+        this.active = true;
+        this.label = label;
+        this.followedId = null;
+        this.setFreeCamera(false);
+        this.hud.style.display = 'block';
+    }
+
+    stop() {
+        this.active = false;
+        this.followedId = null;
+        this.controls.enabled = false;
+        this.hud.style.display = 'none';
+    }
+
+    // Move to the next (step 1) or previous (step -1) car in `ids`
+    cycle(ids, step) {
+        if (ids.length === 0) {
+            this.followedId = null;
+            return;
+        }
+        const index = ids.indexOf(this.followedId);
+        const next = index === -1 ? 0 : (index + step + ids.length) % ids.length;
+        this.followedId = ids[next];
+        this.setFreeCamera(false);
+    }
+
+    setFreeCamera(free) {
+        this.freeCamera = free;
+        this.controls.enabled = free;
+        if (free) {
+            // Start looking down on wherever the camera was looking
+            const target = this.controls.target;
+            this.camera.position.set(target.x, target.y + FREE_CAMERA_HEIGHT, target.z + FREE_CAMERA_HEIGHT / 2);
+            this.camera.lookAt(target);
+        }
+    }
+
+    // targets: Map of player id -> { position, name } for every car in the room
+    update(targets) {
+        if (!this.active) return;
+
+        if (!this.freeCamera && !targets.has(this.followedId)) {
+            this.cycle(Array.from(targets.keys()), 1);
+        }
+
+        const followed = targets.get(this.followedId);
+        if (this.freeCamera) {
+            this.controls.update();
+        } else if (followed) {
+            const { position } = followed;
+            this.camera.position.lerp(position.clone().add(CHASE_OFFSET), 0.1);
+            this.camera.lookAt(position.x, position.y + 2, position.z);
+            this.controls.target.copy(position);
+        }
+
+        const watching = this.freeCamera
+            ? 'Free camera'
+            : followed ? `Following ${followed.name}` : 'Waiting for players';
+        this.hud.textContent = `${this.label} - ${watching}  |  Q/E: switch car  V: free camera`;
+    }
+}
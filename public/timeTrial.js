@@ -0,0 +1,290 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { PHYSICS_TIMESTEP } from './shared/carDynamics.mjs';
+import { LapProgress, TRACKS, getTrack, insideGate } from './shared/tracks.mjs';
+
+// Time trial (?timetrial, or ?timetrial=<trackId>): laps of a track on our
+// own, with no server. Timing starts when the car first crosses the line and
+// runs on physics steps, not the wall clock. The car's transform is recorded
+// every step; the fastest lap is kept in localStorage as a ghost that later
+// runs race against, and can be exported to a file and imported elsewhere.
+//
+// A ghost file is JSON:
+//   { version, trackId, lapMs, splits, frames }
+// splits: ms into the lap at each checkpoint
+// frames: [px, py, pz, qx, qy, qz, qw] for every physics step from the line
+
+const GHOST_VERSION = 1;
+const STORAGE_PREFIX = 'ghost:';
+const STEP_MS = PHYSICS_TIMESTEP * 1000;
+// Going the wrong way this long before the HUD says so, as in races
+const WRONG_WAY_MS = 1000;
+
+const GHOST_COLOR = 0x88ccff;
+const GHOST_OPACITY = 0.35;
+
+const panel = document.getElementById('timeTrialPanel');
+const trackSelect = document.getElementById('timeTrialTrack');
+const restartButton = document.getElementById('timeTrialRestart');
+const exportButton = document.getElementById('timeTrialExport');
+const fileInput = document.getElementById('timeTrialFileInput');
+const status = document.getElementById('timeTrialStatus');
+const backLink = document.getElementById('timeTrialBackLink');
+
+// Millimetres and four decimals of a quaternion keep a minute's lap in the
+// low hundreds of kilobytes
+function recordFrame(position, rotation) {
+    const round = (value, places) => Number(value.toFixed(places));
+    return [
+        round(position.x, 3), round(position.y, 3), round(position.z, 3),
+        round(rotation.x, 4), round(rotation.y, 4), round(rotation.z, 4), round(rotation.w, 4)
+    ];
+}
+
+// Throws if `ghost` isn't a ghost we can play on `trackId`
+function checkGhost(ghost, trackId) {
+    if (!ghost || !Array.isArray(ghost.frames) || !Array.isArray(ghost.splits) || typeof ghost.lapMs !== 'number') {
+        throw new Error('Not a ghost file');
+    }
+    if (ghost.version !== GHOST_VERSION) {
+        throw new Error(`Unsupported ghost version ${ghost.version}`);
+    }
+    if (ghost.trackId !== trackId) {
+        const track = getTrack(ghost.trackId);
+        throw new Error(`That ghost was driven on ${track ? track.name : ghost.trackId}`);
+    }
+    return ghost;
+}
+
+// The best lap saved on this browser, or null
+export function loadGhost(trackId) {
+    try {
+        return checkGhost(JSON.parse(localStorage.getItem(STORAGE_PREFIX + trackId)), trackId);
+    } catch (error) {
+        return null;
+    }
+}
+
+// False if the browser wouldn't store it (private mode, or out of quota)
+export function saveGhost(ghost) {
+    try {
+        localStorage.setItem(STORAGE_PREFIX + ghost.trackId, JSON.stringify(ghost));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// One run round `track` (gates on the ground). step() is fed the car after
+// every physics step and returns LapProgress's events, plus
+//   { type: 'start' }             the car crossed the line for the first time
+// and `newBest: true` on a 'lap' event that beat the ghost.
+export class TimeTrial {
+    constructor(track, ghost = null) {
+        this.track = track;
+        this.ghost = ghost;
+        this.restart();
+    }
+
+    // Back to waiting for the car to cross the line
+    restart() {
+        this.steps = 0; // Physics steps since the restart
+        this.progress = null;
+        this.frames = [];
+        this.wrongWaySince = null;
+        this.wrongWay = false;
+    }
+
+    // ms of simulated time since the restart
+    get time() {
+        return this.steps * STEP_MS;
+    }
+
+    get running() {
+        return this.progress !== null;
+    }
+
+    // How far into the current lap we are, which is where the ghost should be
+    get lapTime() {
+        return this.running ? this.time - this.progress.lapStartedAt : 0;
+    }
+
+    // Race a different best lap from now on, e.g. one just imported
+    setGhost(ghost) {
+        this.ghost = ghost;
+        if (this.running) {
+            this.progress.bestLapMs = ghost.lapMs;
+            this.progress.bestSplits = ghost.splits;
+        }
+    }
+
+    step(position, rotation, velocity) {
+        this.steps++;
+        const events = [];
+
+        if (!this.running) {
+            if (!insideGate(this.track.start, position)) return events;
+            // Laps never run out; split deltas are against the ghost
+            this.progress = new LapProgress({ ...this.track, laps: Infinity });
+            this.progress.start(this.time);
+            if (this.ghost) this.setGhost(this.ghost);
+            events.push({ type: 'start' });
+        } else {
+            const lapSplits = this.progress.splits;
+            for (const event of this.progress.update(position, this.time)) {
+                if (event.type === 'lap') {
+                    if (!this.ghost || event.lapMs < this.ghost.lapMs) {
+                        this.ghost = {
+                            version: GHOST_VERSION,
+                            trackId: this.track.id,
+                            lapMs: event.lapMs,
+                            splits: lapSplits,
+                            frames: this.frames
+                        };
+                        event.newBest = true;
+                    }
+                    this.frames = [];
+                }
+                events.push(event);
+            }
+        }
+
+        this.frames.push(recordFrame(position, rotation));
+        this.checkWrongWay(position, velocity);
+        return events;
+    }
+
+    checkWrongWay(position, velocity) {
+        if (!this.progress.isWrongWay(position, velocity)) {
+            this.wrongWaySince = null;
+            this.wrongWay = false;
+        } else if (this.wrongWaySince === null) {
+            this.wrongWaySince = this.time;
+        } else if (this.time - this.wrongWaySince >= WRONG_WAY_MS) {
+            this.wrongWay = true;
+        }
+    }
+
+    // Our row in the same shape as a race's standings, for the race HUD
+    standing() {
+        if (!this.running) return null;
+        const { lap, nextGate, lastLapMs, bestLapMs, lapStartedAt } = this.progress;
+        return { id: 'local', place: 1, lap, nextGate, lastLapMs, bestLapMs, lapStartedAt, finishMs: null };
+    }
+}
+
+// The best lap driven again by a see-through copy of the car. It has no
+// physics body; it's only ever placed from the recorded frames.
+export class GhostCar {
+    constructor(scene) {
+        this.mesh = null;
+        this.fromQuaternion = new THREE.Quaternion();
+        this.toQuaternion = new THREE.Quaternion();
+
+        const material = new THREE.MeshStandardMaterial({
+            color: GHOST_COLOR,
+            transparent: true,
+            opacity: GHOST_OPACITY,
+            depthWrite: false
+        });
+        new GLTFLoader().load(
+            'car2.glb',
+            (gltf) => {
+                this.mesh = gltf.scene;
+                this.mesh.traverse((child) => {
+                    if (child.isMesh) child.material = material;
+                });
+                this.mesh.visible = false;
+                scene.add(this.mesh);
+            },
+            undefined,
+            (error) => {
+                console.error('Error loading ghost car:', error);
+            }
+        );
+    }
+
+    // Put the ghost where `ghost` was `lapTime` ms into its lap. It's hidden
+    // before the lap starts (lapTime null) and once its lap is over.
+    update(ghost, lapTime) {
+        if (!this.mesh) return;
+
+        const index = lapTime === null ? -1 : lapTime / STEP_MS;
+        if (!ghost || index < 0 || index >= ghost.frames.length - 1) {
+            this.mesh.visible = false;
+            return;
+        }
+
+        const i = Math.floor(index);
+        const t = index - i;
+        const from = ghost.frames[i];
+        const to = ghost.frames[i + 1];
+        this.mesh.position.set(
+            from[0] + (to[0] - from[0]) * t,
+            from[1] + (to[1] - from[1]) * t,
+            from[2] + (to[2] - from[2]) * t
+        );
+        this.fromQuaternion.set(from[3], from[4], from[5], from[6]);
+        this.toQuaternion.set(to[3], to[4], to[5], to[6]);
+        this.mesh.quaternion.slerpQuaternions(this.fromQuaternion, this.toQuaternion, t);
+        this.mesh.visible = true;
+    }
+}
+
+export function setTimeTrialStatus(text) {
+    status.textContent = text;
+}
+
+// Show the time trial panel for `trial`. restart() puts the car back on the
+// grid; importGhost(ghost) is called with every ghost file loaded.
+export function initTimeTrialPanel(trial, { restart, importGhost }) {
+    panel.classList.remove('hidden');
+
+    const gameUrl = new URL(window.location.href);
+    gameUrl.searchParams.delete('timetrial');
+    backLink.href = gameUrl.toString();
+
+    for (const track of TRACKS) {
+        const option = document.createElement('option');
+        option.value = track.id;
+        option.textContent = track.name;
+        option.selected = track.id === trial.track.id;
+        trackSelect.appendChild(option);
+    }
+
+    // A new track is a new page: new gates, ghost and HUD
+    trackSelect.addEventListener('change', () => {
+        const url = new URL(window.location.href);
+        url.searchParams.set('timetrial', trackSelect.value);
+        window.location.href = url.toString();
+    });
+
+    restartButton.addEventListener('click', () => {
+        restartButton.blur(); // Leave the keyboard to the car
+        restart();
+    });
+
+    exportButton.addEventListener('click', () => {
+        if (!trial.ghost) {
+            setTimeTrialStatus('No lap to export yet');
+            return;
+        }
+        const blob = new Blob([JSON.stringify(trial.ghost)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `ghost-${trial.track.id}-${Math.round(trial.ghost.lapMs)}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        try {
+            importGhost(checkGhost(JSON.parse(await file.text()), trial.track.id));
+        } catch (error) {
+            setTimeTrialStatus(`Could not load ${file.name}: ${error.message}`);
+        }
+        fileInput.value = '';
+    });
+}
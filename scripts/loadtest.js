@@ -0,0 +1,441 @@
+#!/usr/bin/env node
+// Load test: spawns headless Socket.IO clients that join rooms, drive along
+// scripted paths and fire, then reports what the server and the clients saw.
+//
+//   npm run loadtest -- --clients 32 --duration 60 --url http://localhost:3000
+//
+// Options (all optional):
+//   --url              game server to test (default http://localhost:3000)
+//   --clients          how many clients to run (8)
+//   --duration         seconds to measure for once everyone has joined (30)
+//   --room-size        clients per room; each group creates its own room (8)
+//   --ramp             milliseconds between client connections (100)
+//   --fire-interval    milliseconds between shots per client, 0 for none (1000)
+//   --json             also write the report to this file
+//
+// Latency is measured end to end inside this process, so no clock sync is
+// needed: an input is timed until a snapshot acknowledges it, a bullet from
+// the moment it's fired until another client hears about it. Server CPU,
+// tick time and event-loop lag come from its /metrics endpoint; the
+// harness's own CPU is reported too, since a saturated harness makes the
+// server look slower than it is.
+
+const fs = require("fs");
+const { io } = require("socket.io-client");
+
+const DEFAULTS = {
+  url: "http://localhost:3000",
+  clients: 8,
+  duration: 30,
+  roomSize: 8,
+  ramp: 100,
+  fireInterval: 1000,
+  json: null,
+};
+
+const STEP_MS = 1000 / 60; // Clients send one input per physics step
+const INPUT_FLUSH_MS = 16; // ...batched per rendered frame
+const JOIN_TIMEOUT_MS = 10000;
+const METRICS_INTERVAL_MS = 5000;
+
+// Scripted driving: segments of held keys, looped. Each client takes the
+// next path and starts at a different point in it.
+const PATHS = {
+  circle: [{ ms: 4000, keys: "wa" }],
+  figureEight: [{ ms: 3000, keys: "wa" }, { ms: 3000, keys: "wd" }],
+  zigzag: [{ ms: 800, keys: "wa" }, { ms: 800, keys: "wd" }],
+  patrol: [{ ms: 2500, keys: "w" }, { ms: 1200, keys: "wa" }, { ms: 2500, keys: "w" }, { ms: 1200, keys: "wd" }],
+  reverse: [{ ms: 2000, keys: "s" }, { ms: 2000, keys: "sd" }, { ms: 3000, keys: "w" }],
+};
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)$/.exec(argv[i]);
+    if (!match) throw new Error(`Unexpected argument "${argv[i]}"`);
+
+    const key = match[1].replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    if (!(key in DEFAULTS)) throw new Error(`Unknown option --${match[1]}`);
+    const value = argv[++i];
+    if (value === undefined) throw new Error(`--${match[1]} needs a value`);
+
+    if (typeof DEFAULTS[key] === "number") {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) throw new Error(`--${match[1]} must be a number`);
+      options[key] = number;
+    } else {
+      options[key] = value;
+    }
+  }
+  if (options.clients < 1 || options.roomSize < 1) throw new Error("--clients and --room-size must be at least 1");
+  return options;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Acknowledged emit with a timeout, so a stuck server fails the run
+function request(socket, event, data) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`${event} timed out`)), JOIN_TIMEOUT_MS);
+    socket.emit(event, data, (result) => {
+      clearTimeout(timer);
+      if (result && result.error) {
+        reject(new Error(`${event}: ${result.error}`));
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+// Latency samples in milliseconds
+class Samples {
+  constructor() {
+    this.values = [];
+  }
+
+  add(value) {
+    this.values.push(value);
+  }
+
+  summary() {
+    const sorted = this.values.slice().sort((a, b) => a - b);
+    const at = (fraction) => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+    if (sorted.length === 0) return { count: 0 };
+    return {
+      count: sorted.length,
+      mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+      p50: round(at(0.5)),
+      p95: round(at(0.95)),
+      p99: round(at(0.99)),
+      max: round(sorted[sorted.length - 1]),
+    };
+  }
+}
+
+function round(value, digits = 1) {
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
+
+// One headless player
+class SimulatedClient {
+  constructor(index, options, shared) {
+    this.index = index;
+    this.options = options;
+    this.shared = shared;
+    this.name = `Bot${String(index + 1).padStart(3, "0")}`;
+    this.path = Object.values(PATHS)[index % Object.keys(PATHS).length];
+    this.pathOffset = Math.random() * this.path.reduce((sum, segment) => sum + segment.ms, 0);
+
+    this.socket = null;
+    this.playerId = null;
+    this.netId = null;
+    this.carState = null;
+    this.decoder = new shared.codec.SnapshotDecoder();
+    this.timers = [];
+
+    this.seq = 0;
+    this.stepsSent = 0;
+    this.drivingSince = null;
+    this.inputSentAt = new Map(); // seq -> time sent
+    this.shotCount = 0;
+
+    this.messages = new Map(); // event -> count received
+    this.snapshotBytes = 0;
+    this.shotsFired = 0;
+    this.shotsAccepted = 0;
+    this.hitsTaken = 0;
+    this.health = null;
+    this.disconnects = 0;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.socket = io(this.options.url, { transports: ["websocket"], reconnection: false });
+      this.socket.once("connect", resolve);
+      this.socket.once("connect_error", reject);
+
+      this.socket.onAny((event) => this.count(event));
+      this.socket.on("disconnect", () => {
+        if (this.shared.measuring) this.disconnects++;
+      });
+      this.socket.on("initialize", (data) => this.onInitialize(data));
+      this.socket.on("worldSnapshot", (buffer) => this.onSnapshot(buffer));
+      this.socket.on("bulletCreated", (data) => this.onBulletCreated(data));
+      this.socket.on("playerHealthUpdate", (data) => this.onHealth(data));
+      // Answer the server's ping like a browser would
+      this.socket.on("latencyCheck", (ack) => {
+        if (typeof ack === "function") ack();
+      });
+    });
+  }
+
+  count(event) {
+    if (!this.shared.measuring) return;
+    this.messages.set(event, (this.messages.get(event) || 0) + 1);
+  }
+
+  // Creates a room, or joins one another client created
+  async join(roomId) {
+    await request(this.socket, "setProfile", { name: this.name });
+    const initialized = new Promise((resolve) => this.socket.once("initialize", resolve));
+    const result = roomId
+      ? await request(this.socket, "joinRoom", { roomId })
+      : await request(this.socket, "createRoom", { name: `Load test ${Math.floor(this.index / this.options.roomSize) + 1}` });
+    await initialized;
+    return result.room.id;
+  }
+
+  onInitialize(data) {
+    this.playerId = data.id;
+    this.netId = data.players[data.id].netId;
+    this.health = data.health;
+  }
+
+  onSnapshot(buffer) {
+    const now = performance.now();
+    if (this.shared.measuring) this.snapshotBytes += buffer.byteLength;
+
+    const snapshot = this.decoder.decode(buffer);
+    if (!snapshot) return;
+    this.socket.emit("snapshotAck", snapshot.seq);
+
+    for (const [seq, sentAt] of this.inputSentAt) {
+      if (seq > snapshot.ackInput) break;
+      if (this.shared.measuring) this.shared.inputLatency.add(now - sentAt);
+      this.inputSentAt.delete(seq);
+    }
+
+    const entity = snapshot.entities.get(this.netId);
+    if (entity) this.carState = this.shared.codec.dequantizeEntity(entity);
+  }
+
+  onBulletCreated(data) {
+    if (data.owner === this.playerId) {
+      if (this.shared.measuring) this.shotsAccepted++;
+      return;
+    }
+    const firedAt = this.shared.bulletsFiredAt.get(data.id);
+    if (firedAt !== undefined && this.shared.measuring) {
+      this.shared.bulletLatency.add(performance.now() - firedAt);
+    }
+  }
+
+  onHealth(data) {
+    if (data.id !== this.playerId) return;
+    if (this.health !== null && data.health < this.health && this.shared.measuring) this.hitsTaken++;
+    this.health = data.health;
+  }
+
+  start() {
+    this.drivingSince = performance.now();
+    this.timers.push(setInterval(() => this.sendInputs(), INPUT_FLUSH_MS));
+    if (this.options.fireInterval > 0) {
+      // Spread the first shots out so the whole room doesn't fire at once
+      const delay = Math.random() * this.options.fireInterval;
+      this.timers.push(setTimeout(() => {
+        this.timers.push(setInterval(() => this.fire(), this.options.fireInterval));
+      }, delay));
+    }
+  }
+
+  stop() {
+    this.timers.forEach((timer) => clearInterval(timer));
+    this.timers = [];
+    if (this.socket) this.socket.disconnect();
+  }
+
+  keysAt(elapsedMs) {
+    const length = this.path.reduce((sum, segment) => sum + segment.ms, 0);
+    let t = (elapsedMs + this.pathOffset) % length;
+    for (const segment of this.path) {
+      if (t < segment.ms) return segment.keys;
+      t -= segment.ms;
+    }
+    return "";
+  }
+
+  // Every physics step since the last flush, like the browser client
+  sendInputs() {
+    const now = performance.now();
+    const steps = Math.floor((now - this.drivingSince) / STEP_MS) - this.stepsSent;
+    if (steps <= 0) return;
+
+    const keys = this.keysAt(now - this.drivingSince);
+    const controls = { w: keys.includes("w"), s: keys.includes("s"), a: keys.includes("a"), d: keys.includes("d") };
+    const inputs = [];
+    for (let i = 0; i < steps; i++) {
+      inputs.push(this.shared.dynamics.createInput(++this.seq, controls));
+      this.inputSentAt.set(this.seq, now);
+    }
+    this.stepsSent += steps;
+    this.socket.emit("playerInput", inputs);
+  }
+
+  fire() {
+    if (!this.carState) return;
+    const { position, velocity } = this.shared.dynamics.bulletFromCar(this.carState.position, this.carState.rotation);
+    const id = `${this.playerId}-${++this.shotCount}`;
+
+    this.shared.bulletsFiredAt.set(id, performance.now());
+    if (this.shared.measuring) this.shotsFired++;
+    this.socket.emit("createBullet", { id, position, velocity, viewTime: Date.now() });
+  }
+}
+
+// The few numbers we want from the server's Prometheus text
+async function scrapeMetrics(url) {
+  try {
+    const response = await fetch(new URL("/metrics", url));
+    if (!response.ok) return null;
+    const values = {};
+    for (const line of (await response.text()).split("\n")) {
+      const match = /^([a-z_]+(?:\{[^}]*\})?) (\S+)$/.exec(line);
+      if (match) values[match[1]] = Number(match[2]);
+    }
+    return { time: performance.now(), values };
+  } catch (error) {
+    return null;
+  }
+}
+
+function serverReport(samples) {
+  if (samples.length < 2) return null;
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const seconds = (last.time - first.time) / 1000;
+  const delta = (key) => (last.values[key] ?? 0) - (first.values[key] ?? 0);
+
+  const ticks = delta("game_tick_duration_seconds_count");
+  const lagP99 = samples.map((sample) => sample.values['game_event_loop_lag_seconds{stat="p99"}'] ?? 0);
+  const snapshotRates = samples.map((sample) => sample.values.game_snapshot_bytes_per_second ?? 0);
+  return {
+    cpuPercent: "process_cpu_seconds_total" in last.values ? round((delta("process_cpu_seconds_total") / seconds) * 100) : null,
+    residentMemoryMb: last.values.process_resident_memory_bytes ? round(last.values.process_resident_memory_bytes / 1048576) : null,
+    ticksPerSecond: round(ticks / seconds),
+    meanTickMs: ticks > 0 ? round((delta("game_tick_duration_seconds_sum") / ticks) * 1000, 2) : null,
+    worstEventLoopLagP99Ms: round(Math.max(...lagP99) * 1000, 2),
+    snapshotBytesPerSecond: Math.round(Math.max(...snapshotRates)),
+    inputMessagesPerSecond: round(delta('game_messages_received_total{event="playerInput"}') / seconds),
+    bulletMessagesPerSecond: round(delta('game_messages_received_total{event="createBullet"}') / seconds),
+  };
+}
+
+function clientReport(clients, seconds) {
+  const perClient = (fn) => clients.reduce((sum, client) => sum + fn(client), 0) / clients.length;
+  const messageCount = (client) => Array.from(client.messages.values()).reduce((sum, count) => sum + count, 0);
+  const shotsFired = clients.reduce((sum, client) => sum + client.shotsFired, 0);
+  const shotsAccepted = clients.reduce((sum, client) => sum + client.shotsAccepted, 0);
+  const hits = clients.reduce((sum, client) => sum + client.hitsTaken, 0);
+
+  return {
+    messagesPerSecondPerClient: round(perClient(messageCount) / seconds),
+    snapshotsPerSecondPerClient: round(perClient((client) => client.messages.get("worldSnapshot") || 0) / seconds),
+    snapshotBytesPerSecondPerClient: Math.round(perClient((client) => client.snapshotBytes) / seconds),
+    shotsFired,
+    shotsAccepted,
+    hits,
+    hitRate: shotsAccepted > 0 ? round(hits / shotsAccepted, 3) : null,
+    disconnects: clients.reduce((sum, client) => sum + client.disconnects, 0),
+  };
+}
+
+function printReport(report) {
+  const lines = [
+    "",
+    `Load test: ${report.clients} clients in ${report.rooms} rooms against ${report.url}, ${report.seconds}s`,
+    "",
+    "Latency (ms)           count    mean     p50     p95     p99     max",
+  ];
+  for (const [label, summary] of [["input -> ack", report.latency.input], ["bullet fan-out", report.latency.bullet]]) {
+    const cells = ["count", "mean", "p50", "p95", "p99", "max"].map((key) => String(summary[key] ?? "-").padStart(key === "count" ? 6 : 8));
+    lines.push(`${label.padEnd(20)}${cells.join("")}`);
+  }
+
+  lines.push("", "Clients");
+  for (const [key, value] of Object.entries(report.client)) lines.push(`  ${key.padEnd(34)}${value ?? "-"}`);
+
+  lines.push("", "Server");
+  if (report.server) {
+    for (const [key, value] of Object.entries(report.server)) lines.push(`  ${key.padEnd(34)}${value ?? "-"}`);
+  } else {
+    lines.push("  /metrics unavailable");
+  }
+  lines.push("", `Harness CPU: ${report.harnessCpuPercent}%${report.harnessCpuPercent > 80 ? " (saturated: the numbers above are pessimistic)" : ""}`, "");
+  console.log(lines.join("\n"));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const [codec, dynamics] = await Promise.all([
+    import("../public/shared/snapshotCodec.mjs"),
+    import("../public/shared/carDynamics.mjs"),
+  ]);
+  const shared = {
+    codec,
+    dynamics,
+    measuring: false,
+    inputLatency: new Samples(),
+    bulletLatency: new Samples(),
+    bulletsFiredAt: new Map(), // bullet id -> time fired
+  };
+
+  const clients = [];
+  const roomIds = [];
+  console.log(`Connecting ${options.clients} clients to ${options.url}...`);
+  for (let i = 0; i < options.clients; i++) {
+    const client = new SimulatedClient(i, options, shared);
+    clients.push(client);
+    await client.connect();
+
+    const group = Math.floor(i / options.roomSize);
+    roomIds[group] = await client.join(roomIds[group] || null);
+    client.start();
+    await sleep(options.ramp);
+  }
+
+  console.log(`All clients joined ${roomIds.length} room(s); measuring for ${options.duration}s...`);
+  const metrics = [];
+  const scrape = async () => {
+    const sample = await scrapeMetrics(options.url);
+    if (sample) metrics.push(sample);
+  };
+  await scrape();
+  shared.measuring = true;
+  const cpuStart = process.cpuUsage();
+  const startedAt = performance.now();
+  const scraper = setInterval(scrape, METRICS_INTERVAL_MS);
+
+  await sleep(options.duration * 1000);
+
+  shared.measuring = false;
+  clearInterval(scraper);
+  const seconds = (performance.now() - startedAt) / 1000;
+  const cpu = process.cpuUsage(cpuStart);
+  await scrape();
+  clients.forEach((client) => client.stop());
+
+  const report = {
+    url: options.url,
+    clients: options.clients,
+    rooms: roomIds.length,
+    seconds: round(seconds),
+    latency: { input: shared.inputLatency.summary(), bullet: shared.bulletLatency.summary() },
+    client: clientReport(clients, seconds),
+    server: serverReport(metrics),
+    harnessCpuPercent: round(((cpu.user + cpu.system) / 1e6 / seconds) * 100),
+  };
+  printReport(report);
+  if (options.json) {
+    fs.writeFileSync(options.json, `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`Report written to ${options.json}`);
+  }
+}
+
+main().catch((error) => {
+  console.error("Load test failed:", error.message);
+  process.exit(1);
+});
@@ -1,184 +1,198 @@
 const express = require("express");
-const app = express();
-const http = require("http").createServer(app);
-const io = require("socket.io")(http, {
-  cors: {
-    origin: ["http://localhost:3000"],
-    methods: ["GET", "POST"],
-    credentials: true,
-  },
-});
-
-app.use(express.static("public"));
-
-const players = {};
-const bullets = {};
-const MAX_HEALTH = 100;
-const MAX_SCORE = 3;
-
-const SPAWN_POSITIONS = [
-  { x: -10, y: 2, z: 0 },
-  { x: 10, y: 2, z: 0 },
-];
-
-const gameState = {
-  scores: {},
-  playerCount: 0,
-};
-
-// Add score tracking
-const playerScores = new Map();
-
-io.on("connection", (socket) => {
-  const playerId = socket.id;
-  gameState.playerCount++;
-
-  const spawnIndex = Object.keys(players).length % SPAWN_POSITIONS.length;
-  const spawnPosition = SPAWN_POSITIONS[spawnIndex];
-
-  players[playerId] = {
-    id: playerId,
-    position: spawnPosition,
-    rotation: { x: 0, y: 0, z: 0 },
-    health: MAX_HEALTH,
-    score: 0,
-    spawnIndex: spawnIndex,
-  };
+const http = require("http");
+const socketIo = require("socket.io");
+const { config } = require("./server/config");
+
+const { initPhysics } = require("./server/physics");
+const { initSnapshots } = require("./server/snapshots");
+const { initRace } = require("./server/race");
+const { initSoccer } = require("./server/soccer");
+const { RoomManager } = require("./server/rooms");
+const { Matchmaker } = require("./server/matchmaking");
+const { StatsTracker, JsonFileStatsStorage } = require("./server/stats");
+const { createApiRouter } = require("./server/api");
+const { createAdminRouter } = require("./server/admin");
+const { BanList } = require("./server/bans");
+const { ServerMetrics, createMetricsRouter } = require("./server/metrics");
+const { guardSocket } = require("./server/rateLimit");
+const { ReplayStore } = require("./server/replays");
+
+// Answer an event's acknowledgement callback, if the client passed one
+function reply(ack, data) {
+  if (typeof ack === "function") ack(data);
+}
+
+function joinResult({ error, room }) {
+  return error ? { error } : { room: room.summary() };
+}
+
+// Builds the whole game server without listening anywhere, so tests can run
+// one on a port of their choosing. Rooms start once physics has loaded;
+// listen() waits for that. The options replace the config-based defaults.
+function createGameServer({
+  stats = new StatsTracker(new JsonFileStatsStorage(config.statsFile)),
+  replays = new ReplayStore(config.replayDir, { limit: config.replayLimit }),
+  adminToken = config.adminToken,
+  botMinPlayers = config.botMinPlayers,
+} = {}) {
+  const app = express();
+  const server = http.createServer(app);
+  const io = socketIo(server, {
+    cors: {
+      origin: config.corsOrigins,
+      methods: ["GET", "POST"],
+      credentials: true,
+    },
+  });
+
+  const bans = new BanList();
+  const metrics = new ServerMetrics();
+
+  app.use(express.static("public"));
+  app.use("/api", createApiRouter({ stats, replays }));
 
-  gameState.scores[playerId] = 0;
+  // Created once Rapier has loaded, since every room owns a physics world
+  let rooms = null;
+  let matchmaker = null;
 
-  // Initialize player scores
-  playerScores.set(playerId, 0);
+  // Health and Prometheus metrics; see server/metrics.js
+  app.use(createMetricsRouter({ metrics, io, getRooms: () => rooms }));
 
-  socket.emit("initialize", {
-    id: playerId,
-    players: players,
-    position: spawnPosition,
-    health: MAX_HEALTH,
-    score: 0,
-    playerCount: gameState.playerCount,
+  // Banned addresses can't connect at all
+  io.use((socket, next) => {
+    const ban = bans.find(socket.handshake.address);
+    next(ban ? new Error(`Banned from this server${ban.reason ? `: ${ban.reason}` : ""}`) : undefined);
   });
 
-  socket.broadcast.emit("playerJoined", players[playerId]);
-  io.emit("playerCountUpdate", gameState.playerCount);
-
-  socket.on("updatePosition", (data) => {
-    if (players[playerId]) {
-        // Log position updates occasionally to avoid console spam
-        // if (Math.random() < 0.05) {
-        //     console.log(`SERVER: Player ${playerId} moved to:`, {
-        //         x: data.position.x.toFixed(2),
-        //         y: data.position.y.toFixed(2),
-        //         z: data.position.z.toFixed(2),
-        //     });
-        // }
-
-        players[playerId].position = data.position;
-        players[playerId].rotation = data.rotation;
-
-        socket.broadcast.emit("playerMoved", {
-            id: playerId,
-            position: data.position,
-            rotation: data.rotation,
-        });
-
-        // Add a simple debug flag to the data
-        const broadcastData = {
-            id: playerId,
-            position: data.position,
-            rotation: data.rotation,
-            timestamp: Date.now(),
-        };
-
-        socket.broadcast.emit("playerMoved", broadcastData);
+  io.on("connection", (socket) => {
+    // A reconnecting player keeps the id they had before the drop
+    socket.data.playerId = socket.id;
+    socket.data.ip = socket.handshake.address;
+    metrics.watchSocket(socket);
+    // Malformed or flooding messages never reach the handlers below
+    guardSocket(socket, { onAbuse: (abuser, reason) => rooms.kick(abuser.data.playerId, reason) });
+
+    // Spectators say so when they connect; they watch rooms and never get a car
+    const auth = socket.handshake.auth || {};
+    socket.data.role = auth.role === "spectator" ? "spectator" : "player";
+
+    // Spectators and new players start in the lobby and pick a room from there
+    if (socket.data.role === "spectator" || !rooms.resumeSession(socket, auth.sessionToken)) {
+      rooms.enterLobby(socket);
     }
+    const playerId = socket.data.playerId;
+
+    socket.emit("profileOptions", rooms.profiles.options());
+
+    // Name and car colour, required before joining a room. Returns { error } or { profile }
+    socket.on("setProfile", (data, ack) => {
+      reply(ack, rooms.profiles.set(playerId, data));
+    });
+
+    socket.on("listRooms", (ack) => {
+      reply(ack, rooms.list());
+    });
+
+    socket.on("createRoom", (data, ack) => {
+      matchmaker.dequeue(socket);
+      const { name, rounds, botDifficulty, mode, trackId } = data || {};
+      reply(ack, joinResult(rooms.createRoom(socket, name, { rounds, botDifficulty, mode, trackId })));
+    });
+
+    socket.on("joinRoom", (data, ack) => {
+      matchmaker.dequeue(socket);
+      reply(ack, joinResult(rooms.joinRoom(socket, data && data.roomId)));
+    });
+
+    socket.on("quickMatch", (data, ack) => {
+      reply(ack, matchmaker.enqueue(socket, data || {}));
+    });
+
+    socket.on("cancelQuickMatch", (ack) => {
+      matchmaker.dequeue(socket);
+      reply(ack, { ok: true });
+    });
+
+    socket.on("leaveRoom", (ack) => {
+      rooms.leaveRoom(socket);
+      rooms.enterLobby(socket);
+      reply(ack, { ok: true });
+    });
+
+    socket.on("playerInput", (inputs) => {
+      rooms.roomOf(socket)?.handleInput(playerId, inputs);
+    });
+
+    socket.on("createBullet", (data) => {
+      rooms.roomOf(socket)?.fireBullet(playerId, data);
+    });
+
+    socket.on("snapshotAck", (seq) => {
+      rooms.roomOf(socket)?.acknowledgeSnapshot(playerId, seq);
+    });
+
+    // Hits are decided by the server's own bullet simulation. Clients' claims
+    // are only counted, under bulletHit in /metrics.
+    socket.on("bulletHit", () => {});
+
+    socket.on("disconnect", () => {
+      matchmaker.dequeue(socket);
+      rooms.dropConnection(socket);
+    });
   });
 
-  socket.on("createBullet", (data) => {
-    const bulletId = `${playerId}-${Date.now()}`;
-    bullets[bulletId] = {
-      id: bulletId,
-      position: data.position,
-      velocity: data.velocity,
-      owner: playerId,
-    };
-    io.emit("bulletCreated", bullets[bulletId]);
-
-    // Auto-remove after 3 seconds
-    setTimeout(() => {
-      if (bullets[bulletId]) {
-        delete bullets[bulletId];
-        io.emit("bulletRemoved", bulletId);
-      }
-    }, 3000);
+  const ready = Promise.all([initPhysics(), initSnapshots(), initRace(), initSoccer(), stats.load()]).then(() => {
+    rooms = new RoomManager(io, { stats, metrics, replays, botMinPlayers });
+    matchmaker = new Matchmaker(rooms);
+    rooms.start();
+    app.use("/admin", createAdminRouter({ io, rooms, bans, adminToken }));
   });
 
-  socket.on("bulletHit", (data) => {
-    const { bulletId, hitPlayerId, attackerId } = data;
-    const bullet = bullets[bulletId];
-    
-    if (bullet && players[hitPlayerId]) {
-        // Remove the bullet
-        delete bullets[bulletId];
-        io.emit('bulletRemoved', bulletId);
-        
-        // Reduce health
-        players[hitPlayerId].health -= 10;
-        
-        // Emit health update to all clients
-        io.emit('playerHealthUpdate', {
-            id: hitPlayerId,
-            health: players[hitPlayerId].health
-        });
-        
-        // Check if player was eliminated
-        if (players[hitPlayerId].health <= 0) {
-            // Award point to the attacker
-            const attackerScore = (playerScores.get(attackerId) || 0) + 1;
-            playerScores.set(attackerId, attackerScore);
-            
-            console.log(`[SCORE] ${attackerId} scored. New score: ${attackerScore}`);
-            
-            // Reset the eliminated player's health
-            players[hitPlayerId].health = MAX_HEALTH;
-            
-            // Convert scores to array format
-            const scoreArray = Array.from(playerScores.entries()).map(([id, score]) => ({
-                id,
-                score
-            }));
-            
-            // Emit score updates to all clients
-            io.emit('scoreUpdate', scoreArray);
-            
-            // Check for game over
-            if (attackerScore >= MAX_SCORE) {
-                console.log(`[GAME OVER] Player ${attackerId} won with ${attackerScore} points!`);
-                io.emit('gameOver', {
-                    winnerId: attackerId,
-                    scores: scoreArray
-                });
-            }
-            
-            // Emit health reset
-            io.emit('playerHealthUpdate', {
-                id: hitPlayerId,
-                health: players[hitPlayerId].health
-            });
-        }
-    }
-  });
+  return {
+    app,
+    io,
+    get rooms() {
+      return rooms;
+    },
+
+    // Resolves with the port once the server is accepting connections;
+    // port 0 picks a free one
+    async listen(port = config.port, host = config.host) {
+      await ready;
+      await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, resolve);
+      });
+      return server.address().port;
+    },
+
+    // Disconnect everyone, stop the rooms and write out pending stats and
+    // running replays
+    async close() {
+      await new Promise((resolve) => io.close(() => resolve()));
+      if (rooms) rooms.stop();
+      await Promise.all([
+        stats.flush().catch((error) => console.error("[STATS] Save failed:", error.message)),
+        replays.finishAll(),
+      ]);
+    },
+  };
+}
+
+module.exports = { createGameServer };
 
-  socket.on("disconnect", () => {
-    delete players[playerId];
-    delete gameState.scores[playerId];
-    gameState.playerCount--;
-    socket.broadcast.emit("playerLeft", playerId);
-    io.emit("playerCountUpdate", gameState.playerCount);
+if (require.main === module) {
+  const game = createGameServer();
+  game.listen().then((port) => {
+    console.log(`Server running on port ${port}`);
+  }).catch((error) => {
+    console.error("Server failed to start:", error.message);
+    process.exit(1);
   });
-});
 
-const PORT = process.env.PORT || 3000;
-http.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      game.close().finally(() => process.exit(0));
+    });
+  }
+}
@@ -0,0 +1,150 @@
+const crypto = require("crypto");
+const express = require("express");
+
+// Admin API under /admin, for operators rather than players. Every request
+// needs "Authorization: Bearer <ADMIN_TOKEN>"; with no token configured the
+// whole surface is switched off.
+
+const MAX_MESSAGE_LENGTH = 200;
+
+function tokensMatch(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requireToken(adminToken) {
+  return (req, res, next) => {
+    if (!adminToken) {
+      res.status(404).json({ error: "Admin API is disabled" });
+      return;
+    }
+    const header = req.get("authorization") || "";
+    const match = header.match(/^Bearer (.+)$/);
+    if (!match || !tokensMatch(match[1], adminToken)) {
+      res.status(401).json({ error: "Invalid admin token" });
+      return;
+    }
+    next();
+  };
+}
+
+function createAdminRouter({ io, rooms, bans, adminToken }) {
+  const router = express.Router();
+  router.use(requireToken(adminToken));
+  router.use(express.json());
+
+  function findRoom(req, res) {
+    const room = rooms.rooms.get(req.params.roomId);
+    if (!room) res.status(404).json({ error: "Room not found" });
+    return room;
+  }
+
+  router.get("/players", (req, res) => {
+    res.json({ players: rooms.listPlayers() });
+  });
+
+  router.get("/rooms", (req, res) => {
+    res.json({
+      rooms: Array.from(rooms.rooms.values()).map((room) => ({
+        ...room.summary(),
+        match: room.match.toJSON(),
+      })),
+    });
+  });
+
+  router.post("/players/:playerId/kick", (req, res) => {
+    const reason = String((req.body && req.body.reason) || "").slice(0, MAX_MESSAGE_LENGTH);
+    if (!rooms.kick(req.params.playerId, reason)) {
+      res.status(404).json({ error: "Player not found" });
+      return;
+    }
+    res.json({ ok: true });
+  });
+
+  router.get("/bans", (req, res) => {
+    res.json({ bans: bans.list() });
+  });
+
+  // Body: { ip } or { playerId }, plus optional reason and durationMinutes.
+  // Anyone connected from the address is kicked straight away.
+  router.post("/bans", (req, res) => {
+    const body = req.body || {};
+    let ip = typeof body.ip === "string" ? body.ip.trim() : null;
+    if (!ip && body.playerId) {
+      const socket = rooms.findSocket(body.playerId);
+      ip = socket ? socket.data.ip : null;
+    }
+    if (!ip) {
+      res.status(400).json({ error: "Give an ip, or the id of a connected player" });
+      return;
+    }
+
+    const durationMinutes = Number(body.durationMinutes) > 0 ? Number(body.durationMinutes) : null;
+    const reason = String(body.reason || "").slice(0, MAX_MESSAGE_LENGTH);
+    const ban = bans.ban(ip, { reason, durationMinutes });
+    console.log(`[ADMIN] Banned ${ip}${reason ? `: ${reason}` : ""}`);
+
+    for (const socket of io.sockets.sockets.values()) {
+      if (socket.data.ip === ip) rooms.kick(socket.data.playerId, reason || "Banned");
+    }
+    res.json({ ban });
+  });
+
+  router.delete("/bans/:ip", (req, res) => {
+    if (!bans.unban(req.params.ip)) {
+      res.status(404).json({ error: "No ban for that address" });
+      return;
+    }
+    res.json({ ok: true });
+  });
+
+  // Body: { maxScore?, maxHealth? }
+  router.patch("/rooms/:roomId/rules", (req, res) => {
+    const room = findRoom(req, res);
+    if (!room) return;
+
+    const result = room.setRules(req.body || {});
+    if (result.error) {
+      res.status(400).json(result);
+      return;
+    }
+    res.json(result);
+  });
+
+  router.post("/rooms/:roomId/restart", (req, res) => {
+    const room = findRoom(req, res);
+    if (!room) return;
+
+    console.log(`[ADMIN] Restarting the match in ${room.id}`);
+    room.match.restart();
+    res.json({ match: room.match.toJSON() });
+  });
+
+  // Body: { message, roomId? }; without a room it goes to everyone
+  router.post("/broadcast", (req, res) => {
+    const body = req.body || {};
+    const message = typeof body.message === "string" ? body.message.trim() : "";
+    if (!message || message.length > MAX_MESSAGE_LENGTH) {
+      res.status(400).json({ error: `Messages must be 1-${MAX_MESSAGE_LENGTH} characters` });
+      return;
+    }
+
+    if (body.roomId) {
+      const room = rooms.rooms.get(body.roomId);
+      if (!room) {
+        res.status(404).json({ error: "Room not found" });
+        return;
+      }
+      room.emit("serverMessage", { message });
+    } else {
+      io.emit("serverMessage", { message });
+    }
+    console.log(`[ADMIN] Broadcast${body.roomId ? ` to ${body.roomId}` : ""}: ${message}`);
+    res.json({ ok: true });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
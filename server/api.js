@@ -0,0 +1,50 @@
+const express = require("express");
+const { config } = require("./config");
+
+const MAX_LEADERBOARD_LIMIT = 100;
+
+// Game clients can be served from another origin (see CORS_ORIGINS), so the
+// public API answers cross-origin requests from the same origins Socket.IO allows
+function allowOrigins(req, res, next) {
+  const origin = req.headers.origin;
+  if (origin && (config.corsOrigins === true || config.corsOrigins.includes(origin))) {
+    res.set("Access-Control-Allow-Origin", origin);
+    res.set("Vary", "Origin");
+  }
+  next();
+}
+
+// Public, read-only HTTP API under /api
+function createApiRouter({ stats, replays }) {
+  const router = express.Router();
+  router.use(allowOrigins);
+
+  // ?sort=wins|kills|accuracy|matches&limit=n
+  router.get("/leaderboard", (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_LEADERBOARD_LIMIT);
+    res.json({ players: stats.leaderboard({ sortBy: req.query.sort, limit }) });
+  });
+
+  // Recorded matches, newest first
+  router.get("/replays", async (req, res) => {
+    try {
+      res.json({ replays: await replays.list() });
+    } catch (error) {
+      console.error("[REPLAY] Listing failed:", error.message);
+      res.status(500).json({ error: "Could not list replays" });
+    }
+  });
+
+  // One replay file, gzipped JSON Lines (see server/replays.js)
+  router.get("/replays/:name", (req, res) => {
+    const filePath = replays.resolve(req.params.name);
+    if (!filePath) return res.status(404).json({ error: "Replay not found" });
+    res.sendFile(filePath, { headers: { "Content-Type": "application/gzip" } }, (error) => {
+      if (error && !res.headersSent) res.status(404).json({ error: "Replay not found" });
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter };
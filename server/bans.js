@@ -0,0 +1,40 @@
+// Banned IP addresses, in memory. A ban without an expiry lasts until it's
+// lifted or the server restarts.
+class BanList {
+  constructor() {
+    this.bans = new Map(); // ip -> { ip, reason, until, createdAt }
+  }
+
+  ban(ip, { reason = "", durationMinutes = null } = {}) {
+    const now = Date.now();
+    const ban = {
+      ip,
+      reason,
+      until: durationMinutes ? now + durationMinutes * 60 * 1000 : null,
+      createdAt: now,
+    };
+    this.bans.set(ip, ban);
+    return ban;
+  }
+
+  unban(ip) {
+    return this.bans.delete(ip);
+  }
+
+  // The active ban for this address, if any
+  find(ip) {
+    const ban = this.bans.get(ip);
+    if (!ban) return null;
+    if (ban.until !== null && ban.until <= Date.now()) {
+      this.bans.delete(ip);
+      return null;
+    }
+    return ban;
+  }
+
+  list() {
+    return Array.from(this.bans.keys()).map((ip) => this.find(ip)).filter(Boolean);
+  }
+}
+
+module.exports = { BanList };
@@ -0,0 +1,318 @@
+const { getCarDynamics, getLandscapeBounds } = require("./physics");
+
+// Server-driven players. A bot is an ordinary player in its room, with a car,
+// score and netId, except that no socket drives it: a BotDriver works out its
+// controls every server tick and fires through the same path clients use.
+//
+// Bots drive a loop of waypoints around the map, steering away from steep
+// ground and other cars, and break off to chase and shoot the nearest
+// opponent in range. Difficulty sets how well they aim and how fast they react.
+// In a race room they just drive the track, and in soccer they go for the ball.
+
+const DIFFICULTIES = {
+  // aimError: radians of random spread on every shot
+  // reactionMs: how long a new target has to be in sight before the first shot
+  // fireIntervalMs: time between shots (never faster than FIRE_INTERVAL_MS)
+  // chaseRange / fireRange: how far away opponents are chased / shot at
+  easy: { aimError: 0.12, reactionMs: 900, fireIntervalMs: 700, chaseRange: 90, fireRange: 60 },
+  normal: { aimError: 0.06, reactionMs: 500, fireIntervalMs: 400, chaseRange: 130, fireRange: 80 },
+  hard: { aimError: 0.025, reactionMs: 250, fireIntervalMs: 200, chaseRange: 180, fireRange: 100 },
+};
+
+const BOT_NAMES = [
+  "Bot Axel", "Bot Blaze", "Bot Comet", "Bot Dash", "Bot Echo", "Bot Flint",
+  "Bot Gizmo", "Bot Havoc", "Bot Ion", "Bot Jolt", "Bot Kilo", "Bot Nitro",
+];
+
+// Waypoints sit on a ring well inside the landscape's edges
+const WAYPOINT_COUNT = 8;
+const WAYPOINT_RING = 0.6; // fraction of the landscape's half-width
+const WAYPOINT_REACHED = 15;
+
+// Feelers: rays cast ahead of the car, just above the ground, that hit
+// slopes too steep to drive up
+const FEELER_LENGTH = 14;
+const FEELER_ANGLE = 0.5;
+const FEELER_HEIGHT = 2;
+const CAR_AVOID_DISTANCE = 10;
+
+// Steering: how far off the target heading (radians) before turning, and
+// past what angle it's quicker to slow down and swing round
+const STEER_DEADZONE = 0.08;
+const SHARP_TURN = 2.2;
+// Close enough to a chased car to stop pushing into it
+const CHASE_STANDOFF = 15;
+// Soccer: the spot this far behind the ball (seen from the goal being
+// attacked) is where to line up from, and within this angle of the line
+// through the ball to the goal it's time to hit it
+const BALL_APPROACH = 12;
+const BALL_LINED_UP = 0.5;
+// Only fire roughly straight ahead; the server rejects aim far off the
+// car's heading anyway
+const MAX_FIRE_ANGLE = 0.3;
+
+// Stuck (barely moving with the throttle down) or flipped for this long
+// and the bot backs out or rights itself
+const STUCK_CHECK_MS = 1500;
+const STUCK_DISTANCE = 2;
+const REVERSE_MS = 1000;
+const FLIPPED_MS = 1000;
+
+function wrapAngle(angle) {
+  while (angle > Math.PI) angle -= Math.PI * 2;
+  while (angle < -Math.PI) angle += Math.PI * 2;
+  return angle;
+}
+
+function horizontalDistance(a, b) {
+  return Math.hypot(b.x - a.x, b.z - a.z);
+}
+
+// Heading of a point seen from `from`, in the same sense as a car's yaw
+function headingTo(from, to) {
+  return Math.atan2(to.x - from.x, to.z - from.z);
+}
+
+function randomSpread(amount) {
+  return (Math.random() * 2 - 1) * amount;
+}
+
+// The loop bots drive when there's nobody to chase
+function createWaypoints(physics) {
+  const { min, max } = getLandscapeBounds();
+  const centerX = (min.x + max.x) / 2;
+  const centerZ = (min.z + max.z) / 2;
+  const radius = Math.min(max.x - min.x, max.z - min.z) / 2 * WAYPOINT_RING;
+
+  const waypoints = [];
+  for (let i = 0; i < WAYPOINT_COUNT; i++) {
+    const angle = (i / WAYPOINT_COUNT) * Math.PI * 2;
+    waypoints.push(physics.placeOnGround({
+      x: centerX + Math.cos(angle) * radius,
+      y: 0,
+      z: centerZ + Math.sin(angle) * radius,
+    }));
+  }
+  return waypoints;
+}
+
+class BotDriver {
+  constructor(room, playerId, difficulty) {
+    this.room = room;
+    this.playerId = playerId;
+    this.difficulty = difficulty;
+    this.skill = DIFFICULTIES[difficulty];
+    this.seq = 0;
+
+    this.waypoints = createWaypoints(room.physics);
+    this.waypointIndex = -1;
+    // Half the bots go round the loop the other way
+    this.direction = Math.random() < 0.5 ? 1 : -1;
+
+    this.targetId = null;
+    this.targetSeenAt = 0;
+    this.lastShotAt = 0;
+
+    this.stuckCheckAt = 0;
+    this.stuckCheckPosition = null;
+    this.reverseUntil = 0;
+    this.flippedSince = null;
+    this.flipping = false;
+  }
+
+  // Decide this tick's controls and maybe fire
+  update(now) {
+    const state = this.room.physics.getCarState(this.playerId);
+    if (!state) return;
+
+    const { rotateVector } = getCarDynamics();
+    const forward = rotateVector({ x: 0, y: 0, z: 1 }, state.rotation);
+    const up = rotateVector({ x: 0, y: 1, z: 0 }, state.rotation);
+    const yaw = Math.atan2(forward.x, forward.z);
+
+    const controls = { w: false, s: false, a: false, d: false, f: this.shouldFlip(up, now) };
+    // Racing and soccer bots leave everyone else alone
+    const { race, soccer } = this.room;
+    const target = race || soccer ? null : this.findTarget(state.position, now);
+    let goal;
+    if (target) {
+      goal = target.position;
+    } else if (race) {
+      goal = race.nextGate(this.playerId);
+    } else if (soccer) {
+      goal = this.ballApproach(state.position);
+    } else {
+      goal = this.nextWaypoint(state.position);
+    }
+
+    const steer = wrapAngle(headingTo(state.position, goal) - yaw) + this.avoidance(state.position, yaw);
+    const distance = horizontalDistance(state.position, goal);
+
+    if (this.isStuck(state.position, now)) {
+      this.reverseUntil = now + REVERSE_MS;
+    }
+    if (now < this.reverseUntil) {
+      // Turning works the same in reverse, so keep swinging the nose round
+      controls.s = true;
+    } else {
+      controls.w = Math.abs(steer) < SHARP_TURN && !(target && distance < CHASE_STANDOFF);
+    }
+    controls.a = steer > STEER_DEADZONE;
+    controls.d = steer < -STEER_DEADZONE;
+
+    this.room.handleInput(this.playerId, [{ seq: ++this.seq, ...controls }]);
+
+    if (target) this.tryFire(state, yaw, target, now);
+  }
+
+  // Nearest opponent within chase range. A new target starts the reaction timer.
+  findTarget(position, now) {
+    let nearest = null;
+    let nearestDistance = this.skill.chaseRange;
+    for (const player of Object.values(this.room.players)) {
+      if (player.id === this.playerId || player.disconnected) continue;
+      const distance = horizontalDistance(position, player.position);
+      if (distance < nearestDistance) {
+        nearest = player;
+        nearestDistance = distance;
+      }
+    }
+
+    const id = nearest ? nearest.id : null;
+    if (id !== this.targetId) {
+      this.targetId = id;
+      this.targetSeenAt = now;
+    }
+    return nearest;
+  }
+
+  nextWaypoint(position) {
+    if (this.waypointIndex === -1) {
+      // Join the loop at its nearest point
+      let best = Infinity;
+      this.waypoints.forEach((waypoint, index) => {
+        const distance = horizontalDistance(position, waypoint);
+        if (distance < best) {
+          best = distance;
+          this.waypointIndex = index;
+        }
+      });
+    }
+
+    if (horizontalDistance(position, this.waypoints[this.waypointIndex]) < WAYPOINT_REACHED) {
+      this.waypointIndex = (this.waypointIndex + this.direction + WAYPOINT_COUNT) % WAYPOINT_COUNT;
+    }
+    return this.waypoints[this.waypointIndex];
+  }
+
+  // Get round behind the ball, then drive through it at the goal
+  ballApproach(position) {
+    const ball = this.room.physics.getBallState().position;
+    const goal = this.room.soccer.targetGoal(this.room.players[this.playerId].team);
+    const toGoal = headingTo(ball, goal);
+
+    if (Math.abs(wrapAngle(headingTo(position, ball) - toGoal)) < BALL_LINED_UP) return ball;
+    return {
+      x: ball.x - Math.sin(toGoal) * BALL_APPROACH,
+      y: ball.y,
+      z: ball.z - Math.cos(toGoal) * BALL_APPROACH,
+    };
+  }
+
+  // Extra steering (radians) away from slopes the feelers hit and from cars
+  // close in front
+  avoidance(position, yaw) {
+    const from = { x: position.x, y: position.y + FEELER_HEIGHT, z: position.z };
+    const feelerHits = (angle) => !!this.room.physics.raycastGround(from, {
+      x: from.x + Math.sin(yaw + angle) * FEELER_LENGTH,
+      y: from.y,
+      z: from.z + Math.cos(yaw + angle) * FEELER_LENGTH,
+    });
+
+    let steer = 0;
+    const left = feelerHits(FEELER_ANGLE);
+    const right = feelerHits(-FEELER_ANGLE);
+    if (left && !right) steer -= FEELER_ANGLE;
+    if (right && !left) steer += FEELER_ANGLE;
+    if (feelerHits(0) && left === right) steer += this.direction * FEELER_ANGLE * 2;
+
+    for (const player of Object.values(this.room.players)) {
+      if (player.id === this.playerId || player.id === this.targetId) continue;
+      if (horizontalDistance(position, player.position) > CAR_AVOID_DISTANCE) continue;
+      const bearing = wrapAngle(headingTo(position, player.position) - yaw);
+      if (Math.abs(bearing) < Math.PI / 2) steer -= Math.sign(bearing || 1) * FEELER_ANGLE;
+    }
+    return steer;
+  }
+
+  // Throttle down but going nowhere: time to back out
+  isStuck(position, now) {
+    if (now < this.reverseUntil) return false;
+    if (!this.stuckCheckPosition || now - this.stuckCheckAt >= STUCK_CHECK_MS) {
+      const stuck = !!this.stuckCheckPosition
+        && horizontalDistance(position, this.stuckCheckPosition) < STUCK_DISTANCE
+        && this.room.allowsDriving;
+      this.stuckCheckAt = now;
+      this.stuckCheckPosition = { ...position };
+      return stuck;
+    }
+    return false;
+  }
+
+  // Press "f" once the car has been on its roof for a while. Flipping acts on
+  // the press, so the key is let go again on the next tick.
+  shouldFlip(up, now) {
+    if (this.flipping) {
+      this.flipping = false;
+      return false;
+    }
+    if (up.y >= 0) {
+      this.flippedSince = null;
+      return false;
+    }
+    if (this.flippedSince === null) this.flippedSince = now;
+    if (now - this.flippedSince < FLIPPED_MS) return false;
+
+    this.flippedSince = null;
+    this.flipping = true;
+    return true;
+  }
+
+  tryFire(state, yaw, target, now) {
+    if (now - this.targetSeenAt < this.skill.reactionMs) return;
+    if (now - this.lastShotAt < this.skill.fireIntervalMs) return;
+
+    const distance = horizontalDistance(state.position, target.position);
+    if (distance > this.skill.fireRange) return;
+    if (Math.abs(wrapAngle(headingTo(state.position, target.position) - yaw)) > MAX_FIRE_ANGLE) return;
+
+    const { bulletFromCar, BULLET_SPEED, GRAVITY } = getCarDynamics();
+    const muzzle = bulletFromCar(state.position, state.rotation).position;
+    // Hills in the way
+    if (this.room.physics.raycastGround(muzzle, target.position)) return;
+
+    // Aim above the target to make up for the drop over the flight time
+    const flightTime = distance / BULLET_SPEED;
+    const aimPoint = {
+      x: target.position.x,
+      y: target.position.y - 0.5 * GRAVITY.y * flightTime * flightTime,
+      z: target.position.z,
+    };
+    const heading = headingTo(muzzle, aimPoint) + randomSpread(this.skill.aimError);
+    const pitch = Math.atan2(aimPoint.y - muzzle.y, horizontalDistance(muzzle, aimPoint))
+      + randomSpread(this.skill.aimError / 2);
+
+    this.lastShotAt = now;
+    this.room.fireBullet(this.playerId, {
+      position: muzzle,
+      velocity: {
+        x: Math.sin(heading) * Math.cos(pitch) * BULLET_SPEED,
+        y: Math.sin(pitch) * BULLET_SPEED,
+        z: Math.cos(heading) * Math.cos(pitch) * BULLET_SPEED,
+      },
+      viewTime: now,
+    });
+  }
+}
+
+module.exports = { BotDriver, DIFFICULTIES, BOT_NAMES };
@@ -0,0 +1,110 @@
+const { getCarDynamics } = require("./physics");
+
+// Server-side bullet simulation. Clients only ask to fire; the server
+// decides where the bullet starts, moves it every tick and checks it against
+// targets rewound to what the shooter was looking at.
+
+const MAX_REWIND_MS = 500;
+const HIT_PADDING = 1.0; // Same padding the client adds to car bounding boxes
+const MAX_MUZZLE_ERROR = 10.0;
+const MIN_DIRECTION_DOT = 0.8;
+
+function length(v) {
+  return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+function isVector(v) {
+  return !!v && Number.isFinite(v.x) && Number.isFinite(v.y) && Number.isFinite(v.z);
+}
+
+// Build a bullet from a fire request. The shooter predicts ahead of the
+// server, so its muzzle position and aim are trusted within a tolerance of the
+// car the server simulates; anything further off uses the server's values.
+function createBullet(id, owner, carState, request, now) {
+  const { bulletFromCar, BULLET_SPEED } = getCarDynamics();
+  const muzzle = bulletFromCar(carState.position, carState.rotation);
+
+  let position = muzzle.position;
+  if (isVector(request.position)) {
+    const dx = request.position.x - muzzle.position.x;
+    const dy = request.position.y - muzzle.position.y;
+    const dz = request.position.z - muzzle.position.z;
+    if (length({ x: dx, y: dy, z: dz }) <= MAX_MUZZLE_ERROR) position = { ...request.position };
+  }
+
+  let velocity = muzzle.velocity;
+  if (isVector(request.velocity) && length(request.velocity) > 0) {
+    const scale = BULLET_SPEED / length(request.velocity);
+    const aimed = {
+      x: request.velocity.x * scale,
+      y: request.velocity.y * scale,
+      z: request.velocity.z * scale,
+    };
+    const dot = (aimed.x * muzzle.velocity.x + aimed.y * muzzle.velocity.y + aimed.z * muzzle.velocity.z)
+      / (BULLET_SPEED * BULLET_SPEED);
+    if (dot >= MIN_DIRECTION_DOT) velocity = aimed;
+  }
+
+  // How far in the past the shooter saw the world when it fired
+  const viewTime = Number.isFinite(request.viewTime) ? request.viewTime : now;
+  const rewind = Math.min(Math.max(now - viewTime, 0), MAX_REWIND_MS);
+
+  return { id, owner, position, velocity, spawnTime: now, rewind };
+}
+
+// Advance a bullet by dt seconds; returns the segment it travelled
+function stepBullet(bullet, dt) {
+  const { GRAVITY } = getCarDynamics();
+  const from = { ...bullet.position };
+
+  bullet.velocity.y += GRAVITY.y * dt;
+  bullet.position.x += bullet.velocity.x * dt;
+  bullet.position.y += bullet.velocity.y * dt;
+  bullet.position.z += bullet.velocity.z * dt;
+
+  return { from, to: { ...bullet.position } };
+}
+
+function inverseRotate(v, q) {
+  const { rotateVector } = getCarDynamics();
+  return rotateVector(v, { x: -q.x, y: -q.y, z: -q.z, w: q.w });
+}
+
+// Does the segment from -> to pass through the car's padded box?
+function segmentHitsCar(from, to, car) {
+  const { CAR_HALF_EXTENTS } = getCarDynamics();
+  const start = inverseRotate({
+    x: from.x - car.position.x,
+    y: from.y - car.position.y,
+    z: from.z - car.position.z,
+  }, car.rotation);
+  const end = inverseRotate({
+    x: to.x - car.position.x,
+    y: to.y - car.position.y,
+    z: to.z - car.position.z,
+  }, car.rotation);
+
+  // Slab test against the box in the car's local frame
+  let tMin = 0;
+  let tMax = 1;
+  for (const axis of ["x", "y", "z"]) {
+    const extent = CAR_HALF_EXTENTS[axis] + HIT_PADDING;
+    const delta = end[axis] - start[axis];
+
+    if (Math.abs(delta) < 1e-9) {
+      if (Math.abs(start[axis]) > extent) return false;
+      continue;
+    }
+
+    let t1 = (-extent - start[axis]) / delta;
+    let t2 = (extent - start[axis]) / delta;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+    if (tMin > tMax) return false;
+  }
+
+  return true;
+}
+
+module.exports = { createBullet, stepBullet, segmentHitsCar };
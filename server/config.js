@@ -0,0 +1,130 @@
+const fs = require("fs");
+const path = require("path");
+const { DIFFICULTIES } = require("./bots");
+
+// Server settings. Defaults below, overridden by a JSON config file
+// (CONFIG_FILE, or server.config.json next to server.js if it exists), then
+// by environment variables:
+//
+//   PORT              port to listen on
+//   HOST              interface to bind, e.g. 0.0.0.0 for LAN play
+//   CORS_ORIGINS      comma-separated origins allowed to connect, or "*"
+//   LOOP_RATE         server loop wake-ups per second; physics always steps
+//                     at the shared 60 Hz, as many steps as have come due
+//   SNAPSHOT_RATE     world snapshots per second sent to each client
+//   SESSION_GRACE_MS  how long a dropped player's slot is held
+//   STATS_FILE        JSON file for the persistent player stats
+//   REPLAY_DIR        directory match replays are recorded to
+//   REPLAY_LIMIT      how many replays to keep; the oldest are deleted
+//   ADMIN_TOKEN       bearer token for the /admin API; unset disables it
+//   BOT_MIN_PLAYERS   rooms with someone in them are topped up with bots to
+//                     this many players; 0 turns bots off
+//   BOT_DIFFICULTY    easy, normal or hard; rooms can pick their own
+//
+// Clients served from another host (e.g. the Netlify deploy) need their
+// origin in CORS_ORIGINS.
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, "..", "server.config.json");
+const DEFAULT_STATS_FILE = path.join(__dirname, "..", "data", "stats.json");
+const DEFAULT_REPLAY_DIR = path.join(__dirname, "..", "data", "replays");
+
+const DEFAULTS = {
+  port: 3000,
+  host: undefined,
+  corsOrigins: ["http://localhost:3000"],
+  loopRate: 60,
+  snapshotRate: 20,
+  sessionGraceMs: 30000,
+  statsFile: DEFAULT_STATS_FILE,
+  replayDir: DEFAULT_REPLAY_DIR,
+  replayLimit: 50,
+  adminToken: undefined,
+  botMinPlayers: 2,
+  botDifficulty: "normal",
+};
+
+const ENV_KEYS = {
+  PORT: "port",
+  HOST: "host",
+  CORS_ORIGINS: "corsOrigins",
+  LOOP_RATE: "loopRate",
+  SNAPSHOT_RATE: "snapshotRate",
+  SESSION_GRACE_MS: "sessionGraceMs",
+  STATS_FILE: "statsFile",
+  REPLAY_DIR: "replayDir",
+  REPLAY_LIMIT: "replayLimit",
+  ADMIN_TOKEN: "adminToken",
+  BOT_MIN_PLAYERS: "botMinPlayers",
+  BOT_DIFFICULTY: "botDifficulty",
+};
+
+function readConfigFile(filePath, required) {
+  if (!fs.existsSync(filePath)) {
+    if (required) throw new Error(`Config file not found: ${filePath}`);
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read config file ${filePath}: ${error.message}`);
+  }
+}
+
+function parseOrigins(value) {
+  if (Array.isArray(value)) return value;
+  return String(value).split(",").map((origin) => origin.trim()).filter(Boolean);
+}
+
+function positiveNumber(name, value, max) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0 || number > max) {
+    throw new Error(`${name} must be a number between 0 and ${max}, got ${value}`);
+  }
+  return number;
+}
+
+function botMinPlayers(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0 || number > 64) {
+    throw new Error(`botMinPlayers must be a whole number from 0 to 64, got ${value}`);
+  }
+  return number;
+}
+
+function botDifficulty(value) {
+  if (!Object.hasOwn(DIFFICULTIES, value)) {
+    throw new Error(`botDifficulty must be one of ${Object.keys(DIFFICULTIES).join(", ")}, got ${value}`);
+  }
+  return value;
+}
+
+// Settings are checked once at startup; a bad value stops the server
+function loadConfig(env = process.env) {
+  const fromFile = readConfigFile(env.CONFIG_FILE || DEFAULT_CONFIG_FILE, !!env.CONFIG_FILE);
+  const merged = { ...DEFAULTS, ...fromFile };
+
+  for (const [envKey, key] of Object.entries(ENV_KEYS)) {
+    if (env[envKey] !== undefined && env[envKey] !== "") merged[key] = env[envKey];
+  }
+
+  const corsOrigins = parseOrigins(merged.corsOrigins);
+  return Object.freeze({
+    port: Math.floor(positiveNumber("port", merged.port, 65535)),
+    host: merged.host || undefined,
+    // "*" lets any page connect
+    corsOrigins: corsOrigins.includes("*") ? true : corsOrigins,
+    loopRate: positiveNumber("loopRate", merged.loopRate, 1000),
+    snapshotRate: positiveNumber("snapshotRate", merged.snapshotRate, 60),
+    sessionGraceMs: positiveNumber("sessionGraceMs", merged.sessionGraceMs, 24 * 60 * 60 * 1000),
+    statsFile: path.resolve(String(merged.statsFile)),
+    replayDir: path.resolve(String(merged.replayDir)),
+    replayLimit: Math.floor(positiveNumber("replayLimit", merged.replayLimit, 100000)),
+    adminToken: merged.adminToken ? String(merged.adminToken) : undefined,
+    botMinPlayers: botMinPlayers(merged.botMinPlayers),
+    botDifficulty: botDifficulty(merged.botDifficulty),
+  });
+}
+
+const config = loadConfig();
+
+module.exports = { config, loadConfig };
@@ -0,0 +1,69 @@
+// Short per-player history of transforms, so hits can be checked against
+// where a target was when the shooter saw it rather than where it is now.
+
+const HISTORY_LENGTH_MS = 1000;
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function nlerpQuaternion(a, b, t) {
+  const sign = a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w < 0 ? -1 : 1;
+  const q = {
+    x: lerp(a.x, b.x * sign, t),
+    y: lerp(a.y, b.y * sign, t),
+    z: lerp(a.z, b.z * sign, t),
+    w: lerp(a.w, b.w * sign, t),
+  };
+  const length = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z + q.w * q.w) || 1;
+  return { x: q.x / length, y: q.y / length, z: q.z / length, w: q.w / length };
+}
+
+class PositionHistory {
+  constructor(maxAge = HISTORY_LENGTH_MS) {
+    this.maxAge = maxAge;
+    this.entries = [];
+  }
+
+  record(time, position, rotation) {
+    this.entries.push({
+      time,
+      position: { x: position.x, y: position.y, z: position.z },
+      rotation: { x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w },
+    });
+
+    while (this.entries.length > 1 && this.entries[0].time < time - this.maxAge) {
+      this.entries.shift();
+    }
+  }
+
+  // Transform at the given time, clamped to the recorded range
+  sample(time) {
+    const entries = this.entries;
+    if (entries.length === 0) return null;
+    if (time <= entries[0].time) return entries[0];
+
+    for (let i = entries.length - 1; i > 0; i--) {
+      const from = entries[i - 1];
+      const to = entries[i];
+      if (time >= from.time) {
+        if (time >= to.time) return to;
+
+        const t = (time - from.time) / (to.time - from.time);
+        return {
+          time,
+          position: {
+            x: lerp(from.position.x, to.position.x, t),
+            y: lerp(from.position.y, to.position.y, t),
+            z: lerp(from.position.z, to.position.z, t),
+          },
+          rotation: nlerpQuaternion(from.rotation, to.rotation, t),
+        };
+      }
+    }
+
+    return entries[entries.length - 1];
+  }
+}
+
+module.exports = { PositionHistory };
@@ -0,0 +1,134 @@
+const fs = require("fs");
+
+// Minimal glTF binary reader: just enough to turn landscape.glb into the
+// world-space triangle soup the client feeds to its trimesh collider.
+
+const GLB_MAGIC = 0x46546c67;
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+const COMPONENT_ARRAYS = {
+  5121: Uint8Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array,
+};
+
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 };
+
+function parseGlb(buffer) {
+  if (buffer.readUInt32LE(0) !== GLB_MAGIC) {
+    throw new Error("Not a glTF binary file");
+  }
+
+  let json = null;
+  let bin = null;
+  let offset = 12;
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32LE(offset);
+    const type = buffer.readUInt32LE(offset + 4);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === CHUNK_JSON) json = JSON.parse(data.toString("utf8"));
+    if (type === CHUNK_BIN) bin = data;
+    offset += 8 + length;
+  }
+
+  return { json, bin };
+}
+
+function readAccessor(gltf, index) {
+  const accessor = gltf.json.accessors[index];
+  const view = gltf.json.bufferViews[accessor.bufferView];
+  const ArrayType = COMPONENT_ARRAYS[accessor.componentType];
+  const size = TYPE_SIZES[accessor.type];
+  const start = gltf.bin.byteOffset + (view.byteOffset || 0) + (accessor.byteOffset || 0);
+
+  // Copy so the result is aligned regardless of where the chunk sits
+  const bytes = gltf.bin.buffer.slice(start, start + accessor.count * size * ArrayType.BYTES_PER_ELEMENT);
+  return new ArrayType(bytes);
+}
+
+// Column-major 4x4 matrix from a node's matrix or TRS properties
+function nodeMatrix(node) {
+  if (node.matrix) return node.matrix.slice();
+
+  const [tx, ty, tz] = node.translation || [0, 0, 0];
+  const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+  const [sx, sy, sz] = node.scale || [1, 1, 1];
+
+  return [
+    (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + z * w) * sx, 2 * (x * z - y * w) * sx, 0,
+    2 * (x * y - z * w) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + x * w) * sy, 0,
+    2 * (x * z + y * w) * sz, 2 * (y * z - x * w) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+    tx, ty, tz, 1,
+  ];
+}
+
+function multiply(a, b) {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+}
+
+// Load every mesh in the default scene as world-space vertices and indices
+function loadTrimesh(filePath) {
+  const gltf = parseGlb(fs.readFileSync(filePath));
+  const vertices = [];
+  const indices = [];
+
+  const visit = (nodeIndex, parentMatrix) => {
+    const node = gltf.json.nodes[nodeIndex];
+    const matrix = multiply(parentMatrix, nodeMatrix(node));
+
+    if (node.mesh !== undefined) {
+      for (const primitive of gltf.json.meshes[node.mesh].primitives) {
+        const base = vertices.length / 3;
+        const positions = readAccessor(gltf, primitive.attributes.POSITION);
+
+        for (let i = 0; i < positions.length; i += 3) {
+          const [x, y, z] = [positions[i], positions[i + 1], positions[i + 2]];
+          vertices.push(
+            matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12],
+            matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13],
+            matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14]
+          );
+        }
+
+        if (primitive.indices !== undefined) {
+          for (const index of readAccessor(gltf, primitive.indices)) indices.push(base + index);
+        } else {
+          for (let i = 0; i < positions.length / 3; i++) indices.push(base + i);
+        }
+      }
+    }
+
+    for (const child of node.children || []) visit(child, matrix);
+  };
+
+  const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+  const sceneIndex = gltf.json.scene || 0;
+  for (const nodeIndex of gltf.json.scenes[sceneIndex].nodes) visit(nodeIndex, identity);
+
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  for (let i = 0; i < vertices.length; i += 3) {
+    ["x", "y", "z"].forEach((axis, k) => {
+      min[axis] = Math.min(min[axis], vertices[i + k]);
+      max[axis] = Math.max(max[axis], vertices[i + k]);
+    });
+  }
+
+  return {
+    vertices: new Float32Array(vertices),
+    indices: new Uint32Array(indices),
+    bounds: { min, max },
+  };
+}
+
+module.exports = { loadTrimesh };
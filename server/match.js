@@ -0,0 +1,168 @@
+// Match lifecycle for one room, owned by the server and broadcast as
+// "matchState":
+//
+//   waiting -> countdown -> live -> postMatch -> reset -> countdown -> ...
+//
+// A match is `roundsPerMatch` rounds; a round ends when someone reaches the
+// room's score limit. Dropping below MIN_PLAYERS at any point goes back to
+// waiting.
+
+const STATES = {
+  WAITING: "waiting",
+  COUNTDOWN: "countdown",
+  LIVE: "live",
+  POST_MATCH: "postMatch",
+  RESET: "reset",
+};
+
+const MIN_PLAYERS = 2;
+const COUNTDOWN_SECONDS = 5;
+const POST_MATCH_SECONDS = 5;
+const DEFAULT_ROUNDS_PER_MATCH = 3;
+
+class Match {
+  constructor(room, { roundsPerMatch = DEFAULT_ROUNDS_PER_MATCH } = {}) {
+    this.room = room;
+    this.roundsPerMatch = roundsPerMatch;
+    this.state = STATES.WAITING;
+    this.round = 1;
+    this.roundWins = new Map();
+    this.stateEndsAt = null;
+    this.countdownSecondsLeft = 0;
+    this.lastRoundWinnerId = null;
+    this.matchWinnerId = null;
+  }
+
+  // Cars can't drive during the countdown
+  get allowsDriving() {
+    return this.state !== STATES.COUNTDOWN;
+  }
+
+  // Shooting outside a round is allowed as warm-up, just not after it ends
+  get allowsShooting() {
+    return this.state === STATES.WAITING || this.state === STATES.LIVE;
+  }
+
+  // Only kills during a live round score
+  get isLive() {
+    return this.state === STATES.LIVE;
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      round: this.round,
+      roundsPerMatch: this.roundsPerMatch,
+      endsAt: this.stateEndsAt,
+      roundWins: Array.from(this.roundWins.entries()).map(([id, wins]) => ({ id, wins })),
+      roundWinnerId: this.lastRoundWinnerId,
+      winnerId: this.matchWinnerId,
+    };
+  }
+
+  setState(state, durationSeconds = null) {
+    this.state = state;
+    this.stateEndsAt = durationSeconds === null ? null : Date.now() + durationSeconds * 1000;
+    this.countdownSecondsLeft = durationSeconds || 0;
+    console.log(`[MATCH] ${this.room.id}: ${state} (round ${this.round}/${this.roundsPerMatch})`);
+    this.room.emit("matchState", this.toJSON());
+  }
+
+  onPlayerCountChanged() {
+    const enough = this.room.playerCount >= MIN_PLAYERS;
+
+    if (!enough && this.state !== STATES.WAITING) {
+      // Abandon the match: nobody left to play against
+      this.round = 1;
+      this.roundWins.clear();
+      this.room.resetRound(true);
+      this.setState(STATES.WAITING);
+    } else if (enough && this.state === STATES.WAITING) {
+      this.room.resetRound(true);
+      this.startCountdown();
+    }
+  }
+
+  // Throw away the current match and start a fresh one
+  restart() {
+    this.round = 1;
+    this.roundWins.clear();
+    this.lastRoundWinnerId = null;
+    this.matchWinnerId = null;
+    this.room.resetRound(true);
+
+    if (this.room.playerCount >= MIN_PLAYERS) {
+      this.startCountdown();
+    } else {
+      this.setState(STATES.WAITING);
+    }
+  }
+
+  startCountdown() {
+    this.setState(STATES.COUNTDOWN, COUNTDOWN_SECONDS);
+    this.room.emit("matchCountdown", { secondsLeft: COUNTDOWN_SECONDS });
+  }
+
+  // Called by the room when a player reaches the score limit
+  endRound(winnerId) {
+    if (!this.isLive) return;
+
+    this.lastRoundWinnerId = winnerId;
+    this.roundWins.set(winnerId, (this.roundWins.get(winnerId) || 0) + 1);
+
+    // Over once every round is played or someone can't be caught any more
+    const wins = this.roundWins.get(winnerId);
+    const matchOver = this.round >= this.roundsPerMatch || wins > this.roundsPerMatch / 2;
+    this.matchWinnerId = matchOver ? winnerId : null;
+
+    this.setState(STATES.POST_MATCH, POST_MATCH_SECONDS);
+
+    if (matchOver) {
+      this.room.recordMatchResult(winnerId);
+      this.room.emit("gameOver", {
+        winnerId,
+        scores: this.room.scoreboard(),
+        roundWins: this.toJSON().roundWins,
+      });
+    }
+  }
+
+  update(now) {
+    if (this.stateEndsAt === null) return;
+
+    if (this.state === STATES.COUNTDOWN) {
+      const secondsLeft = Math.max(0, Math.ceil((this.stateEndsAt - now) / 1000));
+      if (secondsLeft !== this.countdownSecondsLeft && secondsLeft > 0) {
+        this.countdownSecondsLeft = secondsLeft;
+        this.room.emit("matchCountdown", { secondsLeft });
+      }
+    }
+
+    if (now < this.stateEndsAt) return;
+
+    if (this.state === STATES.COUNTDOWN) {
+      this.setState(STATES.LIVE);
+    } else if (this.state === STATES.POST_MATCH) {
+      this.setState(STATES.RESET);
+
+      const newMatch = !!this.matchWinnerId;
+      if (newMatch) {
+        this.round = 1;
+        this.roundWins.clear();
+        this.matchWinnerId = null;
+      } else {
+        this.round++;
+      }
+      this.lastRoundWinnerId = null;
+      this.room.resetRound(newMatch);
+
+      if (this.room.playerCount >= MIN_PLAYERS) {
+        this.startCountdown();
+      } else {
+        this.setState(STATES.WAITING);
+      }
+    }
+  }
+}
+
+module.exports = { Match, MATCH_STATES: STATES };
@@ -0,0 +1,130 @@
+// Quick match: players queue with a region tag and a target match size.
+// Once enough players share both, they get a fresh room, whose match starts
+// its countdown as soon as they're in.
+// Open slots in running quick-match rooms are backfilled from the queue.
+
+const MATCH_SIZES = [2, 4, 8];
+const DEFAULT_MATCH_SIZE = 4;
+const DEFAULT_REGION = "global";
+const REGION_PATTERN = /^[a-z0-9-]{1,16}$/;
+
+class Matchmaker {
+  constructor(rooms) {
+    this.rooms = rooms;
+    this.queues = new Map(); // "region:size" -> sockets in arrival order
+    this.matchNumber = 1;
+
+    this.rooms.on("playerLeft", (room) => this.backfill(room));
+  }
+
+  static queueKey(region, size) {
+    return `${region}:${size}`;
+  }
+
+  // Returns { error } or { region, size, matched }
+  enqueue(socket, options = {}) {
+    const region = typeof options.region === "string" ? options.region.toLowerCase() : DEFAULT_REGION;
+    const size = options.size === undefined ? DEFAULT_MATCH_SIZE : options.size;
+
+    if (socket.data.role === "spectator") return { error: "Spectators can only watch existing rooms" };
+    if (!this.rooms.profiles.get(socket.data.playerId)) return { error: "Choose a name first" };
+    if (!REGION_PATTERN.test(region)) return { error: "Invalid region" };
+    if (!MATCH_SIZES.includes(size)) return { error: `Match size must be one of ${MATCH_SIZES.join(", ")}` };
+
+    this.dequeue(socket);
+
+    // A running match with a free slot beats waiting for a new one
+    const open = this.findOpenRoom(region, size);
+    if (open) {
+      this.rooms.joinRoom(socket, open.id);
+      socket.emit("matchFound", { roomId: open.id, backfill: true });
+      return { region, size, matched: true };
+    }
+
+    const key = Matchmaker.queueKey(region, size);
+    if (!this.queues.has(key)) this.queues.set(key, []);
+    this.queues.get(key).push(socket);
+    socket.data.queueKey = key;
+
+    this.broadcastQueueStatus(key);
+    this.tryStartMatch(region, size);
+    return { region, size, matched: !socket.data.queueKey };
+  }
+
+  dequeue(socket) {
+    const key = socket.data.queueKey;
+    if (!key) return;
+
+    const queue = this.queues.get(key) || [];
+    const index = queue.indexOf(socket);
+    if (index !== -1) queue.splice(index, 1);
+    if (queue.length === 0) this.queues.delete(key);
+
+    socket.data.queueKey = null;
+    this.broadcastQueueStatus(key);
+  }
+
+  broadcastQueueStatus(key) {
+    const queue = this.queues.get(key) || [];
+    const [region, size] = key.split(":");
+    queue.forEach((socket, index) => {
+      socket.emit("queueStatus", {
+        region,
+        size: Number(size),
+        queued: queue.length,
+        position: index + 1,
+      });
+    });
+  }
+
+  findOpenRoom(region, size) {
+    for (const room of this.rooms.rooms.values()) {
+      const match = room.quickMatch;
+      if (match && match.region === region && match.size === size && !room.isFull) {
+        return room;
+      }
+    }
+    return null;
+  }
+
+  tryStartMatch(region, size) {
+    const key = Matchmaker.queueKey(region, size);
+    const queue = this.queues.get(key);
+    if (!queue || queue.length < size) return;
+
+    const sockets = queue.splice(0, size);
+    if (queue.length === 0) this.queues.delete(key);
+
+    const room = this.rooms.addRoom(`Quick Match #${this.matchNumber++}`, {
+      maxPlayers: size,
+      quickMatch: { region, size },
+    });
+    console.log(`[MATCH] Starting ${room.id} (${region}, ${size} players)`);
+
+    for (const socket of sockets) {
+      socket.data.queueKey = null;
+      socket.emit("matchFound", { roomId: room.id, backfill: false });
+      this.rooms.joinRoom(socket, room.id);
+    }
+    this.broadcastQueueStatus(key);
+  }
+
+  // Someone left a quick-match room: hand the slot to whoever waited longest
+  backfill(room) {
+    const match = room.quickMatch;
+    if (!match || room.isEmpty || room.isFull) return;
+
+    const key = Matchmaker.queueKey(match.region, match.size);
+    const queue = this.queues.get(key) || [];
+    while (queue.length > 0 && !room.isFull) {
+      const socket = queue.shift();
+      socket.data.queueKey = null;
+      socket.emit("matchFound", { roomId: room.id, backfill: true });
+      this.rooms.joinRoom(socket, room.id);
+    }
+    if (queue.length === 0) this.queues.delete(key);
+    this.broadcastQueueStatus(key);
+  }
+}
+
+module.exports = { Matchmaker, MATCH_SIZES };
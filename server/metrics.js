@@ -0,0 +1,207 @@
+const express = require("express");
+const { monitorEventLoopDelay } = require("perf_hooks");
+
+// Load numbers for playtests: inbound messages by event, server tick
+// duration and event-loop lag, exposed as GET /healthz and a Prometheus
+// text-format GET /metrics.
+
+const RATE_WINDOW_MS = 10000;
+const TICK_BUCKETS = [0.001, 0.002, 0.005, 0.01, 0.0167, 0.025, 0.05, 0.1, 0.25];
+// The server loop counts as stalled once it hasn't ticked for this long
+const STALLED_TICK_MS = 1000;
+const LOOP_DELAY_RESOLUTION_MS = 10;
+// The per-tick gameplay events, reported from the start even at zero
+const TRACKED_EVENTS = ["playerInput", "snapshotAck", "createBullet", "bulletHit"];
+
+class ServerMetrics {
+  constructor() {
+    this.startedAt = Date.now();
+    this.messageTotals = new Map(TRACKED_EVENTS.map((event) => [event, 0])); // event -> count since start
+    this.windowCounts = new Map(); // event -> count in the current window
+    this.messageRates = new Map(); // event -> per second over the last finished window
+    this.windowStart = Date.now();
+
+    this.tickBuckets = TICK_BUCKETS.map(() => 0);
+    this.tickCount = 0;
+    this.tickSeconds = 0;
+    this.lastTickAt = null;
+
+    this.loopDelay = monitorEventLoopDelay({ resolution: LOOP_DELAY_RESOLUTION_MS });
+    this.loopDelay.enable();
+    this.lastLoopDelay = null;
+  }
+
+  // Counts every inbound event on the socket. Events without a handler are
+  // lumped together so clients can't invent new label values.
+  watchSocket(socket) {
+    socket.onAny((event) => {
+      this.countMessage(socket.listeners(event).length > 0 ? event : "unknown");
+    });
+  }
+
+  countMessage(event) {
+    this.messageTotals.set(event, (this.messageTotals.get(event) || 0) + 1);
+    this.windowCounts.set(event, (this.windowCounts.get(event) || 0) + 1);
+  }
+
+  observeTick(seconds, now = Date.now()) {
+    TICK_BUCKETS.forEach((bound, i) => {
+      if (seconds <= bound) this.tickBuckets[i]++;
+    });
+    this.tickCount++;
+    this.tickSeconds += seconds;
+    this.lastTickAt = now;
+    this.rollWindow(now);
+  }
+
+  // Message rates are per second over the last RATE_WINDOW_MS; the
+  // event-loop histogram restarts with each window too
+  rollWindow(now) {
+    const elapsed = now - this.windowStart;
+    if (elapsed < RATE_WINDOW_MS) return;
+
+    this.messageRates = new Map();
+    for (const event of this.messageTotals.keys()) {
+      this.messageRates.set(event, (this.windowCounts.get(event) || 0) / (elapsed / 1000));
+    }
+    this.windowCounts.clear();
+    this.windowStart = now;
+
+    this.lastLoopDelay = this.readLoopDelay();
+    this.loopDelay.reset();
+  }
+
+  // Event-loop lag in seconds: the last finished window, or the current one
+  // before the first window closes
+  loopLag() {
+    return this.lastLoopDelay || this.readLoopDelay();
+  }
+
+  // The histogram samples include the sampling interval itself; only the
+  // time beyond it is lag
+  readLoopDelay() {
+    if (this.loopDelay.count === 0) return { mean: 0, p99: 0, max: 0 };
+    const lag = (nanoseconds) => Math.max(0, nanoseconds / 1e6 - LOOP_DELAY_RESOLUTION_MS) / 1000;
+    return {
+      mean: lag(this.loopDelay.mean),
+      p99: lag(this.loopDelay.percentile(99)),
+      max: lag(this.loopDelay.max),
+    };
+  }
+
+  health(rooms, now = Date.now()) {
+    if (!rooms) return { status: "starting" };
+
+    const tickAgeMs = this.lastTickAt === null ? null : now - this.lastTickAt;
+    const counts = roomCounts(rooms);
+    return {
+      status: tickAgeMs !== null && tickAgeMs < STALLED_TICK_MS ? "ok" : "stalled",
+      uptimeSeconds: Math.round((now - this.startedAt) / 1000),
+      tickAgeMs,
+      rooms: counts.rooms,
+      players: counts.connected,
+    };
+  }
+
+  // Prometheus text exposition format
+  render(rooms, io) {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const [labels, value] of samples) lines.push(`${name}${labels} ${value}`);
+    };
+    const label = (event) => `{event="${event}"}`;
+
+    const counts = roomCounts(rooms);
+    const cpu = process.cpuUsage();
+    metric("process_cpu_seconds_total", "counter", "User and system CPU time spent by the server.", [
+      ["", round((cpu.user + cpu.system) / 1e6)],
+    ]);
+    metric("process_resident_memory_bytes", "gauge", "Resident memory of the server.", [["", process.memoryUsage.rss()]]);
+    metric("game_up", "gauge", "1 once physics has loaded and rooms are running.", [["", rooms ? 1 : 0]]);
+    metric("game_sockets", "gauge", "Open Socket.IO connections, in rooms or not.", [["", io.engine.clientsCount]]);
+    metric("game_rooms", "gauge", "Open rooms.", [["", counts.rooms]]);
+    metric("game_players", "gauge", "Players in rooms, by connection state.", [
+      ['{state="connected"}', counts.connected],
+      ['{state="held"}', counts.held],
+    ]);
+    metric("game_spectators", "gauge", "Spectators watching a room.", [["", counts.spectators]]);
+    metric("game_bullets", "gauge", "Bullets in flight across all rooms.", [["", counts.bullets]]);
+    metric("game_snapshot_bytes_per_second", "gauge", "Snapshot bytes sent per second across all rooms.", [
+      ["", counts.snapshotBytesPerSecond],
+    ]);
+    metric("game_snapshot_json_bytes_per_second", "gauge",
+      "Estimated bytes per second the same updates would take as per-player JSON, across all rooms.", [
+        ["", counts.snapshotJsonBytesPerSecond],
+      ]);
+
+    const events = Array.from(this.messageTotals.keys()).sort();
+    metric("game_messages_received_total", "counter", "Inbound Socket.IO messages by event.",
+      events.map((event) => [label(event), this.messageTotals.get(event)]));
+    metric("game_messages_per_second", "gauge", `Inbound messages per second by event, over the last ${RATE_WINDOW_MS / 1000}s.`,
+      events.map((event) => [label(event), round(this.messageRates.get(event) || 0)]));
+
+    // Bucket counts are already cumulative, see observeTick()
+    lines.push("# HELP game_tick_duration_seconds Time spent in one server loop tick, all rooms.");
+    lines.push("# TYPE game_tick_duration_seconds histogram");
+    TICK_BUCKETS.forEach((bound, i) => {
+      lines.push(`game_tick_duration_seconds_bucket{le="${bound}"} ${this.tickBuckets[i]}`);
+    });
+    lines.push(`game_tick_duration_seconds_bucket{le="+Inf"} ${this.tickCount}`);
+    lines.push(`game_tick_duration_seconds_sum ${round(this.tickSeconds)}`);
+    lines.push(`game_tick_duration_seconds_count ${this.tickCount}`);
+
+    const lag = this.loopLag();
+    metric("game_event_loop_lag_seconds", "gauge", `Event-loop delay over the last ${RATE_WINDOW_MS / 1000}s.`, [
+      ['{stat="mean"}', round(lag.mean)],
+      ['{stat="p99"}', round(lag.p99)],
+      ['{stat="max"}', round(lag.max)],
+    ]);
+
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function roomCounts(rooms) {
+  const counts = {
+    rooms: 0, connected: 0, held: 0, spectators: 0, bullets: 0,
+    snapshotBytesPerSecond: 0, snapshotJsonBytesPerSecond: 0,
+  };
+  if (!rooms) return counts;
+
+  for (const room of rooms.rooms.values()) {
+    counts.rooms++;
+    counts.connected += room.connections.size;
+    counts.held += room.playerCount - room.connections.size;
+    counts.spectators += room.spectators.size;
+    counts.bullets += Object.keys(room.bullets).length;
+    if (room.bandwidth.last) {
+      counts.snapshotBytesPerSecond += room.bandwidth.last.binaryBytesPerSecond;
+      counts.snapshotJsonBytesPerSecond += room.bandwidth.last.jsonBytesPerSecond;
+    }
+  }
+  return counts;
+}
+
+// Unauthenticated, like most scrape targets; keep the port off the public
+// internet if that matters. getRooms returns null until the server is up.
+function createMetricsRouter({ metrics, io, getRooms }) {
+  const router = express.Router();
+
+  router.get("/healthz", (req, res) => {
+    const health = metrics.health(getRooms());
+    res.status(health.status === "ok" ? 200 : 503).json(health);
+  });
+
+  router.get("/metrics", (req, res) => {
+    res.type("text/plain; version=0.0.4").send(metrics.render(getRooms(), io));
+  });
+
+  return router;
+}
+
+module.exports = { ServerMetrics, createMetricsRouter };
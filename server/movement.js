@@ -0,0 +1,112 @@
+// Sanity checks on every car's simulated state. Clients can't send positions,
+// but inputs that trip up the physics (or a bug in it) can still fling a car
+// somewhere impossible; this catches that before it reaches snapshots and
+// hit checks, and flags the player so it shows up in the logs and admin API.
+
+// Cars top out around 130 units/s on the landscape; a flip lifts one by 2
+const MAX_CAR_SPEED = 150;
+const MOVE_SLACK = 3;
+const QUATERNION_TOLERANCE = 1e-3;
+
+// How far past the landscape's edges a car may go before it's respawned
+const BOUNDS_MARGIN = { horizontal: 50, below: 50, above: 200 };
+
+function isFiniteVector(v, keys = ["x", "y", "z"]) {
+  return !!v && keys.every((key) => Number.isFinite(v[key]));
+}
+
+function distance(a, b) {
+  return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+function quaternionLength(q) {
+  return Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z + q.w * q.w);
+}
+
+// The area a car may be in: the landscape's bounding box plus a margin
+function worldBounds(landscapeBounds) {
+  const { min, max } = landscapeBounds;
+  return {
+    min: { x: min.x - BOUNDS_MARGIN.horizontal, y: min.y - BOUNDS_MARGIN.below, z: min.z - BOUNDS_MARGIN.horizontal },
+    max: { x: max.x + BOUNDS_MARGIN.horizontal, y: max.y + BOUNDS_MARGIN.above, z: max.z + BOUNDS_MARGIN.horizontal },
+  };
+}
+
+class MovementChecker {
+  constructor(landscapeBounds, { maxSpeed = MAX_CAR_SPEED } = {}) {
+    this.bounds = worldBounds(landscapeBounds);
+    this.maxSpeed = maxSpeed;
+    this.lastPositions = new Map(); // playerId -> last accepted position
+    this.flags = new Map(); // playerId -> { count, reason, time }
+  }
+
+  // Returns null if the state is plausible, otherwise { reason, fix } where
+  // fix is "respawn", "rewind" (back to the last good position) or
+  // "normalize" (the rotation only)
+  check(playerId, state, elapsedMs) {
+    const problem = this.findProblem(playerId, state, elapsedMs);
+    if (!problem && state) this.lastPositions.set(playerId, { ...state.position });
+    return problem;
+  }
+
+  findProblem(playerId, state, elapsedMs) {
+    if (!state) return null;
+    const { position, rotation, linvel } = state;
+
+    if (!isFiniteVector(position) || !isFiniteVector(rotation, ["x", "y", "z", "w"]) || !isFiniteVector(linvel)) {
+      return { reason: "non-finite position, rotation or velocity", fix: "respawn" };
+    }
+
+    const { min, max } = this.bounds;
+    if (position.x < min.x || position.y < min.y || position.z < min.z
+      || position.x > max.x || position.y > max.y || position.z > max.z) {
+      return { reason: "outside the world bounds", fix: "respawn" };
+    }
+
+    const previous = this.lastPositions.get(playerId);
+    if (previous) {
+      const moved = distance(previous, position);
+      const allowed = (this.maxSpeed * elapsedMs) / 1000 + MOVE_SLACK;
+      if (moved > allowed) {
+        return { reason: `moved ${moved.toFixed(1)} units in ${Math.round(elapsedMs)}ms`, fix: "rewind" };
+      }
+    }
+
+    const length = quaternionLength(rotation);
+    if (Math.abs(length - 1) > QUATERNION_TOLERANCE) {
+      // A zero quaternion has no direction to keep
+      return { reason: "rotation is not a unit quaternion", fix: length > QUATERNION_TOLERANCE ? "normalize" : "respawn" };
+    }
+
+    return null;
+  }
+
+  lastGoodPosition(playerId) {
+    return this.lastPositions.get(playerId) || null;
+  }
+
+  flag(playerId, reason, now = Date.now()) {
+    const flags = this.flags.get(playerId) || { count: 0, reason: null, time: null };
+    flags.count++;
+    flags.reason = reason;
+    flags.time = now;
+    this.flags.set(playerId, flags);
+    return flags;
+  }
+
+  flagsFor(playerId) {
+    return this.flags.get(playerId) || null;
+  }
+
+  // The room moved the car itself (spawn, new round); don't compare across it
+  forgetPosition(playerId) {
+    this.lastPositions.delete(playerId);
+  }
+
+  remove(playerId) {
+    this.lastPositions.delete(playerId);
+    this.flags.delete(playerId);
+  }
+}
+
+module.exports = { MovementChecker, MAX_CAR_SPEED };
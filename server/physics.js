@@ -0,0 +1,247 @@
+const path = require("path");
+const RAPIER = require("@dimforge/rapier3d-compat");
+const { loadTrimesh } = require("./landscape");
+
+const LANDSCAPE_PATH = path.join(__dirname, "..", "public", "landscape.glb");
+const SPAWN_RAY_HEIGHT = 500;
+const SPAWN_CLEARANCE = 1;
+const MAX_INPUT_BACKLOG = 30;
+
+let ready = null;
+let carDynamics = null;
+let landscape = null;
+
+// Rapier's wasm, the landscape mesh and the car handling shared with the
+// browser only need loading once per process.
+function initPhysics() {
+  if (!ready) {
+    ready = Promise.all([
+      RAPIER.init(),
+      import("../public/shared/carDynamics.mjs"),
+    ]).then(([, dynamics]) => {
+      carDynamics = dynamics;
+      landscape = loadTrimesh(LANDSCAPE_PATH);
+    });
+  }
+  return ready;
+}
+
+// The browser/server shared car module, once initPhysics() has resolved
+function getCarDynamics() {
+  return carDynamics;
+}
+
+// Axis-aligned box around the landscape, once initPhysics() has resolved
+function getLandscapeBounds() {
+  return landscape.bounds;
+}
+
+// Authoritative simulation: the landscape trimesh plus one car per player.
+// Clients only send sequence-numbered inputs; positions come out of step().
+class ServerPhysics {
+  constructor() {
+    if (!carDynamics) {
+      throw new Error("initPhysics() must resolve before creating a world");
+    }
+
+    this.world = new RAPIER.World(carDynamics.GRAVITY);
+    this.world.timestep = carDynamics.PHYSICS_TIMESTEP;
+    this.cars = new Map();
+    this.ball = null; // Soccer rooms' ball
+
+    const ground = this.world.createRigidBody(RAPIER.RigidBodyDesc.fixed());
+    this.world.createCollider(RAPIER.ColliderDesc.trimesh(landscape.vertices, landscape.indices), ground);
+
+    // Build the query pipeline so ray casts work before the first step
+    this.world.step();
+  }
+
+  // Height of the landscape under (x, z), or null past its edge. Cars and
+  // the ball are dynamic bodies and are ignored.
+  groundHeight(x, z) {
+    const from = { x, y: SPAWN_RAY_HEIGHT, z };
+    const ray = new RAPIER.Ray(from, { x: 0, y: -1, z: 0 });
+    const hit = this.world.castRay(ray, SPAWN_RAY_HEIGHT * 2, true, RAPIER.QueryFilterFlags.EXCLUDE_DYNAMIC);
+    return hit ? SPAWN_RAY_HEIGHT - hit.timeOfImpact : null;
+  }
+
+  // Raise a spawn point so the car sits just above the landscape under it
+  placeOnGround(position) {
+    const ground = this.groundHeight(position.x, position.z);
+    if (ground === null) return { ...position };
+
+    return {
+      x: position.x,
+      y: Math.max(position.y, ground + carDynamics.CAR_HALF_EXTENTS.y + SPAWN_CLEARANCE),
+      z: position.z,
+    };
+  }
+
+  addCar(id, position, rotation) {
+    this.removeCar(id);
+    const body = carDynamics.createCarBody(RAPIER, this.world, position, rotation);
+    this.cars.set(id, {
+      body,
+      inputQueue: [],
+      lastInput: carDynamics.createInput(0, carDynamics.emptyControls()),
+      lastReceivedInput: 0,
+      lastProcessedInput: 0,
+    });
+  }
+
+  removeCar(id) {
+    const car = this.cars.get(id);
+    if (car) {
+      this.world.removeRigidBody(car.body);
+      this.cars.delete(id);
+    }
+  }
+
+  hasCar(id) {
+    return this.cars.has(id);
+  }
+
+  // Queue input packets; each tick consumes one. Stale or duplicate
+  // sequence numbers are dropped.
+  queueInputs(id, inputs) {
+    const car = this.cars.get(id);
+    if (!car) return;
+
+    for (const input of inputs) {
+      if (!input || !Number.isInteger(input.seq) || input.seq <= car.lastReceivedInput) continue;
+
+      car.inputQueue.push(carDynamics.createInput(input.seq, input));
+      car.lastReceivedInput = input.seq;
+    }
+
+    // A client running ahead of the server loses its oldest inputs
+    if (car.inputQueue.length > MAX_INPUT_BACKLOG) {
+      car.inputQueue.splice(0, car.inputQueue.length - MAX_INPUT_BACKLOG);
+    }
+  }
+
+  // Forget a car's input stream: it coasts with no controls held, and the
+  // next client (a reconnect may restart its numbering) starts from seq 1
+  resetInputs(id) {
+    const car = this.cars.get(id);
+    if (!car) return;
+
+    car.inputQueue = [];
+    car.lastInput = carDynamics.createInput(0, carDynamics.emptyControls());
+    car.lastReceivedInput = 0;
+    car.lastProcessedInput = 0;
+  }
+
+  teleportCar(id, position, rotation = { x: 0, y: 0, z: 0, w: 1 }) {
+    const car = this.cars.get(id);
+    if (!car) return;
+
+    car.body.setTranslation(position, true);
+    car.body.setRotation(rotation, true);
+    car.body.setLinvel({ x: 0, y: 0, z: 0 }, true);
+    car.body.setAngvel({ x: 0, y: 0, z: 0 }, true);
+  }
+
+  // Turn the car in place, keeping its velocity
+  setCarRotation(id, rotation) {
+    const car = this.cars.get(id);
+    if (car) car.body.setRotation(rotation, true);
+  }
+
+  // A free-rolling sphere, same as the browser's createSphereBody()
+  addBall(position, radius, settings) {
+    const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
+      .setTranslation(position.x, position.y, position.z)
+      .setLinearDamping(settings.linearDamping)
+      .setAngularDamping(settings.angularDamping)
+      .setCanSleep(true)
+      .setCcdEnabled(true);
+    this.ball = this.world.createRigidBody(bodyDesc);
+
+    const colliderDesc = RAPIER.ColliderDesc.ball(radius)
+      .setRestitution(settings.restitution)
+      .setFriction(settings.friction)
+      .setDensity(settings.density);
+    this.world.createCollider(colliderDesc, this.ball);
+  }
+
+  // Drop the ball at `position`, dead still
+  teleportBall(position) {
+    if (!this.ball) return;
+
+    this.ball.setTranslation(position, true);
+    this.ball.setRotation({ x: 0, y: 0, z: 0, w: 1 }, true);
+    this.ball.setLinvel({ x: 0, y: 0, z: 0 }, true);
+    this.ball.setAngvel({ x: 0, y: 0, z: 0 }, true);
+  }
+
+  getBallState() {
+    if (!this.ball) return null;
+
+    const pos = this.ball.translation();
+    const rot = this.ball.rotation();
+    const linvel = this.ball.linvel();
+    const angvel = this.ball.angvel();
+    return {
+      position: { x: pos.x, y: pos.y, z: pos.z },
+      rotation: { x: rot.x, y: rot.y, z: rot.z, w: rot.w },
+      linvel: { x: linvel.x, y: linvel.y, z: linvel.z },
+      angvel: { x: angvel.x, y: angvel.y, z: angvel.z },
+    };
+  }
+
+  step() {
+    for (const car of this.cars.values()) {
+      // With nothing queued the last input stays held, but isn't acknowledged again
+      const input = car.inputQueue.shift();
+      if (input) {
+        carDynamics.applyCarInput(car.body, input, car.lastInput);
+        car.lastInput = input;
+        car.lastProcessedInput = input.seq;
+      } else {
+        carDynamics.applyCarInput(car.body, car.lastInput, car.lastInput);
+      }
+    }
+    this.world.step();
+  }
+
+  // First point where the segment from -> to hits the landscape, or null.
+  // Cars are dynamic bodies and are ignored.
+  raycastGround(from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const dz = to.z - from.z;
+    const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (length === 0) return null;
+
+    const ray = new RAPIER.Ray(from, { x: dx / length, y: dy / length, z: dz / length });
+    const hit = this.world.castRay(ray, length, true, RAPIER.QueryFilterFlags.EXCLUDE_DYNAMIC);
+    return hit ? ray.pointAt(hit.timeOfImpact) : null;
+  }
+
+  getCarState(id) {
+    const car = this.cars.get(id);
+    if (!car) return null;
+
+    const pos = car.body.translation();
+    const rot = car.body.rotation();
+    const linvel = car.body.linvel();
+    const angvel = car.body.angvel();
+
+    return {
+      position: { x: pos.x, y: pos.y, z: pos.z },
+      rotation: { x: rot.x, y: rot.y, z: rot.z, w: rot.w },
+      linvel: { x: linvel.x, y: linvel.y, z: linvel.z },
+      angvel: { x: angvel.x, y: angvel.y, z: angvel.z },
+      lastProcessedInput: car.lastProcessedInput,
+    };
+  }
+
+  free() {
+    this.world.free();
+    this.cars.clear();
+    this.ball = null;
+  }
+}
+
+module.exports = { initPhysics, getCarDynamics, getLandscapeBounds, ServerPhysics };
@@ -0,0 +1,94 @@
+// Player profiles: the display name and car colour picked in the lobby.
+// Names are checked for length, allowed characters, profanity and
+// uniqueness (case-insensitive, across everyone on the server) before a
+// player can join a room. Colours are a preference; a room hands out another
+// free one if it's already taken there.
+
+const MIN_NAME_LENGTH = 3;
+const MAX_NAME_LENGTH = 16;
+const NAME_PATTERN = /^[A-Za-z0-9 _-]+$/;
+
+const PLAYER_COLORS = [
+  "#e6194b", "#4363d8", "#3cb44b", "#f58231", "#911eb4", "#42d4f4",
+  "#f032e6", "#ffe119", "#bfef45", "#469990", "#9a6324", "#fabed4",
+];
+
+// Matched against the name with spaces, separators and digit look-alikes removed
+// (substring matches, so words that hide inside innocent ones, like "rape"
+// in "grapes", are left out)
+const BLOCKED_WORDS = [
+  "asshole", "bastard", "bitch", "bollock", "cunt", "fuck", "nazi", "nigg",
+  "porn", "pussy", "retard", "shit", "slut", "twat", "wank", "whore",
+];
+
+const LOOKALIKES = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", 8: "b", "@": "a", $: "s" };
+
+function normalizeForFilter(name) {
+  return name
+    .toLowerCase()
+    .replace(/[0-9@$]/g, (c) => LOOKALIKES[c] || c)
+    .replace(/[^a-z]/g, "");
+}
+
+function isProfane(name) {
+  const normalized = normalizeForFilter(name);
+  return BLOCKED_WORDS.some((word) => normalized.includes(word));
+}
+
+// Returns { error } or { name } with whitespace tidied up
+function validateName(name) {
+  if (typeof name !== "string") return { error: "Choose a name" };
+
+  const trimmed = name.trim().replace(/\s+/g, " ");
+  if (trimmed.length < MIN_NAME_LENGTH || trimmed.length > MAX_NAME_LENGTH) {
+    return { error: `Names must be ${MIN_NAME_LENGTH}-${MAX_NAME_LENGTH} characters` };
+  }
+  if (!NAME_PATTERN.test(trimmed)) {
+    return { error: "Names can only use letters, numbers, spaces, _ and -" };
+  }
+  if (isProfane(trimmed)) {
+    return { error: "Please choose a different name" };
+  }
+  return { name: trimmed };
+}
+
+// Names in use, by player id. A name stays taken while its player is
+// connected or their slot is held for a reconnect.
+class ProfileRegistry {
+  constructor() {
+    this.profiles = new Map(); // playerId -> { name, color }
+  }
+
+  get(playerId) {
+    return this.profiles.get(playerId) || null;
+  }
+
+  // Returns { error } or { profile }
+  set(playerId, data) {
+    const { error, name } = validateName(data && data.name);
+    if (error) return { error };
+
+    const lower = name.toLowerCase();
+    for (const [id, profile] of this.profiles) {
+      if (id !== playerId && profile.name.toLowerCase() === lower) {
+        return { error: "That name is already taken" };
+      }
+    }
+
+    const color = PLAYER_COLORS.includes(data.color) ? data.color : null;
+    const profile = { name, color };
+    this.profiles.set(playerId, profile);
+    return { profile };
+  }
+
+  release(playerId) {
+    this.profiles.delete(playerId);
+  }
+
+  // What the lobby needs to build the profile form
+  options() {
+    return { colors: PLAYER_COLORS, minNameLength: MIN_NAME_LENGTH, maxNameLength: MAX_NAME_LENGTH };
+  }
+}
+
+module.exports = { ProfileRegistry, PLAYER_COLORS, validateName };
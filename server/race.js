@@ -0,0 +1,194 @@
+// Race mode: laps round one of the shared tracks instead of a deathmatch.
+// The server times everyone through the track's gates and broadcasts:
+//
+//   raceStandings  [{ id, place, lap, nextGate, lastLapMs, bestLapMs, lapStartedAt, finishMs }]
+//                  whenever the order or anyone's gate changes
+//   raceSplit      to the one player: { lap, checkpoint, splitMs, deltaMs }
+//   raceLap        { id, lap, lapMs, bestLapMs, personalBest } (lifetime best on this track)
+//   raceFinish     { id, place, totalMs }
+//   wrongWay       to the one player: { wrongWay }
+//
+// The round goes to whoever finishes first; everyone else gets
+// FINISH_GRACE_MS after that to cross the line.
+
+const FINISH_GRACE_MS = 30000;
+// Going the wrong way this long before the player is told
+const WRONG_WAY_MS = 1000;
+
+let tracks = null;
+let ready = null;
+
+function initRace() {
+  if (!ready) {
+    ready = import("../public/shared/tracks.mjs").then((module) => {
+      tracks = module;
+    });
+  }
+  return ready;
+}
+
+// The browser/server shared tracks module, once initRace() has resolved
+function getTracks() {
+  return tracks;
+}
+
+class Race {
+  constructor(room, track) {
+    this.room = room;
+    // Gates get the ground height under them so clients can draw them
+    const onGround = (gate) => ({ ...gate, y: room.physics.groundHeight(gate.x, gate.z) ?? 0 });
+    this.track = { ...track, start: onGround(track.start), checkpoints: track.checkpoints.map(onGround) };
+    this.reset();
+  }
+
+  // Back to the grid for a new round
+  reset() {
+    for (const id of this.wrongWay || []) this.sendTo(id, "wrongWay", { wrongWay: false });
+    this.progress = new Map(); // playerId -> LapProgress
+    this.wrongWaySince = new Map(); // playerId -> when they turned round
+    this.wrongWay = new Set();
+    this.finishOrder = [];
+    this.endsAt = null;
+    this.standingsKey = "";
+  }
+
+  // Someone who finished and left can't win the round
+  removePlayer(playerId) {
+    this.finishOrder = this.finishOrder.filter((id) => id !== playerId);
+    this.progress.delete(playerId);
+    this.wrongWaySince.delete(playerId);
+    this.wrongWay.delete(playerId);
+  }
+
+  // Players who join mid-race start their first lap from wherever they are
+  progressFor(playerId, now) {
+    let progress = this.progress.get(playerId);
+    if (!progress) {
+      progress = new tracks.LapProgress(this.track);
+      progress.start(now);
+      this.progress.set(playerId, progress);
+    }
+    return progress;
+  }
+
+  // The gate a player is heading for, e.g. for a bot to drive at
+  nextGate(playerId) {
+    const progress = this.progress.get(playerId);
+    return progress ? progress.gate : this.track.checkpoints[0];
+  }
+
+  // Best first: finishers in the order they crossed the line, then by gates
+  // passed, then by who's closest to their next gate
+  standings() {
+    const rows = Array.from(this.progress, ([id, progress]) => {
+      const player = this.room.players[id];
+      const { gate } = progress;
+      return {
+        id,
+        progress,
+        finishIndex: this.finishOrder.indexOf(id),
+        distance: Math.hypot(gate.x - player.position.x, gate.z - player.position.z),
+      };
+    });
+    rows.sort((a, b) => {
+      if (a.finishIndex !== -1 || b.finishIndex !== -1) {
+        if (a.finishIndex === -1) return 1;
+        if (b.finishIndex === -1) return -1;
+        return a.finishIndex - b.finishIndex;
+      }
+      return b.progress.gatesPassed - a.progress.gatesPassed || a.distance - b.distance;
+    });
+
+    return rows.map(({ id, progress }, index) => ({
+      id,
+      place: index + 1,
+      lap: progress.lap,
+      nextGate: progress.nextGate,
+      lastLapMs: progress.lastLapMs,
+      bestLapMs: progress.bestLapMs,
+      lapStartedAt: progress.lapStartedAt,
+      finishMs: progress.finished ? progress.finishedAt - progress.startedAt : null,
+    }));
+  }
+
+  toJSON() {
+    return { track: this.track, standings: this.standings() };
+  }
+
+  sendTo(playerId, event, data) {
+    const connection = this.room.connections.get(playerId);
+    if (connection) connection.socket.emit(event, data);
+  }
+
+  // Called every server tick with the cars where physics left them
+  update(now) {
+    if (!this.room.match.isLive) return;
+
+    let changed = false;
+    for (const id in this.room.players) {
+      const player = this.room.players[id];
+      const progress = this.progressFor(id, now);
+
+      for (const event of progress.update(player.position, now)) {
+        changed = true;
+        this.handleProgressEvent(id, event, now);
+      }
+      this.checkWrongWay(id, progress, player, now);
+    }
+
+    const standings = this.standings();
+    const key = standings.map((row) => `${row.id}:${row.lap}:${row.nextGate}`).join(",");
+    if (changed || key !== this.standingsKey) {
+      this.standingsKey = key;
+      this.room.emit("raceStandings", standings);
+    }
+
+    const everyoneFinished = standings.every((row) => row.finishMs !== null);
+    if (this.finishOrder.length > 0 && (everyoneFinished || now >= this.endsAt)) {
+      this.room.match.endRound(this.finishOrder[0]);
+    }
+  }
+
+  handleProgressEvent(playerId, event, now) {
+    if (event.type === "checkpoint") {
+      this.sendTo(playerId, "raceSplit", {
+        lap: event.lap,
+        checkpoint: event.checkpoint,
+        splitMs: event.splitMs,
+        deltaMs: event.deltaMs,
+      });
+    } else if (event.type === "lap") {
+      const name = this.room.statsName(playerId);
+      const personalBest = name ? this.room.stats.recordLapTime(name, this.track.id, event.lapMs) : false;
+      this.room.emit("raceLap", {
+        id: playerId,
+        lap: event.lap,
+        lapMs: event.lapMs,
+        bestLapMs: event.bestLapMs,
+        personalBest,
+      });
+    } else if (event.type === "finish") {
+      this.finishOrder.push(playerId);
+      if (this.endsAt === null) this.endsAt = now + FINISH_GRACE_MS;
+      const place = this.finishOrder.length;
+      console.log(`[RACE] ${this.room.id}: ${playerId} finished P${place} in ${event.totalMs}ms`);
+      this.room.emit("raceFinish", { id: playerId, place, totalMs: event.totalMs });
+    }
+  }
+
+  checkWrongWay(playerId, progress, player, now) {
+    if (!player.linvel || !progress.isWrongWay(player.position, player.linvel)) {
+      this.wrongWaySince.delete(playerId);
+      if (this.wrongWay.delete(playerId)) this.sendTo(playerId, "wrongWay", { wrongWay: false });
+      return;
+    }
+
+    if (!this.wrongWaySince.has(playerId)) this.wrongWaySince.set(playerId, now);
+    if (!this.wrongWay.has(playerId) && now - this.wrongWaySince.get(playerId) >= WRONG_WAY_MS) {
+      this.wrongWay.add(playerId);
+      this.sendTo(playerId, "wrongWay", { wrongWay: true });
+    }
+  }
+}
+
+module.exports = { Race, initRace, getTracks };
@@ -0,0 +1,98 @@
+const { validateEvent } = require("./schemas");
+
+// Per-socket limits on inbound events. Every message must match its schema
+// (see schemas.js) and fit in a token bucket for its kind of event. Dropped
+// messages are strikes: the first earns a warning, too many in a short
+// window a disconnect.
+
+// rate: tokens refilled per second, burst: bucket size
+const EVENT_LIMITS = {
+  // One input batch per rendered frame; high refresh-rate screens send more
+  playerInput: { rate: 180, burst: 240 },
+  snapshotAck: { rate: 60, burst: 90 },
+  createBullet: { rate: 10, burst: 10 },
+  bulletHit: { rate: 20, burst: 20 },
+};
+// Everything else is lobby traffic and shares one bucket
+const LOBBY_LIMIT = { rate: 5, burst: 15 };
+
+const STRIKE_WINDOW_MS = 10000;
+const MAX_STRIKES = 20;
+const WARNING_INTERVAL_MS = 5000;
+
+class TokenBucket {
+  constructor({ rate, burst }, now = Date.now()) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = now;
+  }
+
+  // Takes a token if there is one
+  take(now = Date.now()) {
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+    if (this.tokens < 1) return false;
+    this.tokens--;
+    return true;
+  }
+}
+
+// Installs the checks as Socket.IO middleware on one socket. onAbuse(socket,
+// reason) is called once the socket has run out of strikes.
+function guardSocket(socket, { onAbuse }) {
+  const buckets = new Map();
+  let strikes = 0;
+  let strikeWindowStart = 0;
+  let lastWarningAt = 0;
+
+  const bucketFor = (event) => {
+    const key = EVENT_LIMITS[event] ? event : "lobby";
+    if (!buckets.has(key)) buckets.set(key, new TokenBucket(EVENT_LIMITS[event] || LOBBY_LIMIT));
+    return buckets.get(key);
+  };
+
+  // Lobby events wait on an acknowledgement; tell them why nothing happened
+  const refuse = (args, message) => {
+    const ack = args[args.length - 1];
+    if (typeof ack === "function") ack({ error: message });
+  };
+
+  const strike = (reason) => {
+    const now = Date.now();
+    if (now - strikeWindowStart > STRIKE_WINDOW_MS) {
+      strikes = 0;
+      strikeWindowStart = now;
+    }
+    strikes++;
+
+    if (strikes >= MAX_STRIKES) {
+      console.log(`[GUARD] Disconnecting ${socket.data.playerId} (${socket.data.ip}): ${reason}`);
+      onAbuse(socket, "Too many invalid or rapid messages");
+    } else if (now - lastWarningAt >= WARNING_INTERVAL_MS) {
+      lastWarningAt = now;
+      console.log(`[GUARD] Warning ${socket.data.playerId}: ${reason}`);
+      socket.emit("serverWarning", { message: "Slow down: messages from your client are being dropped" });
+    }
+  };
+
+  socket.use(([event, ...args], next) => {
+    // Over the limit or not, a disconnected socket has nothing left to say
+    if (socket.disconnected) return;
+
+    const error = validateEvent(event, args);
+    if (error) {
+      refuse(args, "Invalid request");
+      strike(`invalid message, ${error}`);
+      return;
+    }
+    if (!bucketFor(event).take()) {
+      refuse(args, "Too many requests, try again in a moment");
+      strike(`rate limit on ${event}`);
+      return;
+    }
+    next();
+  });
+}
+
+module.exports = { guardSocket, TokenBucket };
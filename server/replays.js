@@ -0,0 +1,236 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+// Match recordings. Each match a room plays is written to its own gzipped
+// JSON Lines file, one record per line, in time order:
+//
+//   { type: "header", version, roomId, roomName, startedAt, rules, players, scoreboard, race, soccer }
+//   { type: "frame", t, cars: [[netId, px, py, pz, qx, qy, qz, qw], ...], ball? }
+//   { type: "event", t, event, data }     bullets, health, scores, match state...
+//   { type: "end", t, result }            "finished", "abandoned" or "interrupted"
+//
+// `t` is milliseconds since the match started. Players are listed in the
+// header with their netId; later joins arrive as "playerJoined" events.
+// Race and soccer rooms put what their initialize payload has in `race` and
+// `soccer` (null otherwise), and soccer frames add the ball as
+// [px, py, pz, qx, qy, qz, qw].
+
+const REPLAY_VERSION = 1;
+const REPLAY_EXTENSION = ".jsonl.gz";
+const REPLAY_NAME_PATTERN = /^[A-Za-z0-9_-]+\.jsonl\.gz$/;
+// Abandoned matches shorter than this aren't worth keeping
+const MIN_ABANDONED_MS = 10000;
+
+// Room events worth keeping; everything else is per-client bookkeeping
+const RECORDED_EVENTS = new Set([
+  "bulletCreated", "bulletRemoved", "playerHealthUpdate", "scoreUpdate",
+  "matchState", "gameOver", "playerJoined", "playerLeft", "roomRules",
+  "raceStandings", "raceLap", "raceFinish", "soccerState", "soccerGoal",
+]);
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function transform({ position, rotation }) {
+  return [
+    round(position.x), round(position.y), round(position.z),
+    round(rotation.x), round(rotation.y), round(rotation.z), round(rotation.w),
+  ];
+}
+
+function rosterEntry(player) {
+  return { id: player.id, netId: player.netId, name: player.name, color: player.color };
+}
+
+// Writes one match to disk
+class MatchRecording {
+  constructor(filePath, header) {
+    this.filePath = filePath;
+    this.partPath = `${filePath}.part`;
+    this.startedAt = header.startedAt;
+    this.closed = false;
+    this.failed = false;
+    this.gzip = zlib.createGzip();
+    this.done = new Promise((resolve, reject) => {
+      const file = fs.createWriteStream(this.partPath);
+      file.on("finish", resolve);
+      file.on("error", reject);
+      this.gzip.pipe(file);
+    });
+    // The file can fail long before the match ends; stop recording then
+    // rather than leave the rejection unhandled
+    this.done.catch((error) => {
+      console.error("[REPLAY] Save failed:", error.message);
+      this.failed = true;
+      this.close();
+    });
+    this.write({ type: "header", version: REPLAY_VERSION, ...header });
+  }
+
+  // Rooms keep ticking while a shutdown closes the file; drop what comes late
+  write(record) {
+    if (this.closed) return;
+    this.gzip.write(`${JSON.stringify(record)}\n`);
+  }
+
+  frame(now, players, ball = null) {
+    const cars = Object.values(players).map((player) => [player.netId, ...transform(player)]);
+    const record = { type: "frame", t: now - this.startedAt, cars };
+    if (ball) record.ball = transform(ball);
+    this.write(record);
+  }
+
+  event(now, event, data) {
+    this.write({ type: "event", t: now - this.startedAt, event, data });
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.gzip.end();
+  }
+
+  // Resolves once the file is complete under its final name
+  finish(now, result) {
+    this.write({ type: "end", t: now - this.startedAt, result });
+    this.close();
+    return this.done.then(() => fs.promises.rename(this.partPath, this.filePath));
+  }
+
+  discard() {
+    this.close();
+    return this.done.then(() => fs.promises.unlink(this.partPath));
+  }
+}
+
+// The replay directory: starts recordings, lists finished ones and keeps at
+// most `limit` of them, deleting the oldest.
+class ReplayStore {
+  constructor(dir, { limit = 50 } = {}) {
+    this.dir = dir;
+    this.limit = limit;
+    this.active = new Set();
+  }
+
+  start(room, now = Date.now()) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const stamp = new Date(now).toISOString().replace(/[:.]/g, "-");
+    const recording = new MatchRecording(path.join(this.dir, `${stamp}-${room.id}${REPLAY_EXTENSION}`), {
+      roomId: room.id,
+      roomName: room.name,
+      startedAt: now,
+      rules: room.rules,
+      players: Object.values(room.players).map(rosterEntry),
+      scoreboard: room.scoreboard(),
+      race: room.race ? room.race.toJSON() : null,
+      soccer: room.soccer ? room.soccer.toJSON() : null,
+    });
+    this.active.add(recording);
+    return recording;
+  }
+
+  async finish(recording, result, now = Date.now()) {
+    this.active.delete(recording);
+    // Already logged when it failed
+    if (recording.failed) return;
+    try {
+      if (result === "abandoned" && now - recording.startedAt < MIN_ABANDONED_MS) {
+        await recording.discard();
+        return;
+      }
+      await recording.finish(now, result);
+      console.log(`[REPLAY] Saved ${path.basename(recording.filePath)} (${result})`);
+      await this.prune();
+    } catch (error) {
+      console.error("[REPLAY] Save failed:", error.message);
+    }
+  }
+
+  // Close everything still recording, e.g. on shutdown
+  finishAll(result = "interrupted") {
+    return Promise.all(Array.from(this.active, (recording) => this.finish(recording, result)));
+  }
+
+  // Newest first: [{ name, size, modified }]
+  async list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const replays = await Promise.all(names.filter((name) => REPLAY_NAME_PATTERN.test(name)).map(async (name) => {
+      const stats = await fs.promises.stat(path.join(this.dir, name));
+      return { name, size: stats.size, modified: stats.mtimeMs };
+    }));
+    return replays.sort((a, b) => b.modified - a.modified);
+  }
+
+  // Full path of a finished replay, or null for names that aren't one
+  resolve(name) {
+    return REPLAY_NAME_PATTERN.test(name) ? path.join(this.dir, name) : null;
+  }
+
+  async prune() {
+    const replays = await this.list();
+    for (const replay of replays.slice(this.limit)) {
+      await fs.promises.unlink(path.join(this.dir, replay.name));
+    }
+  }
+}
+
+// Follows one room's events and records a file per match: from the first
+// countdown until gameOver, or until the match is abandoned or restarted.
+class MatchRecorder {
+  constructor(room, store) {
+    this.room = room;
+    this.store = store;
+    this.recording = null;
+    this.disabled = false; // Set when the replay directory can't be used
+  }
+
+  get isRecording() {
+    return this.recording !== null;
+  }
+
+  // Called with every event the room broadcasts
+  observe(event, data, now = Date.now()) {
+    if (this.disabled) return;
+    if (event === "matchState" && data.state === "countdown" && data.round === 1) {
+      // A first-round countdown means a new match, even mid-recording (restart)
+      if (this.recording) this.stop("abandoned", now);
+      try {
+        this.recording = this.store.start(this.room, now);
+      } catch (error) {
+        console.error(`[REPLAY] Recording off for ${this.room.id}:`, error.message);
+        this.disabled = true;
+        return;
+      }
+    }
+    if (!this.recording || !RECORDED_EVENTS.has(event)) return;
+
+    this.recording.event(now, event, event === "playerJoined" ? rosterEntry(data) : data);
+
+    if (event === "gameOver") {
+      this.stop("finished", now);
+    } else if (event === "matchState" && data.state === "waiting") {
+      this.stop("abandoned", now);
+    }
+  }
+
+  frame(now, players, ball) {
+    if (this.recording) this.recording.frame(now, players, ball);
+  }
+
+  stop(result, now = Date.now()) {
+    if (!this.recording) return;
+    this.store.finish(this.recording, result, now);
+    this.recording = null;
+  }
+}
+
+module.exports = { ReplayStore, MatchRecorder, REPLAY_EXTENSION };
@@ -0,0 +1,703 @@
+const { getCarDynamics, getLandscapeBounds, ServerPhysics } = require("./physics");
+const { PositionHistory } = require("./history");
+const { createBullet, stepBullet, segmentHitsCar } = require("./bullets");
+const { Match } = require("./match");
+const { getSnapshotCodec, BandwidthStats } = require("./snapshots");
+const { config } = require("./config");
+const { PLAYER_COLORS } = require("./profiles");
+const { MovementChecker } = require("./movement");
+const { MatchRecorder } = require("./replays");
+const { BotDriver } = require("./bots");
+const { Race, getTracks } = require("./race");
+const { Soccer, getSoccer } = require("./soccer");
+
+// Defaults; each room's copy in `rules` can be changed live by an admin
+const MAX_HEALTH = 100;
+const MAX_SCORE = 3;
+const RULE_LIMITS = { maxHealth: 1000, maxScore: 100 };
+const BULLET_DAMAGE = 10;
+
+// Physics runs at a fixed tick (the shared 60 Hz step); transforms go out at
+// the configured, lower snapshot rate
+const TICK_RATE = 60;
+const TICK_MS = 1000 / TICK_RATE;
+const TICKS_PER_SNAPSHOT = Math.max(1, Math.round(TICK_RATE / config.snapshotRate));
+
+// Snapshots name cars by a small per-room number instead of the socket id
+const MAX_NET_ID = 0xffff;
+
+// How often the server measures each client's round trip for the scoreboard
+const PING_INTERVAL_MS = 2000;
+
+// Spectators per room, on top of the players
+const MAX_SPECTATORS = 16;
+
+// Shots that left the client FIRE_INTERVAL_MS apart can arrive closer
+// together after network jitter
+const FIRE_JITTER_MS = 50;
+
+// Cars spawn on a ring around the origin facing the middle, spaced so the
+// ring grows with the room size
+const SPAWN_HEIGHT = 2;
+const SPAWN_SPACING = 10;
+const MIN_SPAWN_RADIUS = 10;
+
+function spawnPoint(index, count) {
+  const radius = Math.max(MIN_SPAWN_RADIUS, (SPAWN_SPACING * count) / (2 * Math.PI));
+  const angle = Math.PI + (index / count) * Math.PI * 2;
+  const x = Math.cos(angle) * radius;
+  const z = Math.sin(angle) * radius;
+  const yaw = Math.atan2(-x, -z);
+
+  return {
+    position: { x, y: SPAWN_HEIGHT, z },
+    rotation: { x: 0, y: Math.sin(yaw / 2), z: 0, w: Math.cos(yaw / 2) },
+  };
+}
+
+// One match: its own players, bullets, scores and physics world. Everything
+// it emits goes to the Socket.IO room named after it.
+class Room {
+  constructor(io, {
+    id, name, stats, replays = null, maxPlayers = 8, quickMatch = null, roundsPerMatch,
+    botDifficulty = config.botDifficulty, mode = "deathmatch", trackId = null,
+  }) {
+    this.io = io;
+    this.id = id;
+    this.name = name;
+    this.maxPlayers = maxPlayers;
+    this.quickMatch = quickMatch; // { region, size } for matchmade rooms
+    this.stats = stats; // Lifetime stats, shared by every room
+    this.rules = { maxHealth: MAX_HEALTH, maxScore: MAX_SCORE };
+    this.channel = `room:${id}`;
+
+    this.players = {};
+    this.bullets = {};
+    this.playerCount = 0;
+    this.lastShotTimes = new Map(); // playerId -> when their last bullet was fired
+    // Bots are in `players` like everyone else; this drives them
+    this.bots = new Map(); // playerId -> BotDriver
+    this.botDifficulty = botDifficulty;
+
+    // Recent transforms per player, for lag-compensated hit checks
+    this.histories = new Map();
+    this.physics = new ServerPhysics();
+    this.movement = new MovementChecker(getLandscapeBounds());
+    this.tickCount = 0;
+    this.lastSnapshotTick = 0;
+
+    // Connected players' sockets and snapshot encoders; held players have none
+    this.connections = new Map();
+    // Same for spectators, who get every event and snapshot but have no car
+    this.spectators = new Map();
+    this.snapshotSeq = 0;
+    this.nextNetId = 1;
+    this.bandwidth = new BandwidthStats();
+    this.lastPingTime = 0;
+
+    this.match = new Match(this, { roundsPerMatch });
+    // Race rooms lap a track and soccer rooms chase a ball instead of
+    // shooting each other
+    this.mode = mode;
+    this.race = mode === "race" ? new Race(this, getTracks().getTrack(trackId)) : null;
+    this.soccer = mode === "soccer" ? new Soccer(this) : null;
+    // Writes each match to the replay directory, if there is one
+    this.recorder = replays ? new MatchRecorder(this, replays) : null;
+  }
+
+  // Bots give up their seat to anyone who wants to join
+  get isFull() {
+    return this.playerCount - this.bots.size >= this.maxPlayers;
+  }
+
+  // Not during the match countdown, nor while lining up for a kickoff
+  get allowsDriving() {
+    return this.match.allowsDriving && !(this.soccer && this.soccer.frozen);
+  }
+
+  get isEmpty() {
+    return this.playerCount === 0;
+  }
+
+  get hasSpectatorSlot() {
+    return this.spectators.size < MAX_SPECTATORS;
+  }
+
+  summary() {
+    return {
+      id: this.id,
+      name: this.name,
+      playerCount: this.playerCount,
+      maxPlayers: this.maxPlayers,
+      botCount: this.bots.size,
+      botDifficulty: this.botDifficulty,
+      mode: this.mode,
+      trackName: this.race ? this.race.track.name : null,
+      spectatorCount: this.spectators.size,
+      region: this.quickMatch ? this.quickMatch.region : null,
+      state: this.match.state,
+      roundsPerMatch: this.match.roundsPerMatch,
+      rules: this.rules,
+    };
+  }
+
+  emit(event, data) {
+    this.io.to(this.channel).emit(event, data);
+    if (this.recorder) this.recorder.observe(event, data);
+  }
+
+  // Where spawn slot `index` is: the ring, a race's start grid or a soccer
+  // kickoff spot
+  spawnFor(index) {
+    let spawn;
+    if (this.race) {
+      spawn = getTracks().gridSlot(this.race.track, index);
+    } else if (this.soccer) {
+      spawn = getSoccer().kickoffSpot(index);
+    } else {
+      return spawnPoint(index, this.maxPlayers);
+    }
+    return { position: { ...spawn.position, y: SPAWN_HEIGHT }, rotation: spawn.rotation };
+  }
+
+  // Put a player's car back on its spawn point, standing still
+  returnToSpawn(playerId) {
+    const spawn = this.spawnFor(this.players[playerId].spawnIndex);
+    this.physics.teleportCar(playerId, this.physics.placeOnGround(spawn.position), spawn.rotation);
+    this.movement.forgetPosition(playerId);
+  }
+
+  // First spawn point nobody in the room is using
+  nextSpawnIndex() {
+    const used = new Set(Object.values(this.players).map((player) => player.spawnIndex));
+    for (let i = 0; i < this.maxPlayers; i++) {
+      if (!used.has(i)) return i;
+    }
+    return this.playerCount % this.maxPlayers;
+  }
+
+  allocateNetId() {
+    const used = new Set(Object.values(this.players).map((player) => player.netId));
+    while (used.has(this.nextNetId)) {
+      this.nextNetId = (this.nextNetId % MAX_NET_ID) + 1;
+    }
+    const netId = this.nextNetId;
+    this.nextNetId = (this.nextNetId % MAX_NET_ID) + 1;
+    return netId;
+  }
+
+  connect(playerId, socket) {
+    const { SnapshotEncoder } = getSnapshotCodec();
+    this.connections.set(playerId, { socket, encoder: new SnapshotEncoder() });
+  }
+
+  // Spectators aren't players: no car, no score, not in playerCount
+  addSpectator(socket) {
+    const { SnapshotEncoder } = getSnapshotCodec();
+    this.spectators.set(socket.data.playerId, { socket, encoder: new SnapshotEncoder() });
+    socket.join(this.channel);
+
+    socket.emit("initialize", {
+      role: "spectator",
+      roomId: this.id,
+      roomName: this.name,
+      players: this.players,
+      playerCount: this.playerCount,
+      rules: this.rules,
+      match: this.match.toJSON(),
+      race: this.race ? this.race.toJSON() : null,
+      soccer: this.soccer ? this.soccer.toJSON() : null,
+    });
+    socket.emit("scoreUpdate", this.scoreboard());
+  }
+
+  removeSpectator(socket) {
+    this.spectators.delete(socket.data.playerId);
+    socket.leave(this.channel);
+  }
+
+  // Every player in a room gets their own colour, used for their car and HUD
+  // row: the one they picked if it's free, else the first free palette colour,
+  // and past the palette, spread-out hues
+  allocateColor(netId, preferred = null) {
+    const used = new Set(Object.values(this.players).map((player) => player.color));
+    if (preferred && !used.has(preferred)) return preferred;
+    const free = PLAYER_COLORS.find((color) => !used.has(color));
+    return free || `hsl(${Math.round((netId * 137.5) % 360)}, 70%, 50%)`;
+  }
+
+  // Every player's row for the scoreboard: round score, match kills/deaths, ping
+  scoreboard() {
+    return Object.values(this.players).map((player) => ({
+      id: player.id,
+      name: player.name,
+      color: player.color,
+      score: player.score,
+      kills: player.kills,
+      deaths: player.deaths,
+      ping: player.ping,
+      team: player.team,
+      disconnected: player.disconnected,
+    }));
+  }
+
+  // Change the score limit and/or max health mid-match. Returns { error } or
+  // { rules }. Health above a lowered maximum is cut down to it.
+  setRules(changes) {
+    const rules = { ...this.rules };
+    for (const key of Object.keys(RULE_LIMITS)) {
+      if (changes[key] === undefined) continue;
+      const value = changes[key];
+      if (!Number.isInteger(value) || value < 1 || value > RULE_LIMITS[key]) {
+        return { error: `${key} must be a whole number from 1 to ${RULE_LIMITS[key]}` };
+      }
+      rules[key] = value;
+    }
+    this.rules = rules;
+
+    for (const id in this.players) {
+      const player = this.players[id];
+      if (player.health > rules.maxHealth) {
+        player.health = rules.maxHealth;
+        this.emit("playerHealthUpdate", { id, health: player.health });
+      }
+    }
+    console.log(`[ADMIN] ${this.id}: rules now ${JSON.stringify(rules)}`);
+    this.emit("roomRules", rules);
+
+    // Someone may already be past a lowered score limit. Soccer rounds are
+    // played to the clock; scores there are goals.
+    const leader = Object.values(this.players).find((player) => player.score >= rules.maxScore);
+    if (leader && !this.soccer) this.match.endRound(leader.id);
+
+    return { rules };
+  }
+
+  // Who a player's lifetime stats are kept under: their name, or null for
+  // bots, which aren't counted
+  statsName(playerId) {
+    const player = this.players[playerId];
+    return player && !this.bots.has(playerId) ? player.name : null;
+  }
+
+  // A match ran to the end: count it for everyone still in the room. In
+  // soccer the winner is a team, and everyone on it won.
+  recordMatchResult(winnerId) {
+    const ids = Object.keys(this.players);
+    const winnerIds = this.soccer ? ids.filter((id) => this.players[id].team === winnerId) : [winnerId];
+    const names = ids.map((id) => this.statsName(id)).filter(Boolean);
+    this.stats.recordMatch(names, winnerIds.map((id) => this.statsName(id)).filter(Boolean));
+  }
+
+  // Round trip to each connected client, acknowledged by "latencyCheck"
+  measurePings() {
+    for (const [playerId, connection] of this.connections) {
+      const sentAt = Date.now();
+      connection.socket.timeout(PING_INTERVAL_MS).emit("latencyCheck", (error) => {
+        const player = this.players[playerId];
+        if (!error && player) player.ping = Date.now() - sentAt;
+      });
+    }
+  }
+
+  // Between rounds: zero the scores, heal everyone, clear bullets and put
+  // every car back on its spawn point. A new match also clears kills/deaths.
+  resetRound(newMatch = false) {
+    for (const bulletId in this.bullets) {
+      this.removeBullet(bulletId);
+    }
+
+    for (const id in this.players) {
+      const player = this.players[id];
+      player.health = this.rules.maxHealth;
+      player.score = 0;
+      if (newMatch) {
+        player.kills = 0;
+        player.deaths = 0;
+      }
+      this.returnToSpawn(id);
+
+      this.emit("playerHealthUpdate", { id, health: this.rules.maxHealth });
+    }
+
+    this.emit("scoreUpdate", this.scoreboard());
+    if (this.race) this.race.reset();
+    if (this.soccer) this.soccer.reset();
+  }
+
+  // The car, spawn point and scoreboard entry every player starts with
+  createPlayer(playerId, profile) {
+    this.playerCount++;
+
+    const spawnIndex = this.nextSpawnIndex();
+    const spawn = this.spawnFor(spawnIndex);
+    const spawnPosition = this.physics.placeOnGround(spawn.position);
+
+    const netId = this.allocateNetId();
+    // Soccer players wear their team's colour
+    const team = this.soccer ? getSoccer().teamForSlot(spawnIndex) : null;
+    this.players[playerId] = {
+      id: playerId,
+      netId,
+      name: profile.name,
+      color: team ? team.color : this.allocateColor(netId, profile.color),
+      team: team ? team.id : null,
+      position: spawnPosition,
+      rotation: spawn.rotation,
+      health: this.rules.maxHealth,
+      score: 0,
+      kills: 0,
+      deaths: 0,
+      ping: null,
+      spawnIndex: spawnIndex,
+      disconnected: false,
+    };
+
+    this.physics.addCar(playerId, spawnPosition, spawn.rotation);
+    this.histories.set(playerId, new PositionHistory());
+    return this.players[playerId];
+  }
+
+  // Tell the room someone arrived or left
+  announcePlayerCount() {
+    this.emit("playerCountUpdate", this.playerCount);
+    this.emit("scoreUpdate", this.scoreboard());
+    this.match.onPlayerCountChanged();
+  }
+
+  addPlayer(socket, sessionToken, profile) {
+    const playerId = socket.data.playerId;
+    const player = this.createPlayer(playerId, profile);
+
+    socket.join(this.channel);
+    this.connect(playerId, socket);
+    this.sendInitialize(socket, playerId, sessionToken);
+
+    socket.to(this.channel).emit("playerJoined", player);
+    if (this.recorder) this.recorder.observe("playerJoined", player);
+    this.announcePlayerCount();
+  }
+
+  // A bot is a player with no socket: clients see it join like anyone else,
+  // and its BotDriver sends its inputs from the server loop
+  addBot(playerId, profile, difficulty = this.botDifficulty) {
+    const player = this.createPlayer(playerId, profile);
+    this.bots.set(playerId, new BotDriver(this, playerId, difficulty));
+
+    this.emit("playerJoined", player);
+    this.announcePlayerCount();
+  }
+
+  sendInitialize(socket, playerId, sessionToken) {
+    const player = this.players[playerId];
+    socket.emit("initialize", {
+      role: "player",
+      id: playerId,
+      sessionToken,
+      roomId: this.id,
+      roomName: this.name,
+      players: this.players,
+      position: player.position,
+      rotation: player.rotation,
+      health: player.health,
+      score: player.score,
+      playerCount: this.playerCount,
+      rules: this.rules,
+      match: this.match.toJSON(),
+      race: this.race ? this.race.toJSON() : null,
+      soccer: this.soccer ? this.soccer.toJSON() : null,
+    });
+  }
+
+  // The player's connection dropped: keep their car, score and health in
+  // place (coasting, no controls) so a reconnect can pick them back up
+  holdPlayer(playerId) {
+    const player = this.players[playerId];
+    if (!player) return;
+
+    player.disconnected = true;
+    player.ping = null;
+    this.connections.delete(playerId);
+    this.physics.resetInputs(playerId);
+    this.emit("playerDisconnected", { id: playerId });
+    this.emit("scoreUpdate", this.scoreboard());
+  }
+
+  resumePlayer(socket, sessionToken) {
+    const playerId = socket.data.playerId;
+    const player = this.players[playerId];
+    if (!player) return;
+
+    player.disconnected = false;
+    this.physics.resetInputs(playerId);
+
+    socket.join(this.channel);
+    this.connect(playerId, socket);
+    this.sendInitialize(socket, playerId, sessionToken);
+    socket.to(this.channel).emit("playerReconnected", { id: playerId });
+    this.emit("scoreUpdate", this.scoreboard());
+  }
+
+  // `socket` is null when a held player's grace period ran out
+  removePlayer(playerId, socket = null) {
+    if (!this.players[playerId]) return;
+
+    this.physics.removeCar(playerId);
+    this.histories.delete(playerId);
+    this.connections.delete(playerId);
+    this.lastShotTimes.delete(playerId);
+    this.movement.remove(playerId);
+    this.bots.delete(playerId);
+    if (this.race) this.race.removePlayer(playerId);
+    if (this.soccer) this.soccer.removePlayer(playerId);
+    delete this.players[playerId];
+    this.playerCount--;
+
+    if (socket) socket.leave(this.channel);
+    this.emit("playerLeft", playerId);
+    this.announcePlayerCount();
+  }
+
+  // Clients only send their inputs; the server decides where the car goes
+  handleInput(playerId, inputs) {
+    if (!this.players[playerId] || !Array.isArray(inputs)) return;
+
+    // Still acknowledge inputs during the countdown or a kickoff, just don't drive
+    if (!this.allowsDriving) {
+      inputs = inputs.map((input) => ({ seq: input && input.seq }));
+    }
+    this.physics.queueInputs(playerId, inputs);
+  }
+
+  fireBullet(playerId, data) {
+    // No guns in races or soccer
+    if (!this.match.allowsShooting || this.race || this.soccer) return;
+
+    const carState = this.physics.getCarState(playerId);
+    if (!carState || !data) return;
+
+    const now = Date.now();
+    const { FIRE_INTERVAL_MS } = getCarDynamics();
+    if (now - (this.lastShotTimes.get(playerId) || 0) < FIRE_INTERVAL_MS - FIRE_JITTER_MS) return;
+    this.lastShotTimes.set(playerId, now);
+
+    // Keep the shooter's id so it can match the server's bullet to its own
+    const bulletId = typeof data.id === "string" && data.id.startsWith(`${playerId}-`) && !this.bullets[data.id]
+      ? data.id
+      : `${playerId}-${now}`;
+
+    const bullet = createBullet(bulletId, playerId, carState, data, now);
+    this.bullets[bulletId] = bullet;
+    this.stats.recordShot(this.statsName(playerId));
+    this.emit("bulletCreated", {
+      id: bullet.id,
+      position: bullet.position,
+      velocity: bullet.velocity,
+      owner: bullet.owner,
+    });
+  }
+
+  removeBullet(bulletId) {
+    delete this.bullets[bulletId];
+    this.emit("bulletRemoved", bulletId);
+  }
+
+  applyBulletHit(bullet, hitPlayerId) {
+    const players = this.players;
+    const attackerId = bullet.owner;
+    this.removeBullet(bullet.id);
+
+    if (players[attackerId]) {
+      this.stats.recordHit(this.statsName(attackerId));
+    }
+
+    // Reduce health
+    players[hitPlayerId].health -= BULLET_DAMAGE;
+
+    // Emit health update to all clients
+    this.emit("playerHealthUpdate", {
+      id: hitPlayerId,
+      health: players[hitPlayerId].health,
+    });
+
+    // Check if player was eliminated
+    if (players[hitPlayerId].health <= 0) {
+      // Reset the eliminated player's health
+      players[hitPlayerId].health = this.rules.maxHealth;
+
+      // Kills only score during a live round (not warm-up)
+      if (this.match.isLive && players[attackerId]) {
+        const attackerScore = players[attackerId].score + 1;
+        players[attackerId].score = attackerScore;
+        players[attackerId].kills++;
+        players[hitPlayerId].deaths++;
+        this.stats.recordKill(this.statsName(attackerId), this.statsName(hitPlayerId));
+
+        console.log(`[SCORE] ${this.id}: ${attackerId} scored. New score: ${attackerScore}`);
+
+        // Emit score updates to all clients
+        this.emit("scoreUpdate", this.scoreboard());
+
+        // The round is over once someone reaches the limit
+        if (attackerScore >= this.rules.maxScore) {
+          console.log(`[ROUND OVER] ${this.id}: Player ${attackerId} won with ${attackerScore} points!`);
+          this.match.endRound(attackerId);
+        }
+      }
+
+      // Emit health reset
+      this.emit("playerHealthUpdate", {
+        id: hitPlayerId,
+        health: players[hitPlayerId].health,
+      });
+    }
+  }
+
+  // Move every bullet one physics step and resolve what it hit. Targets are
+  // checked where they were when the shooter saw them, not where they are now.
+  stepBullets(now) {
+    const { BULLET_LIFETIME } = getCarDynamics();
+
+    for (const bulletId in this.bullets) {
+      const bullet = this.bullets[bulletId];
+      if (now - bullet.spawnTime > BULLET_LIFETIME) {
+        this.removeBullet(bulletId);
+        continue;
+      }
+
+      const { from, to } = stepBullet(bullet, TICK_MS / 1000);
+
+      let hitPlayerId = null;
+      for (const id in this.players) {
+        if (id === bullet.owner) continue;
+
+        const target = this.histories.get(id)?.sample(now - bullet.rewind);
+        if (target && segmentHitsCar(from, to, target)) {
+          hitPlayerId = id;
+          break;
+        }
+      }
+
+      if (hitPlayerId) {
+        this.applyBulletHit(bullet, hitPlayerId);
+      } else if (this.physics.raycastGround(from, to)) {
+        this.removeBullet(bulletId);
+      }
+    }
+  }
+
+  // Put a car that failed the movement checks somewhere sane and flag its player
+  correctMovement(playerId, { reason, fix }, now) {
+    const player = this.players[playerId];
+    const flags = this.movement.flag(playerId, reason, now);
+    console.log(`[MOVE] ${this.id}: ${player.name} (${playerId}) ${reason}; ${fix} (flag #${flags.count})`);
+
+    const previous = this.movement.lastGoodPosition(playerId);
+    if (fix === "normalize") {
+      const q = this.physics.getCarState(playerId).rotation;
+      const length = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z + q.w * q.w);
+      this.physics.setCarRotation(playerId, { x: q.x / length, y: q.y / length, z: q.z / length, w: q.w / length });
+    } else if (fix === "rewind" && previous) {
+      this.physics.teleportCar(playerId, previous, this.physics.getCarState(playerId).rotation);
+    } else {
+      this.returnToSpawn(playerId);
+    }
+  }
+
+  acknowledgeSnapshot(playerId, seq) {
+    const connection = this.connections.get(playerId) || this.spectators.get(playerId);
+    if (connection && Number.isInteger(seq)) {
+      connection.encoder.acknowledge(seq);
+    }
+  }
+
+  // One binary "worldSnapshot" per client, delta-encoded against the last
+  // snapshot that client acknowledged
+  broadcastSnapshot() {
+    const { quantizeEntity } = getSnapshotCodec();
+    const timestamp = Date.now();
+    const seq = ++this.snapshotSeq;
+
+    const entities = new Map();
+    const ball = this.soccer ? this.physics.getBallState() : null;
+    if (ball) entities.set(getSoccer().BALL_NET_ID, quantizeEntity(ball));
+    for (const id in this.players) {
+      const player = this.players[id];
+      entities.set(player.netId, quantizeEntity(player));
+    }
+
+    let binaryBytes = 0;
+    for (const [playerId, connection] of this.connections) {
+      // The owner replays any of its inputs newer than this
+      const ackInput = this.players[playerId].lastProcessedInput || 0;
+      const buffer = connection.encoder.encode(seq, timestamp, ackInput, entities);
+      connection.socket.emit("worldSnapshot", buffer);
+      binaryBytes += buffer.byteLength;
+    }
+    for (const spectator of this.spectators.values()) {
+      const buffer = spectator.encoder.encode(seq, timestamp, 0, entities);
+      spectator.socket.emit("worldSnapshot", buffer);
+      binaryBytes += buffer.byteLength;
+    }
+
+    // The old protocol relayed each car's update to every client but its
+    // own, once per client frame: taken as one per physics tick, the rate
+    // clients send inputs at now
+    const viewers = this.connections.size + this.spectators.size;
+    this.bandwidth.record(binaryBytes, TICKS_PER_SNAPSHOT * (this.playerCount * viewers - this.connections.size));
+    if (this.recorder) this.recorder.frame(timestamp, this.players, ball);
+  }
+
+  // Run `steps` fixed physics steps, then publish the result
+  update(now, steps) {
+    this.match.update(now);
+
+    if (now - this.lastPingTime >= PING_INTERVAL_MS) {
+      this.lastPingTime = now;
+      this.measurePings();
+      this.emit("scoreUpdate", this.scoreboard());
+    }
+
+    if (steps > 0) {
+      for (const bot of this.bots.values()) bot.update(now);
+    }
+
+    for (let i = 0; i < steps; i++) {
+      this.physics.step();
+      this.stepBullets(now);
+      this.tickCount++;
+    }
+
+    for (const id in this.players) {
+      let state = this.physics.getCarState(id);
+      const problem = this.movement.check(id, state, steps * TICK_MS);
+      if (problem) {
+        this.correctMovement(id, problem, now);
+        state = this.physics.getCarState(id);
+      }
+      if (state) {
+        Object.assign(this.players[id], state);
+        this.histories.get(id).record(now, state.position, state.rotation);
+      }
+    }
+
+    if (this.race) this.race.update(now);
+    if (this.soccer) this.soccer.update(now);
+
+    if (this.tickCount - this.lastSnapshotTick >= TICKS_PER_SNAPSHOT) {
+      this.lastSnapshotTick = this.tickCount;
+      this.broadcastSnapshot();
+    }
+
+    // Rates for /metrics
+    const [sample] = Object.values(this.players);
+    this.bandwidth.report(now, sample);
+  }
+
+  dispose() {
+    if (this.recorder) this.recorder.stop("abandoned");
+    this.physics.free();
+  }
+}
+
+module.exports = { Room, TICK_MS };
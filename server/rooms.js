@@ -0,0 +1,385 @@
+const EventEmitter = require("events");
+const { Room, TICK_MS } = require("./room");
+const { SessionStore } = require("./sessions");
+const { ProfileRegistry } = require("./profiles");
+const { StatsTracker, MemoryStatsStorage } = require("./stats");
+const { config } = require("./config");
+const { DIFFICULTIES, BOT_NAMES } = require("./bots");
+const { getTracks } = require("./race");
+
+const LOBBY_CHANNEL = "lobby";
+const DEFAULT_ROOM_NAME = "Main";
+const MAX_ROOM_NAME_LENGTH = 32;
+const MAX_ROUNDS_PER_MATCH = 9;
+const ROOM_MODES = ["deathmatch", "race", "soccer"];
+
+// All rooms on this server, plus the lobby: sockets that haven't joined a
+// room yet sit in the lobby channel and get the room list pushed to them.
+// Emits "playerLeft" (room) after someone leaves a room. A dropped connection
+// only holds the player's slot; they leave once the session's grace period ends.
+// Sockets that connected as spectators (socket.data.role) watch rooms instead
+// of playing in them. Rooms with people in them are topped up with bots to
+// `botMinPlayers`; bots leave again as people join.
+class RoomManager extends EventEmitter {
+  constructor(io, {
+    stats = new StatsTracker(new MemoryStatsStorage()), metrics = null, replays = null,
+    botMinPlayers = config.botMinPlayers,
+  } = {}) {
+    super();
+    this.io = io;
+    this.stats = stats;
+    this.replays = replays;
+    this.metrics = metrics;
+    this.rooms = new Map();
+    this.sessions = new SessionStore({ graceMs: config.sessionGraceMs });
+    this.profiles = new ProfileRegistry();
+    this.botMinPlayers = botMinPlayers;
+    this.nextRoomNumber = 1;
+    this.nextBotNumber = 1;
+    this.timer = null;
+    this.lastTickTime = 0;
+    this.tickAccumulator = 0;
+
+    // Always keep one room around for players who just want to drive
+    this.defaultRoom = this.addRoom(DEFAULT_ROOM_NAME);
+  }
+
+  addRoom(name, options = {}) {
+    const id = `room-${this.nextRoomNumber++}`;
+    const room = new Room(this.io, { id, name, stats: this.stats, replays: this.replays, ...options });
+    this.rooms.set(id, room);
+    return room;
+  }
+
+  list() {
+    return Array.from(this.rooms.values()).map((room) => room.summary());
+  }
+
+  roomOf(socket) {
+    return this.rooms.get(socket.data.roomId) || null;
+  }
+
+  broadcastRoomList() {
+    this.io.to(LOBBY_CHANNEL).emit("roomList", this.list());
+  }
+
+  enterLobby(socket) {
+    socket.join(LOBBY_CHANNEL);
+    socket.emit("roomList", this.list());
+  }
+
+  // Returns { error } or { room }. Race rooms need a trackId.
+  createRoom(socket, name, { rounds, botDifficulty = config.botDifficulty, mode = "deathmatch", trackId } = {}) {
+    if (socket.data.role === "spectator") return { error: "Spectators can only watch existing rooms" };
+    if (!this.profiles.get(socket.data.playerId)) return { error: "Choose a name first" };
+
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    if (!trimmed || trimmed.length > MAX_ROOM_NAME_LENGTH) {
+      return { error: `Room names must be 1-${MAX_ROOM_NAME_LENGTH} characters` };
+    }
+
+    const taken = Array.from(this.rooms.values())
+      .some((room) => room.name.toLowerCase() === trimmed.toLowerCase());
+    if (taken) {
+      return { error: "A room with that name already exists" };
+    }
+
+    if (rounds !== undefined && !(Number.isInteger(rounds) && rounds >= 1 && rounds <= MAX_ROUNDS_PER_MATCH)) {
+      return { error: `Rounds per match must be 1-${MAX_ROUNDS_PER_MATCH}` };
+    }
+
+    if (!Object.hasOwn(DIFFICULTIES, botDifficulty)) {
+      return { error: `Bot difficulty must be one of ${Object.keys(DIFFICULTIES).join(", ")}` };
+    }
+
+    if (!ROOM_MODES.includes(mode)) {
+      return { error: `Mode must be one of ${ROOM_MODES.join(", ")}` };
+    }
+    const { getTrack, DEFAULT_TRACK_ID } = getTracks();
+    if (mode === "race" && !getTrack(trackId || DEFAULT_TRACK_ID)) {
+      return { error: "Unknown track" };
+    }
+
+    const room = this.addRoom(trimmed, {
+      roundsPerMatch: rounds,
+      botDifficulty,
+      mode,
+      trackId: mode === "race" ? trackId || DEFAULT_TRACK_ID : null,
+    });
+    console.log(`[ROOM] ${socket.data.playerId} created ${room.id} (${room.name})`);
+    return this.joinRoom(socket, room.id);
+  }
+
+  // Returns { error } or { room }
+  joinRoom(socket, roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return { error: "Room not found" };
+    if (socket.data.roomId === roomId) return { room };
+    if (socket.data.role === "spectator") return this.spectateRoom(socket, room);
+
+    const profile = this.profiles.get(socket.data.playerId);
+    if (!profile) return { error: "Choose a name first" };
+    if (room.isFull) return { error: "Room is full" };
+
+    this.leaveRoom(socket);
+    socket.leave(LOBBY_CHANNEL);
+    // A bot makes way if the seats are all taken
+    if (room.playerCount >= room.maxPlayers) this.removeBot(room);
+    socket.data.roomId = room.id;
+    room.addPlayer(socket, this.sessions.create(socket.data.playerId, room.id), profile);
+    this.balanceBots(room);
+    this.broadcastRoomList();
+    return { room };
+  }
+
+  // Returns { error } or { room }
+  spectateRoom(socket, room) {
+    if (!room.hasSpectatorSlot) return { error: "Room has no spectator slots left" };
+
+    this.leaveRoom(socket);
+    socket.leave(LOBBY_CHANNEL);
+    socket.data.roomId = room.id;
+    room.addSpectator(socket);
+    this.broadcastRoomList();
+    return { room };
+  }
+
+  leaveRoom(socket) {
+    const room = this.roomOf(socket);
+    if (!room) return;
+
+    if (socket.data.role === "spectator") {
+      socket.data.roomId = null;
+      room.removeSpectator(socket);
+      this.broadcastRoomList();
+      return;
+    }
+
+    const session = this.sessions.findByPlayer(socket.data.playerId);
+    if (session) this.sessions.delete(session);
+
+    socket.data.roomId = null;
+    this.removePlayer(room, socket.data.playerId, socket);
+  }
+
+  // The socket is gone but the player may come back with their session token
+  dropConnection(socket) {
+    const room = this.roomOf(socket);
+    // Spectators have no session, so they just leave
+    const session = room && this.sessions.findByPlayer(socket.data.playerId);
+    if (!session) {
+      this.leaveRoom(socket);
+      this.profiles.release(socket.data.playerId);
+      return;
+    }
+
+    socket.data.roomId = null;
+    room.holdPlayer(session.playerId);
+    console.log(`[SESSION] Holding ${session.playerId} in ${room.id}`);
+
+    this.sessions.hold(session, () => {
+      const heldRoom = this.rooms.get(session.roomId);
+      console.log(`[SESSION] ${session.playerId} did not come back`);
+      if (heldRoom) this.removePlayer(heldRoom, session.playerId, null);
+      this.profiles.release(session.playerId);
+    });
+  }
+
+  // Put a reconnecting socket back into its held slot. Returns the room, or
+  // null if the token is unknown, expired or still in use.
+  resumeSession(socket, token) {
+    const session = this.sessions.get(token);
+    if (!session || !this.sessions.isHeld(session)) return null;
+
+    const room = this.rooms.get(session.roomId);
+    if (!room || !room.players[session.playerId]) {
+      this.sessions.delete(session);
+      return null;
+    }
+
+    this.sessions.release(session);
+    socket.data.playerId = session.playerId;
+    socket.data.roomId = room.id;
+    room.resumePlayer(socket, session.token);
+    console.log(`[SESSION] ${session.playerId} resumed in ${room.id}`);
+    return room;
+  }
+
+  // The connected socket currently playing as this player id, if any
+  findSocket(playerId) {
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (socket.data.playerId === playerId) return socket;
+    }
+    return null;
+  }
+
+  // Everyone on the server: connected sockets (in a room or the lobby) plus
+  // players whose slot is held for a reconnect
+  listPlayers() {
+    const players = [];
+    for (const socket of this.io.sockets.sockets.values()) {
+      const profile = this.profiles.get(socket.data.playerId);
+      const room = this.roomOf(socket);
+      const player = room ? room.players[socket.data.playerId] : null;
+      players.push({
+        id: socket.data.playerId,
+        name: profile ? profile.name : null,
+        ip: socket.data.ip,
+        roomId: room ? room.id : null,
+        role: socket.data.role,
+        connected: true,
+        health: player ? player.health : null,
+        score: player ? player.score : null,
+        ping: player ? player.ping : null,
+        movementFlags: player ? room.movement.flagsFor(player.id) : null,
+      });
+    }
+    for (const room of this.rooms.values()) {
+      for (const player of Object.values(room.players)) {
+        if (!player.disconnected) continue;
+        players.push({
+          id: player.id,
+          name: player.name,
+          ip: null,
+          roomId: room.id,
+          role: "player",
+          connected: false,
+          health: player.health,
+          score: player.score,
+          ping: null,
+          movementFlags: room.movement.flagsFor(player.id),
+        });
+      }
+      for (const id of room.bots.keys()) {
+        const player = room.players[id];
+        players.push({
+          id,
+          name: player.name,
+          ip: null,
+          roomId: room.id,
+          role: "bot",
+          connected: true,
+          health: player.health,
+          score: player.score,
+          ping: null,
+          movementFlags: room.movement.flagsFor(id),
+        });
+      }
+    }
+    return players;
+  }
+
+  // Remove a player for good: no held slot, no reconnect. Returns false if
+  // nobody by that id is on the server.
+  kick(playerId, reason = "") {
+    const socket = this.findSocket(playerId);
+    if (socket) {
+      this.leaveRoom(socket);
+      socket.emit("kicked", { reason });
+      socket.disconnect(true);
+      console.log(`[ROOMS] Kicked ${playerId}${reason ? `: ${reason}` : ""}`);
+      return true;
+    }
+
+    const session = this.sessions.findByPlayer(playerId);
+    if (!session) return false;
+
+    const room = this.rooms.get(session.roomId);
+    this.sessions.delete(session);
+    if (room) this.removePlayer(room, playerId, null);
+    this.profiles.release(playerId);
+    console.log(`[ROOMS] Removed held player ${playerId}`);
+    return true;
+  }
+
+  removePlayer(room, playerId, socket) {
+    room.removePlayer(playerId, socket);
+    this.balanceBots(room);
+
+    // Player-made rooms go away with their last player, sending any
+    // spectators back to the lobby
+    if (room.isEmpty && room !== this.defaultRoom) {
+      for (const { socket: spectator } of room.spectators.values()) {
+        room.removeSpectator(spectator);
+        spectator.data.roomId = null;
+        spectator.emit("roomClosed", { roomId: room.id });
+        this.enterLobby(spectator);
+      }
+      room.dispose();
+      this.rooms.delete(room.id);
+      console.log(`[ROOM] Closed empty room ${room.id}`);
+    }
+    this.broadcastRoomList();
+    this.emit("playerLeft", room);
+  }
+
+  // Top the room up with bots to botMinPlayers, or send extras home. Held
+  // players count as people; a room with no people in it has no bots.
+  balanceBots(room) {
+    const people = room.playerCount - room.bots.size;
+    const wanted = people > 0 ? Math.max(0, Math.min(this.botMinPlayers, room.maxPlayers) - people) : 0;
+    while (room.bots.size > wanted) this.removeBot(room);
+    while (room.bots.size < wanted) {
+      if (!this.addBot(room)) break;
+    }
+  }
+
+  // Returns false if no bot name was free
+  addBot(room) {
+    const number = this.nextBotNumber++;
+    const id = `bot-${number}`;
+    // Bot names go through the registry too, so they never clash with a person's
+    let profile = null;
+    for (const name of [...BOT_NAMES, `Bot ${number}`]) {
+      profile = this.profiles.set(id, { name }).profile;
+      if (profile) break;
+    }
+    if (!profile) return false;
+
+    room.addBot(id, profile);
+    console.log(`[BOTS] ${profile.name} (${id}, ${room.botDifficulty}) joined ${room.id}`);
+    return true;
+  }
+
+  // The most recent bot leaves
+  removeBot(room) {
+    const id = Array.from(room.bots.keys()).pop();
+    if (!id) return;
+    room.removePlayer(id);
+    this.profiles.release(id);
+    console.log(`[BOTS] ${id} left ${room.id}`);
+  }
+
+  start() {
+    this.lastTickTime = Date.now();
+    this.timer = setInterval(() => this.tick(), 1000 / config.loopRate);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.sessions.clear();
+  }
+
+  tick() {
+    const started = process.hrtime.bigint();
+    const now = Date.now();
+    // Cap the backlog so a stalled process doesn't spiral trying to catch up
+    const maxBacklog = TICK_MS * Math.max(5, Math.ceil(1000 / config.loopRate / TICK_MS) + 1);
+    this.tickAccumulator = Math.min(this.tickAccumulator + now - this.lastTickTime, maxBacklog);
+    this.lastTickTime = now;
+
+    const steps = Math.floor(this.tickAccumulator / TICK_MS);
+    this.tickAccumulator -= steps * TICK_MS;
+
+    for (const room of this.rooms.values()) {
+      room.update(now, steps);
+    }
+
+    if (this.metrics) {
+      this.metrics.observeTick(Number(process.hrtime.bigint() - started) / 1e9, now);
+    }
+  }
+}
+
+module.exports = { RoomManager };
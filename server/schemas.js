@@ -0,0 +1,107 @@
+// Payload shapes for every event a client may send. A schema is a function
+// that returns null for a valid value, or a message naming what's wrong.
+// Socket.IO acknowledgement callbacks are stripped before checking.
+
+const MAX_ID_LENGTH = 64;
+const MAX_INPUTS_PER_MESSAGE = 120;
+const MAX_COORDINATE = 1e5;
+
+function string(maxLength = MAX_ID_LENGTH) {
+  return (value) => {
+    if (typeof value !== "string") return "must be a string";
+    return value.length > maxLength ? `must be at most ${maxLength} characters` : null;
+  };
+}
+
+function number({ min = -Infinity, max = Infinity, integer = false } = {}) {
+  return (value) => {
+    if (typeof value !== "number" || !Number.isFinite(value)) return "must be a finite number";
+    if (integer && !Number.isInteger(value)) return "must be a whole number";
+    return value < min || value > max ? `must be between ${min} and ${max}` : null;
+  };
+}
+
+function boolean() {
+  return (value) => (typeof value === "boolean" ? null : "must be true or false");
+}
+
+function optional(schema) {
+  return (value) => (value === undefined || value === null ? null : schema(value));
+}
+
+// Unknown keys are allowed; only the listed ones are checked
+function object(fields) {
+  return (value) => {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) return "must be an object";
+    for (const [key, schema] of Object.entries(fields)) {
+      const error = schema(value[key]);
+      if (error) return `${key} ${error}`;
+    }
+    return null;
+  };
+}
+
+function array(items, maxLength) {
+  return (value) => {
+    if (!Array.isArray(value)) return "must be an array";
+    if (value.length > maxLength) return `must have at most ${maxLength} entries`;
+    for (let i = 0; i < value.length; i++) {
+      const error = items(value[i]);
+      if (error) return `[${i}] ${error}`;
+    }
+    return null;
+  };
+}
+
+const coordinate = number({ min: -MAX_COORDINATE, max: MAX_COORDINATE });
+const vector = object({ x: coordinate, y: coordinate, z: coordinate });
+const sequence = number({ min: 0, max: 0xffffffff, integer: true });
+
+// Event name -> schemas for its arguments, in order
+const EVENT_SCHEMAS = {
+  setProfile: [object({ name: string(), color: optional(string(16)) })],
+  listRooms: [],
+  createRoom: [optional(object({
+    name: optional(string()),
+    rounds: optional(number({ integer: true })),
+    botDifficulty: optional(string(16)),
+    mode: optional(string(16)),
+    trackId: optional(string(32)),
+  }))],
+  joinRoom: [object({ roomId: string() })],
+  quickMatch: [optional(object({ region: optional(string(16)), size: optional(number({ integer: true })) }))],
+  cancelQuickMatch: [],
+  leaveRoom: [],
+  playerInput: [array(object({
+    seq: sequence,
+    w: optional(boolean()),
+    s: optional(boolean()),
+    a: optional(boolean()),
+    d: optional(boolean()),
+    f: optional(boolean()),
+  }), MAX_INPUTS_PER_MESSAGE)],
+  createBullet: [object({
+    id: optional(string()),
+    position: vector,
+    velocity: vector,
+    viewTime: optional(number({ min: 0 })),
+  })],
+  snapshotAck: [sequence],
+  bulletHit: [object({ bulletId: string(), hitPlayerId: string(), attackerId: optional(string()) })],
+};
+
+// Returns null if the event and its arguments are acceptable
+function validateEvent(event, args) {
+  const schemas = EVENT_SCHEMAS[event];
+  if (!schemas) return `unknown event "${event}"`;
+
+  const data = typeof args[args.length - 1] === "function" ? args.slice(0, -1) : args;
+  if (data.length > schemas.length) return `${event}: too many arguments`;
+  for (let i = 0; i < schemas.length; i++) {
+    const error = schemas[i](data[i]);
+    if (error) return `${event}: ${schemas.length > 1 ? `argument ${i + 1} ` : ""}${error}`;
+  }
+  return null;
+}
+
+module.exports = { validateEvent, EVENT_SCHEMAS };
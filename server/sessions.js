@@ -0,0 +1,61 @@
+const crypto = require("crypto");
+
+const SESSION_GRACE_MS = 30000;
+
+// Session tokens let a player who dropped get their slot back. A token is
+// handed out in "initialize"; after a disconnect the slot is held for
+// SESSION_GRACE_MS, and connecting with the token inside that window resumes it.
+class SessionStore {
+  constructor({ graceMs = SESSION_GRACE_MS } = {}) {
+    this.graceMs = graceMs;
+    this.sessions = new Map(); // token -> { token, playerId, roomId, expiryTimer }
+  }
+
+  create(playerId, roomId) {
+    const token = crypto.randomBytes(16).toString("hex");
+    this.sessions.set(token, { token, playerId, roomId, expiryTimer: null });
+    return token;
+  }
+
+  get(token) {
+    return typeof token === "string" ? this.sessions.get(token) || null : null;
+  }
+
+  findByPlayer(playerId) {
+    for (const session of this.sessions.values()) {
+      if (session.playerId === playerId) return session;
+    }
+    return null;
+  }
+
+  isHeld(session) {
+    return session.expiryTimer !== null;
+  }
+
+  // Start the grace period; onExpire runs if nobody resumes in time
+  hold(session, onExpire) {
+    this.release(session);
+    session.expiryTimer = setTimeout(() => {
+      this.sessions.delete(session.token);
+      onExpire(session);
+    }, this.graceMs);
+  }
+
+  // Stop the grace period, e.g. because the player came back
+  release(session) {
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = null;
+  }
+
+  delete(session) {
+    this.release(session);
+    this.sessions.delete(session.token);
+  }
+
+  clear() {
+    for (const session of this.sessions.values()) this.release(session);
+    this.sessions.clear();
+  }
+}
+
+module.exports = { SessionStore, SESSION_GRACE_MS };
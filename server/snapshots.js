@@ -0,0 +1,69 @@
+// World snapshots go out in the binary, delta-compressed format from the
+// shared codec. This loads the codec and keeps bandwidth numbers for
+// /metrics, including what the same movement would have cost in the JSON
+// protocol snapshots replaced, so the two can be compared.
+
+const STATS_INTERVAL_MS = 10000;
+
+let codec = null;
+let ready = null;
+
+function initSnapshots() {
+  if (!ready) {
+    ready = import("../public/shared/snapshotCodec.mjs").then((module) => {
+      codec = module;
+    });
+  }
+  return ready;
+}
+
+// The browser/server shared codec, once initSnapshots() has resolved
+function getSnapshotCodec() {
+  return codec;
+}
+
+// One car's update in the old protocol: every client sent "updatePosition"
+// once per rendered frame, and the server relayed it to every other client
+// as two "playerMoved" messages, the second with a timestamp
+function jsonUpdateBytes({ id, position, rotation }, timestamp) {
+  const moved = { id, position, rotation };
+  return JSON.stringify(moved).length + JSON.stringify({ ...moved, timestamp }).length;
+}
+
+class BandwidthStats {
+  constructor() {
+    this.binaryBytes = 0;
+    this.relayedUpdates = 0; // Old-protocol updates, see jsonUpdateBytes()
+    this.snapshots = 0;
+    this.windowStart = Date.now();
+    this.last = null; // Per-second rates over the last finished window
+  }
+
+  record(binaryBytes, relayedUpdates) {
+    this.binaryBytes += binaryBytes;
+    this.relayedUpdates += relayedUpdates;
+    this.snapshots++;
+  }
+
+  // Closes the current window every STATS_INTERVAL_MS; returns the rates
+  // when it does, null otherwise. The JSON rate is priced from one real
+  // car's update, `sample`, rather than every car on every snapshot.
+  report(now, sample = null) {
+    const elapsed = now - this.windowStart;
+    if (elapsed < STATS_INTERVAL_MS) return null;
+
+    const seconds = elapsed / 1000;
+    this.last = {
+      binaryBytesPerSecond: Math.round(this.binaryBytes / seconds),
+      jsonBytesPerSecond: sample ? Math.round((this.relayedUpdates * jsonUpdateBytes(sample, now)) / seconds) : 0,
+      snapshotsPerSecond: Math.round(this.snapshots / seconds),
+    };
+    this.binaryBytes = 0;
+    this.relayedUpdates = 0;
+    this.snapshots = 0;
+    this.windowStart = now;
+    return this.last;
+  }
+}
+
+module.exports = { initSnapshots, getSnapshotCodec, BandwidthStats };
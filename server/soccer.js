@@ -0,0 +1,190 @@
+// Soccer mode: two teams of cars push a big ball into each other's goal.
+// The ball is a body in the room's physics world, as authoritative as the
+// cars, and goes out in world snapshots as entity BALL_NET_ID. Teams come
+// from spawn slots. The server broadcasts:
+//
+//   soccerState  { score: { blue, orange }, clockEndsAt, overtime, frozenUntil }
+//                whenever any of it changes
+//   soccerGoal   { team, scorerId, score }
+//                scorerId is whoever on the scoring team touched the ball
+//                last, or null for an own goal
+//
+// A round is ROUND_SECONDS of play from the match going live. The team ahead
+// when the clock runs out wins it; a draw goes to the next goal.
+
+const ROUND_SECONDS = 180;
+// After a goal the ball is dead for a moment, then everyone lines up again
+const GOAL_PAUSE_MS = 3000;
+// Cars can't drive for this long after lining up for a kickoff
+const KICKOFF_FREEZE_MS = 2000;
+// The ball is dropped onto the centre spot from this high
+const BALL_DROP_HEIGHT = 2;
+// A car this close (centre to centre) is touching the ball: its half length
+// plus the ball's radius, and a little
+const TOUCH_MARGIN = 7;
+
+let soccer = null;
+let ready = null;
+
+function initSoccer() {
+  if (!ready) {
+    ready = import("../public/shared/soccer.mjs").then((module) => {
+      soccer = module;
+    });
+  }
+  return ready;
+}
+
+// The browser/server shared soccer module, once initSoccer() has resolved
+function getSoccer() {
+  return soccer;
+}
+
+class Soccer {
+  constructor(room) {
+    this.room = room;
+    // Goals get the ground height under them so clients can draw them
+    this.goals = soccer.GOALS.map((goal) => ({ ...goal, y: room.physics.groundHeight(goal.x, goal.z) ?? 0 }));
+    room.physics.addBall(this.centreSpot(), soccer.BALL_RADIUS, soccer.BALL_BODY_SETTINGS);
+    this.reset();
+  }
+
+  centreSpot() {
+    const ground = this.room.physics.groundHeight(0, 0) ?? 0;
+    return { x: 0, y: ground + soccer.BALL_RADIUS + BALL_DROP_HEIGHT, z: 0 };
+  }
+
+  // A new round: no goals, ball on the spot, and the clock stopped until
+  // the match goes live
+  reset() {
+    this.score = Object.fromEntries(soccer.TEAMS.map((team) => [team.id, 0]));
+    this.clockEndsAt = null;
+    this.overtime = false;
+    this.kickoffAt = null; // Set while the ball is dead after a goal
+    this.frozenUntil = 0;
+    this.lastTouchId = null;
+    this.room.physics.teleportBall(this.centreSpot());
+    this.emitState();
+  }
+
+  // Lining up for a kickoff: inputs are ignored
+  get frozen() {
+    return Date.now() < this.frozenUntil;
+  }
+
+  removePlayer(playerId) {
+    if (this.lastTouchId === playerId) this.lastTouchId = null;
+  }
+
+  // The goal `teamId` is shooting at
+  targetGoal(teamId) {
+    return this.goals.find((goal) => goal.team !== teamId);
+  }
+
+  state() {
+    return {
+      score: { ...this.score },
+      clockEndsAt: this.clockEndsAt,
+      overtime: this.overtime,
+      frozenUntil: this.frozenUntil,
+    };
+  }
+
+  toJSON() {
+    return { goals: this.goals, ...this.state() };
+  }
+
+  emitState() {
+    this.room.emit("soccerState", this.state());
+  }
+
+  // Called every server tick with the ball and cars where physics left them
+  update(now) {
+    const ball = this.room.physics.getBallState();
+    this.checkTouches(ball.position);
+
+    if (this.kickoffAt !== null) {
+      if (now >= this.kickoffAt) this.kickoff(now);
+      return;
+    }
+    if (soccer.outOfPlay(ball.position)) {
+      this.room.physics.teleportBall(this.centreSpot());
+      return;
+    }
+
+    // Warm-up goals don't count
+    if (!this.room.match.isLive) return;
+    if (this.clockEndsAt === null) {
+      this.clockEndsAt = now + ROUND_SECONDS * 1000;
+      this.emitState();
+    }
+
+    const goal = this.goals.find((candidate) => soccer.insideGoal(candidate, ball.position));
+    if (goal) {
+      this.scoreGoal(soccer.opponentOf(goal.team).id, now);
+    } else if (!this.overtime && now >= this.clockEndsAt) {
+      this.endOfTime();
+    }
+  }
+
+  // The last car near enough to the ball gets the credit for where it goes
+  checkTouches(ballPosition) {
+    const reach = soccer.BALL_RADIUS + TOUCH_MARGIN;
+    let nearest = reach;
+    for (const id in this.room.players) {
+      const { x, y, z } = this.room.players[id].position;
+      const distance = Math.hypot(x - ballPosition.x, y - ballPosition.y, z - ballPosition.z);
+      if (distance < nearest) {
+        nearest = distance;
+        this.lastTouchId = id;
+      }
+    }
+  }
+
+  scoreGoal(teamId, now) {
+    this.score[teamId]++;
+
+    const scorer = this.room.players[this.lastTouchId];
+    const scorerId = scorer && scorer.team === teamId ? scorer.id : null;
+    if (scorerId) {
+      scorer.score++;
+      this.room.emit("scoreUpdate", this.room.scoreboard());
+    }
+    console.log(`[SOCCER] ${this.room.id}: goal for ${teamId} by ${scorerId || "nobody"}, `
+      + `${JSON.stringify(this.score)}`);
+    this.room.emit("soccerGoal", { team: teamId, scorerId, score: { ...this.score } });
+
+    // Golden goal
+    if (this.overtime) {
+      this.room.match.endRound(teamId);
+      return;
+    }
+    this.kickoffAt = now + GOAL_PAUSE_MS;
+    this.emitState();
+  }
+
+  endOfTime() {
+    const [home, away] = soccer.TEAMS;
+    const difference = this.score[home.id] - this.score[away.id];
+    if (difference === 0) {
+      this.overtime = true;
+      this.emitState();
+    } else {
+      this.room.match.endRound(difference > 0 ? home.id : away.id);
+    }
+  }
+
+  // Everyone back to their spots and the ball back on the centre spot
+  kickoff(now) {
+    this.kickoffAt = null;
+    this.lastTouchId = null;
+    for (const id in this.room.players) {
+      this.room.returnToSpawn(id);
+    }
+    this.room.physics.teleportBall(this.centreSpot());
+    this.frozenUntil = now + KICKOFF_FREEZE_MS;
+    this.emitState();
+  }
+}
+
+module.exports = { Soccer, initSoccer, getSoccer };
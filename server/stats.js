@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+
+// Lifetime stats per player name: matches, wins, kills, deaths, shots, hits
+// and best lap time per track. Counters live in memory and are written out
+// through a storage backend shortly after they change.
+//
+// A storage backend is any object with:
+//   load()          -> Promise of the saved array of player records
+//   save(records)   -> Promise, replaces everything saved before
+
+const SAVE_DELAY_MS = 5000;
+
+// Keeps records in memory only; for tests and throwaway servers
+class MemoryStatsStorage {
+  constructor(records = []) {
+    this.records = records;
+  }
+
+  async load() {
+    return this.records.map((record) => ({ ...record }));
+  }
+
+  async save(records) {
+    this.records = records.map((record) => ({ ...record }));
+  }
+}
+
+// One JSON file, replaced atomically on every save
+class JsonFileStatsStorage {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath, "utf8"));
+      return Array.isArray(data.players) ? data.players : [];
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw new Error(`Could not read stats file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  async save(records) {
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tmpPath, JSON.stringify({ players: records }, null, 2));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+}
+
+function emptyRecord(name) {
+  return { name, matches: 0, wins: 0, kills: 0, deaths: 0, shots: 0, hits: 0, bestLaps: {} };
+}
+
+const SORT_KEYS = ["wins", "kills", "accuracy", "matches"];
+
+class StatsTracker {
+  constructor(storage) {
+    this.storage = storage;
+    this.players = new Map(); // lower-case name -> record
+    this.saveTimer = null;
+  }
+
+  async load() {
+    for (const record of await this.storage.load()) {
+      this.players.set(record.name.toLowerCase(), { ...emptyRecord(record.name), ...record });
+    }
+  }
+
+  record(name) {
+    const key = name.toLowerCase();
+    if (!this.players.has(key)) this.players.set(key, emptyRecord(name));
+    return this.players.get(key);
+  }
+
+  // Everything below takes display names, as stored in the player profile.
+  // Bots have no stats; rooms pass null for them and it's ignored.
+  recordShot(name) {
+    if (!name) return;
+    this.record(name).shots++;
+    this.scheduleSave();
+  }
+
+  recordHit(name) {
+    if (!name) return;
+    this.record(name).hits++;
+    this.scheduleSave();
+  }
+
+  recordKill(killerName, victimName) {
+    if (killerName) this.record(killerName).kills++;
+    if (victimName) this.record(victimName).deaths++;
+    this.scheduleSave();
+  }
+
+  // A finished match: everyone who played it, and who won
+  recordMatch(names, winnerNames) {
+    for (const name of names) {
+      const record = this.record(name);
+      record.matches++;
+      if (winnerNames.includes(name)) record.wins++;
+    }
+    this.scheduleSave();
+  }
+
+  // Returns true if this is a new personal best on the track
+  recordLapTime(name, trackId, lapMs) {
+    const record = this.record(name);
+    const best = record.bestLaps[trackId];
+    if (best !== undefined && best <= lapMs) return false;
+
+    record.bestLaps[trackId] = lapMs;
+    this.scheduleSave();
+    return true;
+  }
+
+  leaderboard({ sortBy = "wins", limit = 20 } = {}) {
+    const key = SORT_KEYS.includes(sortBy) ? sortBy : "wins";
+    return Array.from(this.players.values())
+      .map((record) => ({
+        ...record,
+        accuracy: record.shots > 0 ? record.hits / record.shots : 0,
+      }))
+      .sort((a, b) => b[key] - a[key] || b.kills - a.kills || a.name.localeCompare(b.name))
+      .slice(0, limit);
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush().catch((error) => console.error("[STATS] Save failed:", error.message));
+    }, SAVE_DELAY_MS);
+  }
+
+  async flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.storage.save(Array.from(this.players.values()));
+  }
+}
+
+module.exports = { StatsTracker, MemoryStatsStorage, JsonFileStatsStorage, SORT_KEYS };
@@ -0,0 +1,415 @@
+// Integration tests: a real game server on a free port, driven by
+// socket.io-client the way browsers drive it. Run with `npm test`.
+
+// Held slots expire quickly so disconnects can be tested; must be set
+// before the config is loaded
+process.env.SESSION_GRACE_MS = "300";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { io } = require("socket.io-client");
+
+const { createGameServer } = require("../server");
+const { StatsTracker, MemoryStatsStorage } = require("../server/stats");
+const { ReplayStore, MatchRecorder } = require("../server/replays");
+
+const EVENT_TIMEOUT_MS = 3000;
+const COUNTDOWN_TIMEOUT_MS = 8000;
+
+let game;
+let url;
+let carDynamics;
+let replayDir;
+const clients = [];
+let playersJoined = 0;
+
+before(async () => {
+  carDynamics = await import("../public/shared/carDynamics.mjs");
+  replayDir = fs.mkdtempSync(path.join(os.tmpdir(), "game-replays-"));
+  game = createGameServer({
+    stats: new StatsTracker(new MemoryStatsStorage()),
+    replays: new ReplayStore(replayDir),
+    // Bots would join every room; the bot test turns them on itself
+    botMinPlayers: 0,
+  });
+  const port = await game.listen(0, "127.0.0.1");
+  url = `http://127.0.0.1:${port}`;
+});
+
+after(async () => {
+  clients.forEach((client) => client.disconnect());
+  await game.close();
+  fs.rmSync(replayDir, { recursive: true, force: true });
+});
+
+function connect() {
+  const client = io(url, { transports: ["websocket"], reconnection: false, forceNew: true });
+  clients.push(client);
+  return new Promise((resolve, reject) => {
+    client.once("connect", () => resolve(client));
+    client.once("connect_error", reject);
+  });
+}
+
+// Emit with an acknowledgement; events without a payload must not get one
+function request(client, event, ...data) {
+  return new Promise((resolve) => client.emit(event, ...data, resolve));
+}
+
+// The next `event` whose payload passes `matches`
+function waitFor(client, event, matches = () => true, timeoutMs = EVENT_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      client.off(event, listener);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    const listener = (data) => {
+      if (!matches(data)) return;
+      clearTimeout(timer);
+      client.off(event, listener);
+      resolve(data);
+    };
+    client.on(event, listener);
+  });
+}
+
+// Connects a player and puts them in a room: an existing one by id, or a
+// new one they create. Names must be unique on the server, so each gets a
+// number. Resolves with the client, its name and its initialize payload.
+async function joinAs(baseName, { roomId = null, rounds = undefined, mode = undefined, trackId = undefined } = {}) {
+  const name = `${baseName}${++playersJoined}`;
+  const client = await connect();
+  const profile = await request(client, "setProfile", { name });
+  assert.ifError(profile.error);
+
+  const initialized = waitFor(client, "initialize");
+  const result = roomId
+    ? await request(client, "joinRoom", { roomId })
+    : await request(client, "createRoom", { name: `${name}'s room`, rounds, mode, trackId });
+  assert.ifError(result.error);
+  return { client, name, init: await initialized };
+}
+
+// Two players in a fresh room, once its match has gone live
+async function liveMatch(options = {}) {
+  const first = await joinAs("Alpha", options);
+  const live = waitFor(first.client, "matchState", (state) => state.state === "live", COUNTDOWN_TIMEOUT_MS);
+  const second = await joinAs("Bravo", { roomId: first.init.roomId });
+  await live;
+  return { shooter: first, target: second, room: game.rooms.rooms.get(first.init.roomId) };
+}
+
+// Line the target up a short way in front of the shooter, both facing +z.
+// Moving cars is the room's job, so it's told to forget their old positions.
+function placeInFront(room, shooterId, targetId) {
+  const facing = { x: 0, y: 0, z: 0, w: 1 };
+  room.physics.teleportCar(shooterId, room.physics.placeOnGround({ x: 0, y: 2, z: 0 }), facing);
+  room.physics.teleportCar(targetId, room.physics.placeOnGround({ x: 0, y: 2, z: 15 }), facing);
+  room.movement.forgetPosition(shooterId);
+  room.movement.forgetPosition(targetId);
+}
+
+// Fire from where the server has the car, the way the game client does
+function fire(client, room, playerId, aim = (velocity) => velocity) {
+  const state = room.physics.getCarState(playerId);
+  const { position, velocity } = carDynamics.bulletFromCar(state.position, state.rotation);
+  client.emit("createBullet", { position, velocity: aim(velocity), viewTime: Date.now() });
+}
+
+// Put a car in the middle of a race gate, pointing the way through it
+function driveThrough(room, playerId, gate) {
+  const heading = { x: 0, y: Math.sin(gate.heading / 2), z: 0, w: Math.cos(gate.heading / 2) };
+  room.physics.teleportCar(playerId, room.physics.placeOnGround({ x: gate.x, y: 2, z: gate.z }), heading);
+  room.movement.forgetPosition(playerId);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test("initialize describes the room and the new player", async () => {
+  const { client, name, init } = await joinAs("Alpha", { roomId: "room-1" });
+
+  assert.equal(init.role, "player");
+  assert.equal(init.id, client.id);
+  assert.equal(init.roomId, "room-1");
+  assert.equal(typeof init.sessionToken, "string");
+  assert.equal(init.playerCount, 1);
+  assert.deepEqual(init.rules, { maxHealth: 100, maxScore: 3 });
+  assert.equal(init.health, 100);
+  assert.equal(init.score, 0);
+  assert.equal(init.match.state, "waiting");
+  for (const axis of ["x", "y", "z"]) assert.ok(Number.isFinite(init.position[axis]));
+
+  const me = init.players[init.id];
+  assert.equal(me.name, name);
+  assert.equal(typeof me.netId, "number");
+  assert.match(me.color, /^#/);
+
+  client.disconnect();
+});
+
+test("playerJoined and playerLeft reach the rest of the room", async () => {
+  const alpha = await joinAs("Alpha");
+
+  const joined = waitFor(alpha.client, "playerJoined");
+  const bravo = await joinAs("Bravo", { roomId: alpha.init.roomId });
+  const player = await joined;
+  assert.equal(player.id, bravo.init.id);
+  assert.equal(player.name, bravo.name);
+  assert.notEqual(player.netId, alpha.init.players[alpha.init.id].netId);
+
+  const left = waitFor(alpha.client, "playerLeft");
+  await request(bravo.client, "leaveRoom");
+  assert.equal(await left, bravo.init.id);
+
+  alpha.client.disconnect();
+  bravo.client.disconnect();
+});
+
+test("a disconnect holds the slot, then playerLeft and playerCountUpdate follow", async () => {
+  const alpha = await joinAs("Alpha");
+  const bravo = await joinAs("Bravo", { roomId: alpha.init.roomId });
+
+  const held = waitFor(alpha.client, "playerDisconnected");
+  bravo.client.disconnect();
+  assert.deepEqual(await held, { id: bravo.init.id });
+
+  // Once the grace period is over
+  const left = waitFor(alpha.client, "playerLeft");
+  const count = waitFor(alpha.client, "playerCountUpdate");
+  assert.equal(await left, bravo.init.id);
+  assert.equal(await count, 1);
+
+  alpha.client.disconnect();
+});
+
+test("bullets expire after three seconds", async () => {
+  // Alone in a room the match waits, and shooting is allowed
+  const { client, init } = await joinAs("Alpha");
+  const room = game.rooms.rooms.get(init.roomId);
+  const { BULLET_LIFETIME } = carDynamics;
+
+  // Aim high so the bullet can't hit the ground before it expires
+  const created = waitFor(client, "bulletCreated");
+  fire(client, room, init.id, (velocity) => ({ ...velocity, y: velocity.y + 55 }));
+  const bullet = await created;
+  const firedAt = Date.now();
+  assert.equal(bullet.owner, init.id);
+
+  const removedId = await waitFor(client, "bulletRemoved", (id) => id === bullet.id, BULLET_LIFETIME + 1000);
+  const flightMs = Date.now() - firedAt;
+  assert.equal(removedId, bullet.id);
+  assert.ok(flightMs >= BULLET_LIFETIME - 100, `removed after ${flightMs}ms`);
+  assert.ok(flightMs <= BULLET_LIFETIME + 500, `removed after ${flightMs}ms`);
+
+  client.disconnect();
+});
+
+test("a hit takes health off the target", async () => {
+  const { shooter, target, room } = await liveMatch();
+  placeInFront(room, shooter.init.id, target.init.id);
+  await sleep(100);
+
+  const update = waitFor(shooter.client, "playerHealthUpdate", (data) => data.id === target.init.id);
+  fire(shooter.client, room, shooter.init.id);
+  assert.deepEqual(await update, { id: target.init.id, health: 90 });
+
+  shooter.client.disconnect();
+  target.client.disconnect();
+});
+
+test("kills score, and the match ends when the score limit is reached", async () => {
+  const { shooter, target, room } = await liveMatch({ rounds: 1 });
+  // One hit per kill
+  assert.ifError(room.setRules({ maxHealth: 10 }).error);
+  placeInFront(room, shooter.init.id, target.init.id);
+  await sleep(100);
+
+  const scores = [];
+  shooter.client.on("scoreUpdate", (rows) => {
+    const row = rows.find((r) => r.id === shooter.init.id);
+    if (row && row.score > (scores[scores.length - 1] || 0)) scores.push(row.score);
+  });
+  const gameOver = waitFor(shooter.client, "gameOver", () => true, 5000);
+
+  for (let shot = 0; shot < room.rules.maxScore; shot++) {
+    fire(shooter.client, room, shooter.init.id);
+    await sleep(carDynamics.FIRE_INTERVAL_MS + 50);
+  }
+
+  const result = await gameOver;
+  assert.equal(result.winnerId, shooter.init.id);
+  assert.deepEqual(scores, [1, 2, 3]);
+  const winner = result.scores.find((row) => row.id === shooter.init.id);
+  assert.equal(winner.kills, 3);
+
+  shooter.client.disconnect();
+  target.client.disconnect();
+});
+
+test("bots fill a room to the minimum and make way for people", async () => {
+  game.rooms.botMinPlayers = 2;
+  try {
+    const alpha = await joinAs("Alpha");
+    const room = game.rooms.rooms.get(alpha.init.roomId);
+    assert.equal(room.bots.size, 1);
+    const bot = room.players[Array.from(room.bots.keys())[0]];
+    assert.match(bot.name, /^Bot /);
+    // It joined straight after us, so its playerJoined has been and gone
+    await waitFor(alpha.client, "scoreUpdate", (rows) => rows.some((row) => row.id === bot.id));
+
+    // A bot is enough to start the match, and it drives once it's live
+    await waitFor(alpha.client, "matchState", (state) => state.state === "live", COUNTDOWN_TIMEOUT_MS);
+    const start = { ...room.players[bot.id].position };
+    await sleep(1000);
+    const end = room.players[bot.id].position;
+    assert.ok(Math.hypot(end.x - start.x, end.z - start.z) > 1, "bot did not move");
+
+    const left = waitFor(alpha.client, "playerLeft");
+    const bravo = await joinAs("Bravo", { roomId: room.id });
+    assert.equal(await left, bot.id);
+    assert.equal(room.playerCount, 2);
+    assert.equal(room.bots.size, 0);
+
+    bravo.client.disconnect();
+    alpha.client.disconnect();
+  } finally {
+    game.rooms.botMinPlayers = 0;
+  }
+});
+
+test("a replay directory that can't be written turns recording off instead of crashing", async () => {
+  const room = { id: "room-x", name: "Broken", rules: {}, players: {}, scoreboard: () => [] };
+  const countdown = { state: "countdown", round: 1 };
+
+  // The directory vanishes before the file opens: the save fails later
+  const goneDir = fs.mkdtempSync(path.join(os.tmpdir(), "game-replays-"));
+  const gone = new MatchRecorder(room, new ReplayStore(goneDir));
+  gone.observe("matchState", countdown);
+  fs.rmSync(goneDir, { recursive: true });
+  for (let i = 0; i < 20 && !gone.recording.failed; i++) await sleep(100);
+  assert.ok(gone.recording.failed);
+  gone.observe("gameOver", { winnerId: null });
+  assert.equal(gone.isRecording, false);
+
+  // The directory can't be made at all: mkdir throws during the room tick
+  const blocker = path.join(replayDir, "not-a-directory");
+  fs.writeFileSync(blocker, "");
+  const blocked = new MatchRecorder(room, new ReplayStore(path.join(blocker, "replays")));
+  blocked.observe("matchState", countdown);
+  assert.equal(blocked.isRecording, false);
+  blocked.observe("matchState", countdown);
+  assert.equal(blocked.disabled, true);
+});
+
+test("a bullet hit in a replay, with no server to hint, doesn't throw", async () => {
+  const { sendHitHint } = await import("../public/hitHints.mjs");
+  const bullet = { id: "p1-1", owner: "p1" };
+  assert.doesNotThrow(() => sendHitHint(null, bullet, "p2"));
+
+  const sent = [];
+  sendHitHint({ emit: (event, data) => sent.push([event, data]) }, bullet, "p2");
+  assert.deepEqual(sent, [["bulletHit", { bulletId: "p1-1", hitPlayerId: "p2", attackerId: "p1" }]]);
+});
+
+test("a race counts laps through the gates and the first finisher wins", async () => {
+  const { shooter: leader, target: chaser, room } = await liveMatch({ rounds: 1, mode: "race", trackId: "ring" });
+  const { track } = leader.init.race;
+  assert.equal(track.id, "ring");
+  assert.equal(track.checkpoints.length, 7);
+
+  const laps = [];
+  leader.client.on("raceLap", (lap) => {
+    if (lap.id === leader.init.id) laps.push(lap.lap);
+  });
+  const split = waitFor(leader.client, "raceSplit", (data) => data.checkpoint === 0);
+  const finished = waitFor(leader.client, "raceFinish", (data) => data.id === leader.init.id, 5000);
+  const gameOver = waitFor(leader.client, "gameOver", () => true, 10000);
+
+  // Leader first, so they finish first
+  for (const racer of [leader, chaser]) {
+    for (let lap = 0; lap < track.laps; lap++) {
+      for (const gate of [...track.checkpoints, track.start]) {
+        driveThrough(room, racer.init.id, gate);
+        await sleep(60);
+      }
+    }
+  }
+
+  assert.ok((await split).splitMs > 0);
+  assert.deepEqual(laps, [1, 2, 3]);
+  assert.equal((await finished).place, 1);
+  assert.equal((await gameOver).winnerId, leader.init.id);
+  // Lap times go into the lifetime stats
+  assert.ok(game.rooms.stats.record(leader.name).bestLaps.ring > 0);
+
+  leader.client.disconnect();
+  chaser.client.disconnect();
+});
+
+test("a race winner who leaves before the round ends doesn't win it", async () => {
+  const options = { rounds: 1, mode: "race", trackId: "ring" };
+  const leader = await joinAs("Alpha", options);
+  const live = waitFor(leader.client, "matchState", (state) => state.state === "live", COUNTDOWN_TIMEOUT_MS);
+  const second = await joinAs("Bravo", { roomId: leader.init.roomId });
+  const third = await joinAs("Charlie", { roomId: leader.init.roomId });
+  await live;
+  const room = game.rooms.rooms.get(leader.init.roomId);
+  const { track } = leader.init.race;
+
+  const driveRace = async (racer) => {
+    for (let lap = 0; lap < track.laps; lap++) {
+      for (const gate of [...track.checkpoints, track.start]) {
+        driveThrough(room, racer.init.id, gate);
+        await sleep(60);
+      }
+    }
+  };
+
+  const leaderFinished = waitFor(second.client, "raceFinish", (data) => data.id === leader.init.id, 5000);
+  await driveRace(leader);
+  await leaderFinished;
+  const leaderLeft = waitFor(second.client, "playerLeft", (id) => id === leader.init.id);
+  leader.client.disconnect();
+  await leaderLeft;
+
+  const gameOver = waitFor(second.client, "gameOver", () => true, 10000);
+  await driveRace(second);
+  await driveRace(third);
+  assert.equal((await gameOver).winnerId, second.init.id);
+
+  second.client.disconnect();
+  third.client.disconnect();
+});
+
+test("soccer splits players into teams and a ball in a goal scores for the other side", async () => {
+  const { shooter: blue, target: orange, room } = await liveMatch({ mode: "soccer" });
+  assert.equal(blue.init.soccer.goals.length, 2);
+  assert.equal(room.players[blue.init.id].team, "blue");
+  assert.equal(room.players[orange.init.id].team, "orange");
+
+  const goalMessage = waitFor(blue.client, "soccerGoal");
+  const blueGoal = room.soccer.goals.find((goal) => goal.team === "blue");
+  room.physics.teleportBall({ x: blueGoal.x, y: blueGoal.y + 4, z: blueGoal.z });
+
+  const goal = await goalMessage;
+  assert.equal(goal.team, "orange");
+  assert.deepEqual(goal.score, { blue: 0, orange: 1 });
+
+  // The replay has the ball and the goal
+  const { recording } = room.recorder;
+  room.recorder.stop("finished");
+  for (let i = 0; i < 20 && !fs.existsSync(recording.filePath); i++) await sleep(100);
+  const records = zlib.gunzipSync(fs.readFileSync(recording.filePath)).toString().trim().split("\n").map(JSON.parse);
+  assert.equal(records[0].soccer.goals.length, 2);
+  assert.ok(records.some((record) => record.type === "frame" && record.ball.length === 7));
+  assert.ok(records.some((record) => record.event === "soccerGoal" && record.data.team === "orange"));
+
+  blue.client.disconnect();
+  orange.client.disconnect();
+});